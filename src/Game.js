@@ -1,11 +1,35 @@
 import * as THREE from 'three';
 import Terrain from './Terrain.js';
 import Condor from './models/Condor.js';
-import CameraController from './camera/CameraController.js';
+import CameraController, { CAMERA_MODE_LABELS } from './camera/CameraController.js';
+import CameraPathEditor from './camera/CameraPathEditor.js';
+import PhotoMode, { PHOTO_FILTERS } from './camera/PhotoMode.js';
 import FlightControls from './controls/FlightControls.js';
+import InputManager from './controls/InputManager.js';
+import TouchControls from './controls/TouchControls.js';
 import UIManager from './ui/UIManager.js';
 import LandmarksManager from './environment/LandmarksManager.js';
-import elevationService from './data/elevationService.js';
+import WaterManager from './environment/WaterManager.js';
+import CarrionManager from './environment/CarrionManager.js';
+import Sun from './environment/Sun.js';
+import ThermalColumns from './environment/ThermalColumns.js';
+import WorldBoundary from './environment/WorldBoundary.js';
+import UpdraftField from './physics/UpdraftField.js';
+import WindField from './physics/WindField.js';
+import WindAudio from './audio/WindAudio.js';
+import GameLoop from './core/GameLoop.js';
+import InterpolatedTransform from './core/InterpolatedTransform.js';
+import { loadRegionIndex, loadRegion } from './data/regions.js';
+import { getTerrainWorkerPool } from './workers/terrainWorkerPool.js';
+import { downloadBlob } from './ui/download.js';
+
+const FORGIVING_STORAGE_KEY = 'condor-adventure.forgiving';
+
+// How far the photo mode camera can orbit from the condor, world units
+const PHOTO_ORBIT_RADIUS = 8;
+
+// Capture sizes offered in photo mode, as multiples of the screen
+const PHOTO_SCALES = [1, 2, 3, 4];
 
 export default class Game {
   constructor() {
@@ -18,9 +42,37 @@ export default class Game {
     this.terrain = null;
     this.condorModel = null;
     this.cameraController = null;
+    this.cameraPathEditor = null; // Flythrough being built, kept between openings of the editor
+    this.photoMode = null; // Photo rendering while photo mode is on
+    this.photoState = null; // What photo mode changed, to put back when it's off
     this.flightControls = null;
+    this.input = null;
+    this.touchControls = null; // On-screen controls, on touch-only devices
     this.uiManager = null;
     this.landmarksManager = null;
+    this.waterManager = null;
+    this.carrionManager = null;
+    this.worldBoundary = null;
+    this.sun = null;
+    this.windField = null;
+    this.updraftField = null;
+    this.thermalColumns = null;
+    this.showThermals = false; // Thermal debug columns, toggled with T
+    this.windAudio = new WindAudio();
+    this.forgiving = Game.loadForgiving(); // Keep the condor off the ground instead of crashing
+    
+    // Region state
+    this.regionIndex = null;
+    this.region = null;
+    this.isLoadingRegion = false;
+    this.isWorldReady = false; // False while a region's terrain is being built
+    
+    // Fixed-step simulation with interpolated rendering, started once the first region is ready
+    this.loop = new GameLoop({
+      update: this.update.bind(this),
+      render: this.render.bind(this)
+    });
+    this.condorTransform = null;
     
     // Initialize the game
     this.init();
@@ -49,16 +101,132 @@ export default class Game {
     // Create UI Manager
     this.uiManager = new UIManager();
     
+    // Keyboard and gamepad actions, with the controls help following their bindings
+    this.setupInput();
+    
     // Setup loading manager
     this.setupLoadingManager();
     
-    // Initialize the world asynchronously
-    this.initWorld();
+    // Let the player pick a region, then build the world for it
+    this.initRegions();
     
     // Handle window resize
     window.addEventListener('resize', this.onWindowResize.bind(this));
   }
   
+  setupInput() {
+    const input = new InputManager();
+    this.input = input;
+    
+    input.on('toggleThermals', () => {
+      if (this.thermalColumns) {
+        this.showThermals = this.thermalColumns.toggle();
+      }
+    });
+    input.on('pause', () => this.togglePause());
+    input.on('slowerTime', () => this.setTimeScale(this.loop.getTimeScale() / 2));
+    input.on('fasterTime', () => this.setTimeScale(this.loop.getTimeScale() * 2));
+    input.on('toggleMouseControl', () => {
+      if (this.cameraController) {
+        this.cameraController.toggleMouseControl();
+      }
+    });
+    input.on('freeCamera', () => this.toggleFreeCamera());
+    input.on('cameraMode', () => this.cycleCameraMode());
+    input.on('cameraPath', () => this.toggleCameraPathEditor());
+    input.on('photoMode', () => this.togglePhotoMode());
+    input.on('autopilot', () => this.showAutopilotMenu());
+    input.on('takeOff', () => {
+      if (this.isWorldReady && this.flightControls && !this.loop.isPaused()) {
+        this.flightControls.takeOff();
+      }
+    });
+    
+    this.uiManager.setCameraToggleHandler(() => this.toggleFreeCamera());
+    this.uiManager.createControlsButton(() => this.uiManager.showControlsEditor(input));
+    this.uiManager.createAutopilotButton(() => this.showAutopilotMenu());
+    this.uiManager.createForgivingButton(() => this.setForgiving(!this.forgiving));
+    this.uiManager.createCameraModeButton(() => this.cycleCameraMode());
+    this.uiManager.createCameraPathButton(() => this.toggleCameraPathEditor());
+    this.uiManager.createPhotoButton(() => this.togglePhotoMode());
+    this.uiManager.setForgivingState(this.forgiving);
+    this.uiManager.updateInstructions(input.describeControls());
+    input.onBindingsChanged = () => this.uiManager.updateInstructions(input.describeControls());
+    
+    // Phones and tablets have no keys to fly with
+    if (TouchControls.isTouchOnlyDevice()) {
+      this.touchControls = new TouchControls(input, this.uiManager);
+    }
+  }
+  
+  // Forgiving mode keeps the condor from crashing into the ground; the
+  // choice is remembered in the browser
+  setForgiving(forgiving) {
+    this.forgiving = forgiving;
+    if (this.flightControls) {
+      this.flightControls.setForgiving(forgiving);
+    }
+    this.uiManager.setForgivingState(forgiving);
+    
+    const storage = InputManager.getLocalStorage();
+    if (storage) {
+      try {
+        storage.setItem(FORGIVING_STORAGE_KEY, forgiving ? '1' : '0');
+      } catch (error) {
+        console.warn('Could not save forgiving mode:', error);
+      }
+    }
+  }
+  
+  static loadForgiving() {
+    const storage = InputManager.getLocalStorage();
+    try {
+      return storage ? storage.getItem(FORGIVING_STORAGE_KEY) === '1' : false;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Photo mode holds the camera in the free camera until it's closed
+  toggleFreeCamera() {
+    if (!this.cameraController || this.photoMode) return;
+    this.setFreeCamera(!this.cameraController.state.freeCamera);
+  }
+  
+  setFreeCamera(freeCamera) {
+    if (this.cameraController.state.freeCamera !== freeCamera) {
+      this.uiManager.setFreeCameraState(this.cameraController.toggleFreeCamera());
+    }
+  }
+  
+  // Step to the next camera view, leaving the free camera if it's on
+  cycleCameraMode() {
+    if (!this.cameraController || this.photoMode) return;
+    
+    this.setFreeCamera(false);
+    this.uiManager.setCameraMode(CAMERA_MODE_LABELS[this.cameraController.cycleMode()]);
+  }
+  
+  // Open or close the camera path editor. Keyframes are placed with the free
+  // camera, so opening it switches that on.
+  toggleCameraPathEditor() {
+    if (!this.cameraController || this.photoMode) return;
+    
+    if (this.uiManager.isCameraPathEditorOpen()) {
+      this.cameraPathEditor.close();
+      this.uiManager.hideCameraPathEditor();
+      return;
+    }
+    
+    if (!this.cameraPathEditor) {
+      this.cameraPathEditor = new CameraPathEditor(this.cameraController, this.condorModel.getMesh());
+    }
+    this.cameraPathEditor.region = this.region ? this.region.id : null;
+    this.setFreeCamera(true);
+    this.cameraPathEditor.open();
+    this.uiManager.showCameraPathEditor(this.cameraPathEditor);
+  }
+  
   setupLighting() {
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -77,6 +245,10 @@ export default class Game {
     directionalLight.shadow.camera.top = 800;
     directionalLight.shadow.camera.bottom = -800;
     this.scene.add(directionalLight);
+    this.scene.add(directionalLight.target);
+    
+    // Pointed by the region's Sun
+    this.sunLight = directionalLight;
   }
   
   setupLoadingManager() {
@@ -96,67 +268,546 @@ export default class Game {
     this.loadingManager = loadingManager;
   }
   
-  async initWorld() {
+  async initRegions() {
+    this.regionIndex = await loadRegionIndex();
+    
+    this.uiManager.createRegionButton(() => this.showRegionPicker());
+    this.showRegionPicker();
+  }
+  
+  showRegionPicker() {
+    if (!this.regionIndex || this.isLoadingRegion) return;
+    
+    const currentId = this.region ? this.region.id : this.regionIndex.defaultRegion;
+    this.uiManager.showRegionPicker(this.regionIndex.regions, currentId, (regionId) => {
+      this.loadRegion(regionId);
+    });
+  }
+  
+  // Load a region manifest and (re)build the world for it.
+  // The current terrain and landmarks are torn down once the new data is ready.
+  // carryOver ({ lat, lng, altitudeMSL, heading }, e.g. the condor's position)
+  // continues a flight from the last region instead of starting at the spawn point.
+  // Resolves true once the new region is ready to fly.
+  async loadRegion(regionId, carryOver = null) {
+    if (this.isLoadingRegion) return false;
+    this.isLoadingRegion = true;
+    let loaded = false;
+    this.exitPhotoMode();
+    
+    const entry = this.regionIndex.regions.find(region => region.id === regionId);
+    this.uiManager.showLoadingElement(`Loading ${entry ? entry.name : regionId} terrain data...`);
+    
     try {
-      // Fetch elevation data from the heightmap image
-      const elevationData = await elevationService.fetchElevationData();
+      const region = await loadRegion(entry);
       
+      // Fetch and decode elevation data (heightmap image or DEM file) in a worker.
+      // Workers resolve relative URLs against their own script, so send an absolute one.
+      const heightmapUrl = region.heightmap.url && new URL(region.heightmap.url, document.baseURI).href;
+      const elevationData = await getTerrainWorkerPool().run('loadRegionElevation', {
+        region: { ...region, heightmap: { ...region.heightmap, url: heightmapUrl } }
+      }, {
+        onProgress: (progress, stage) => this.reportLoadingProgress(progress * 0.5, stage)
+      });
+      
+      // Fly on from the nearest point just inside the new heightmap
+      if (carryOver) {
+        const { north, south, west, east } = elevationData.bounds;
+        const insetLat = (north - south) * 0.02;
+        const insetLng = (east - west) * 0.02;
+        region.spawn = {
+          lat: Math.min(Math.max(carryOver.lat, south + insetLat), north - insetLat),
+          lng: Math.min(Math.max(carryOver.lng, west + insetLng), east - insetLng),
+          altitudeMSL: carryOver.altitudeMSL,
+          heading: carryOver.heading
+        };
+      }
+      
+      this.teardownWorld();
+      this.region = region;
+      await this.initWorld(elevationData);
+      loaded = true;
+    } catch (error) {
+      console.error('Error loading region:', error);
+      this.uiManager.removeLoadingElement();
+      this.uiManager.showError(`Could not load ${entry ? entry.name : regionId}: ${error.message}`);
+    } finally {
+      this.isLoadingRegion = false;
+    }
+    
+    // Without a world to fly in (the first load failed, or the new region
+    // failed after the old one was torn down), ask for another region
+    if (!this.terrain) {
+      this.showRegionPicker();
+    }
+    return loaded;
+  }
+  
+  // Loading is split between decoding the elevation data (first half) and
+  // building the terrain (second half)
+  reportLoadingProgress(progress, stage) {
+    this.uiManager.updateLoadingProgress(Math.round(progress * 100), stage);
+  }
+  
+  async initWorld(elevationData) {
+    try {
       // Create terrain
-      this.terrain = new Terrain(this.scene);
-      this.terrain.heightData = elevationData;
-      this.terrain.generateTerrain();
+      this.terrain = new Terrain(this.scene, {
+        verticalExaggeration: this.region.verticalExaggeration,
+        detail: this.region.detail,
+        surface: this.region.surface
+      });
+      this.terrain.setElevationData(elevationData);
+      await this.terrain.generateTerrain();
+      
+      // Turn back or fade into generated surroundings at the heightmap's edge,
+      // or fly on into neighbouring regions that exist
+      const neighbours = {};
+      Object.entries(this.region.boundary.neighbours || {}).forEach(([edge, regionId]) => {
+        if (this.regionIndex.regions.some(region => region.id === regionId)) {
+          neighbours[edge] = regionId;
+        } else {
+          console.warn(`Unknown neighbouring region ${regionId} to the ${edge} of ${this.region.id}`);
+        }
+      });
+      this.worldBoundary = new WorldBoundary(this.scene, this.terrain, { ...this.region.boundary, neighbours });
+      
+      // Build the tiles around the spawn point before showing the world
+      const spawn = this.region.spawn;
+      await this.terrain.preload(this.terrain.geoToWorldPosition(spawn.lat, spawn.lng), (progress) => {
+        this.reportLoadingProgress(0.5 + progress * 0.4, 'Building terrain');
+      });
       
-      // Create the condor with loading manager
-      this.condorModel = new Condor(this.scene, this.loadingManager);
-      const condor = this.condorModel.getMesh();
+      // Rivers and lakes, unless the region turns them off
+      if (this.region.water) {
+        this.reportLoadingProgress(0.9, 'Tracing rivers');
+        this.waterManager = new WaterManager(this.scene, this.terrain);
+        await this.waterManager.load(this.region.water);
+        this.waterManager.nameLakes(this.region.pointsOfInterest);
+      }
+      
+      // Carcasses to feed on, kept out of the water
+      if (this.region.carrion) {
+        this.carrionManager = new CarrionManager(this.scene, this.terrain, this.region.carrion, this.waterManager);
+        this.carrionManager.generate();
+      }
+      
+      // Sun and wind over the region, and the thermals and ridge lift they drive
+      const center = this.terrain.projection.origin;
+      this.sun = new Sun(this.sunLight, { latitude: center.lat, ...this.region.sun });
+      this.windField = new WindField(this.terrain, this.region.wind);
+      if (this.region.updrafts) {
+        this.updraftField = new UpdraftField(this.terrain, this.sun, this.windField, this.region.updrafts);
+        this.updraftField.generate();
+        this.thermalColumns = new ThermalColumns(this.scene, this.terrain, this.updraftField);
+        this.thermalColumns.setVisible(this.showThermals);
+      }
+      
+      // The condor, camera and controls survive region switches
+      if (!this.condorModel) {
+        // Create the condor with loading manager
+        this.condorModel = new Condor(this.scene, this.loadingManager);
+        const condor = this.condorModel.getMesh();
+        
+        // Create camera controller
+        this.cameraController = new CameraController(this.camera, this.renderer, condor);
+        
+        // Create flight controls
+        this.flightControls = new FlightControls(this.condorModel, this.terrain, {
+          input: this.input,
+          crash: { forgiving: this.forgiving }
+        });
+        this.flightControls.onImpact = (impact) => {
+          this.uiManager.showImpact(impact);
+          if (this.cameraController) {
+            this.cameraController.bump(impact.crashed ? 0.5 + 0.5 * impact.severity : 0.3);
+          }
+        };
+        this.flightControls.onLeaveRegion = async (regionId, edge) => {
+          // Turn back at that edge instead if the region won't load
+          if (!await this.loadRegion(regionId, this.flightControls.getPosition())) {
+            this.flightControls.stayInRegion(edge);
+          }
+        };
+        this.flightControls.autopilot.onChange = (status) => {
+          this.uiManager.setAutopilotStatus(status ? status.label : null);
+          this.uiManager.setAutopilotState(status !== null);
+        };
+        
+        // Drawn between simulation steps
+        this.condorTransform = new InterpolatedTransform(condor);
+      } else {
+        this.flightControls.setTerrain(this.terrain);
+      }
+      this.flightControls.setUpdraftField(this.updraftField);
+      this.flightControls.setWindField(this.windField);
+      this.flightControls.setCarrionManager(this.carrionManager);
+      this.flightControls.setPerches([...this.region.peaks, ...this.region.perches]);
+      this.flightControls.setBoundary(this.worldBoundary);
+      this.cameraController.setTerrain(this.terrain);
       
       // Create landmarks manager
       this.landmarksManager = new LandmarksManager(this.scene, this.terrain);
-      this.landmarksManager.addMajorPeaks(elevationService.MAJOR_PEAKS);
-      
-      // Create camera controller
-      this.cameraController = new CameraController(this.camera, this.renderer, condor);
+      this.landmarksManager.addMajorPeaks(this.region.peaks);
+      this.landmarksManager.addPointsOfInterest(this.region.pointsOfInterest);
       
-      // Create flight controls
-      this.flightControls = new FlightControls(this.condorModel, this.terrain);
+      // Start at the region's spawn point
+      this.flightControls.resetToSpawn(this.region.spawn);
+      this.condorTransform.reset();
+      this.uiManager.setRegionName(this.region.name);
       
       // Remove loading element once everything is ready
-      // Note: The loading element might be removed by the loading manager already,
-      // but we'll keep this as a fallback in case some assets don't use the manager
-      setTimeout(() => {
-        this.uiManager.removeLoadingElement();
-      }, 2000);
-      
-      // Start animation
-      this.animate();
+      this.uiManager.removeLoadingElement();
+      this.isWorldReady = true;
+      
+      // Start the game loop
+      this.loop.start();
     } catch (error) {
       console.error('Error initializing world:', error);
+      
+      // Don't leave a half-built world behind; loadRegion() reports the error
+      this.teardownWorld();
+      throw error;
+    }
+  }
+  
+  // Remove the current region's terrain, surroundings, water, carrion and landmarks
+  teardownWorld() {
+    this.isWorldReady = false;
+    
+    if (this.landmarksManager) {
+      this.landmarksManager.dispose();
+      this.landmarksManager = null;
+    }
+    
+    if (this.waterManager) {
+      this.waterManager.dispose();
+      this.waterManager = null;
+    }
+    
+    if (this.carrionManager) {
+      this.carrionManager.dispose();
+      this.carrionManager = null;
+    }
+    
+    if (this.thermalColumns) {
+      this.thermalColumns.dispose();
+      this.thermalColumns = null;
+    }
+    this.updraftField = null;
+    this.windField = null;
+    this.sun = null;
+    
+    if (this.cameraController) {
+      this.cameraController.setTerrain(null);
     }
+    
+    if (this.worldBoundary) {
+      this.worldBoundary.dispose();
+      this.worldBoundary = null;
+    }
+    
+    if (this.terrain) {
+      this.terrain.dispose();
+      this.terrain = null;
+    }
+  }
+  
+  // Change the wind for a scripted scenario: direction it blows from in
+  // compass degrees, speed in m/s, options { gustiness, duration } as in
+  // WindField.setWind. Lasts until the region changes.
+  setWind(direction, speed, options = {}) {
+    if (!this.windField) return;
+    this.windField.setWind(direction, speed, options);
+  }
+  
+  pause() {
+    this.loop.pause();
+    this.updateTimeStatus();
+  }
+  
+  resume() {
+    this.loop.resume();
+    this.updateTimeStatus();
+  }
+  
+  // Photo mode holds the game paused until it's closed
+  togglePause() {
+    if (this.photoMode) return;
+    this.loop.togglePause();
+    this.updateTimeStatus();
+  }
+  
+  // Game seconds per real second: below 1 is slow motion (see GameLoop for the range)
+  setTimeScale(scale) {
+    if (this.photoMode) return;
+    this.loop.setTimeScale(scale);
+    this.updateTimeStatus();
+  }
+  
+  updateTimeStatus() {
+    const paused = this.loop.isPaused();
+    this.uiManager.setTimeStatus(paused, this.loop.getTimeScale());
+    this.windAudio.setMuted(paused);
+  }
+  
+  togglePhotoMode() {
+    if (this.photoMode) {
+      this.exitPhotoMode();
+    } else {
+      this.enterPhotoMode();
+    }
+  }
+
+  // Pause and frame a shot: the free camera orbits within PHOTO_ORBIT_RADIUS
+  // of the condor, with depth of field, exposure and filters to set, and the
+  // HUD hidden until switched back on
+  enterPhotoMode() {
+    if (!this.isWorldReady || !this.cameraController || this.photoMode) return;
+
+    // The editor can't be reached during a shot, so it closes first
+    if (this.uiManager.isCameraPathEditorOpen()) {
+      this.toggleCameraPathEditor();
+    }
+
+    this.photoState = {
+      wasPaused: this.loop.isPaused(),
+      wasFreeCamera: this.cameraController.state.freeCamera,
+      hud: false,
+      labels: true
+    };
+    this.pause();
+    this.setFreeCamera(true);
+    this.cameraController.hideControlsHelp();
+    this.cameraController.setOrbitRadius(PHOTO_ORBIT_RADIUS);
+
+    this.photoMode = new PhotoMode(this.renderer, this.scene, this.camera);
+    this.photoMode.setSize(window.innerWidth, window.innerHeight);
+
+    this.uiManager.setHudVisible(false);
+    this.uiManager.showPhotoPanel({
+      settings: this.photoMode.getSettings(),
+      filters: Object.entries(PHOTO_FILTERS).map(([id, filter]) => ({ id, label: filter.label })),
+      scales: PHOTO_SCALES,
+      hud: this.photoState.hud,
+      labels: this.photoState.labels
+    }, {
+      onSettings: (changes) => this.photoMode.setSettings(changes),
+      onHud: (visible) => {
+        this.photoState.hud = visible;
+        this.uiManager.setHudVisible(visible);
+      },
+      onLabels: (visible) => {
+        this.photoState.labels = visible;
+        if (this.landmarksManager) this.landmarksManager.setVisible(visible);
+      },
+      onCapture: () => this.takePhoto(),
+      onClose: () => this.exitPhotoMode()
+    });
+  }
+
+  exitPhotoMode() {
+    if (!this.photoMode) return;
+
+    this.photoMode.dispose();
+    this.photoMode = null;
+    this.uiManager.hidePhotoPanel();
+    this.uiManager.setHudVisible(true);
+    if (this.landmarksManager) this.landmarksManager.setVisible(true);
+
+    this.cameraController.setOrbitRadius(null);
+    this.setFreeCamera(this.photoState.wasFreeCamera);
+    if (this.cameraController.state.freeCamera) {
+      this.cameraController.showControlsHelp();
+    }
+    if (!this.photoState.wasPaused) {
+      this.resume();
+    }
+    this.photoState = null;
+  }
+
+  // Save the photo mode view as a PNG at the chosen size, with a JSON
+  // sidecar of where and when it was taken (see getPhotoMetadata())
+  takePhoto() {
+    if (!this.photoMode) return;
+
+    const canvas = this.photoMode.capture();
+    const metadata = this.getPhotoMetadata(canvas.width, canvas.height);
+    const name = `condor-${this.region.id}-${metadata.takenAt.replace(/[:.]/g, '-')}`;
+
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        console.error('Error saving photo: the image could not be encoded');
+        return;
+      }
+      downloadBlob(blob, `${name}.png`);
+      downloadBlob(new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }), `${name}.json`);
+    }, 'image/png');
+  }
+
+  // Where the photo was taken from: the camera's lat/lng, altitude in meters
+  // (above sea level and ground), compass heading and pitch in degrees, and the
+  // solar time of day, with the condor's own position and the photo settings
+  getPhotoMetadata(width, height) {
+    const { position } = this.camera;
+    const direction = this.camera.getWorldDirection(new THREE.Vector3());
+    const geo = this.terrain.worldToGeoPosition(position.x, position.y, position.z);
+    const ground = this.terrain.getHeightAtPosition(position.x, position.z);
+    const condor = this.flightControls.getPosition();
+
+    const hours = this.sun ? this.sun.timeOfDay : null;
+    const clock = hours === null ? null
+      : `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.floor((hours % 1) * 60)).padStart(2, '0')}`;
+
+    return {
+      takenAt: new Date().toISOString(),
+      region: this.region.id,
+      width,
+      height,
+      lat: geo.lat,
+      lng: geo.lng,
+      altitudeMSL: Math.round(this.terrain.worldHeightToElevation(position.y)),
+      altitudeAGL: Math.round(this.terrain.worldHeightToElevation(position.y - ground)),
+      heading: Math.round((THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)) + 360) % 360),
+      pitch: Math.round(THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))),
+      fov: this.camera.fov,
+      timeOfDay: clock,
+      solarHours: hours,
+      dayOfYear: this.sun ? this.sun.dayOfYear : null,
+      condor: {
+        lat: condor.lat,
+        lng: condor.lng,
+        altitudeMSL: Math.round(condor.altitudeMSL),
+        altitudeAGL: Math.round(condor.elevation),
+        heading: Math.round(condor.heading)
+      },
+      photo: this.photoMode.getSettings()
+    };
+  }
+
+  // Let the player pick what the autopilot flies: hold the current heading,
+  // the region's peaks, a tour of its points of interest or circling where the
+  // condor is now
+  showAutopilotMenu() {
+    if (!this.isWorldReady || !this.flightControls) return;
+    
+    const autopilot = this.flightControls.autopilot;
+    const mode = autopilot.getMode();
+    const peaks = this.landmarksManager ? this.landmarksManager.getPeaks() : [];
+    const sights = this.region.pointsOfInterest;
+    
+    const choices = [{ id: 'hold', label: 'Hold heading and altitude', active: mode === 'hold' }];
+    peaks.forEach((peak, index) => {
+      choices.push({ id: `peak:${index}`, label: `Fly to ${peak.name}`, active: false });
+    });
+    if (sights.length > 1) {
+      choices.push({ id: 'tour', label: 'Tour points of interest', active: mode === 'waypoints' });
+    }
+    choices.push({ id: 'orbit', label: 'Circle here', active: mode === 'orbit' });
+    
+    this.uiManager.showAutopilotMenu(choices, (id) => {
+      if (id === null) {
+        autopilot.disengage();
+      } else if (id === 'hold') {
+        autopilot.holdHeading();
+      } else if (id === 'tour') {
+        autopilot.followWaypoints(sights, { loop: true });
+      } else if (id === 'orbit') {
+        const { lat, lng } = this.flightControls.getPosition();
+        autopilot.orbit({ lat, lng, name: 'current position' });
+      } else {
+        autopilot.flyTo(peaks[Number(id.split(':')[1])]);
+      }
+    });
   }
   
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    if (this.photoMode) {
+      this.photoMode.setSize(window.innerWidth, window.innerHeight);
+    }
   }
   
-  animate() {
-    requestAnimationFrame(this.animate.bind(this));
+  // One fixed simulation step of deltaTime game seconds
+  update(deltaTime) {
+    if (!this.isWorldReady || !this.flightControls) return;
     
-    // Update flight controls
-    if (this.flightControls) {
-      const position = this.flightControls.update();
-      if (position) {
-        this.uiManager.updateAltitudeDisplay(position);
+    const condor = this.condorModel.getMesh();
+    this.condorTransform.beginStep();
+    this.flightControls.update(deltaTime);
+    this.condorTransform.endStep();
+    
+    // Move the sun, blow the wind, let thermals come and go and replace eaten carcasses
+    if (this.sun) {
+      this.sun.update(deltaTime, condor.position);
+    }
+    if (this.windField) {
+      this.windField.update(deltaTime);
+    }
+    if (this.updraftField) {
+      this.updraftField.update(deltaTime);
+    }
+    if (this.carrionManager) {
+      this.carrionManager.update(deltaTime);
+    }
+  }
+  
+  // Draw a frame alpha (0-1) of the way to the next simulation step;
+  // frameTime is the real time since the last frame in seconds
+  render(alpha, frameTime) {
+    // Read the gamepads once per frame
+    this.input.update();
+    
+    if (this.isWorldReady && this.condorTransform) {
+      this.condorTransform.interpolate(alpha);
+      
+      const position = this.flightControls.getPosition();
+      
+      // The distance to go changes every frame, not just when the autopilot's mode does
+      const autopilotStatus = this.flightControls.autopilot.getStatus();
+      this.uiManager.setAutopilotStatus(autopilotStatus ? autopilotStatus.label : null);
+      this.uiManager.updateAltitudeDisplay(position);
+      this.uiManager.updateWindIndicator(position.wind, position.heading);
+      this.uiManager.updateStaminaGauge(position.stamina, position.exhausted, position.feeding);
+      
+      const neighbour = position.boundary && position.boundary.neighbour
+        ? this.regionIndex.regions.find(region => region.id === position.boundary.neighbour)
+        : null;
+      this.uiManager.updateBoundaryWarning(position.boundary, neighbour ? neighbour.name : null);
+      this.windAudio.update(position.airspeed, position.turbulence);
+      
+      if (this.cameraPathEditor && this.cameraPathEditor.isPlaying()) {
+        this.uiManager.updateCameraPathTime(this.cameraPathEditor.getTime(), this.cameraPathEditor.getDuration());
+      }
+      
+      // Stream terrain tiles around the condor
+      this.terrain.update(this.condorModel.getMesh().position);
+      
+      if (this.thermalColumns) {
+        this.thermalColumns.update();
       }
     }
     
     // Update camera
     if (this.cameraController) {
-      this.cameraController.update();
+      const turbulence = this.isWorldReady && !this.loop.isPaused() ? this.flightControls.getPosition().turbulence : 0;
+      this.cameraController.setShake(turbulence);
+      this.cameraController.setSpeed(this.isWorldReady ? this.flightControls.getPosition().airspeed : 0);
+      
+      // Frame the condor from the side once it's coming down to perch
+      const phase = this.isWorldReady ? this.flightControls.getPosition().phase : 'flying';
+      this.cameraController.setPerched(phase === 'landing' || phase === 'perched');
+      this.cameraController.update(frameTime);
     }
     
-    // Render the scene
-    this.renderer.render(this.scene, this.camera);
+    // Render the scene, in photo mode focused on the condor
+    if (this.photoMode && this.condorModel) {
+      this.photoMode.setFocus(this.camera.position.distanceTo(this.condorModel.getMesh().position));
+      this.photoMode.render();
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
-} 
\ No newline at end of file
+}
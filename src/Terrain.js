@@ -1,243 +1,412 @@
 import * as THREE from 'three';
-import heightmapData, { 
+import { 
   HEIGHTMAP_WIDTH, 
   HEIGHTMAP_HEIGHT, 
   GEO_BOUNDS,
-  MAX_ELEVATION,
-  generateSyntheticHeightmap, 
-  getElevationAtCoordinate 
+  MAX_ELEVATION
 } from './data/heightmap.js';
+import TerrainQuadtree from './terrain/TerrainQuadtree.js';
+import GeoProjection, { DEFAULT_VERTICAL_EXAGGERATION } from './data/GeoProjection.js';
+import { createHeightField, sampleHeightField, sampleHeightFieldNormal } from './terrain/heightField.js';
+import { getTerrainWorkerPool } from './workers/terrainWorkerPool.js';
+import { createTerrainMaterial } from './terrain/terrainMaterial.js';
+
+// Ids of the height fields shared with the terrain workers
+let nextHeightFieldId = 1;
 
 export default class Terrain {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
     this.heightData = null; // Will be set via heightmap image
-    this.terrain = null;
-    this.heightScale = 400; // Further increased vertical scaling for more dramatic terrain
-    this.terrainWidth = 2000; // Significantly increased width for vastly larger terrain
-    this.terrainLength = 2000; // Significantly increased length for vastly larger terrain
+    this.heightField = null; // heightData with its projection, see terrain/heightField.js
+    this.heightFieldId = null; // Set once the workers have a copy of the height field
+    this.workers = options.workers || getTerrainWorkerPool();
+    this.terrain = null; // Group containing the visible terrain tiles
+    this.quadtree = null;
+    this.material = null;
+    this.verticalExaggeration = options.verticalExaggeration ?? DEFAULT_VERTICAL_EXAGGERATION;
+    this.detail = options.detail || null; // Procedural detail config, see terrain/detailNoise.js
+    this.surface = options.surface || {}; // Ground layer config, see terrain/terrainMaterial.js
+    this.surroundings = null; // Generated ground past the heightmap's edge, see setSurroundings()
+    
+    // Source grid description, replaced by setElevationData()
+    this.dataWidth = HEIGHTMAP_WIDTH;
+    this.dataHeight = HEIGHTMAP_HEIGHT;
+    this.geoBounds = { ...GEO_BOUNDS };
+    this.maxElevation = MAX_ELEVATION; // Meters represented by a normalized height of 1
+    
+    // Sets terrainWidth, terrainLength (world units) and heightScale
+    this.setProjection(new GeoProjection(this.geoBounds, this.dataWidth, this.dataHeight, {
+      verticalExaggeration: this.verticalExaggeration
+    }));
+    
+    // Level-of-detail settings (see TerrainQuadtree)
+    this.lodOptions = {
+      maxLevel: 7, // Finest tiles are terrainWidth / 128 across, fine enough to show the detail noise
+      tileResolution: 32, // Segments along each tile edge
+      splitDistance: 1.0,
+      ...options.lod
+    };
   }
 
-  generateTerrain() {
-    // First we'll create a plane geometry
-    const geometry = new THREE.PlaneGeometry(
-      this.terrainWidth, 
-      this.terrainLength,
-      HEIGHTMAP_WIDTH - 1, 
-      HEIGHTMAP_HEIGHT - 1
-    );
-    
-    // Apply the heightmap to the geometry vertices
-    const positionAttribute = geometry.getAttribute('position');
-    const vertex = new THREE.Vector3();
-    
-    for (let i = 0; i < positionAttribute.count; i++) {
-      vertex.fromBufferAttribute(positionAttribute, i);
-      
-      // Convert from local coordinates to heightmap indices
-      const x = Math.floor(((vertex.x / this.terrainWidth) + 0.5) * HEIGHTMAP_WIDTH);
-      const y = Math.floor(((vertex.y / this.terrainLength) + 0.5) * HEIGHTMAP_HEIGHT);
-      
-      // Bounds check to prevent accessing out of the array
-      if (x >= 0 && x < HEIGHTMAP_WIDTH && y >= 0 && y < HEIGHTMAP_HEIGHT) {
-        const heightIndex = y * HEIGHTMAP_WIDTH + x;
-        const height = this.heightData[heightIndex] * this.heightScale;
-        
-        // Apply height to vertex
-        vertex.z = height;
-        positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
-      }
+  // Use an elevation grid (see data/dem.js) as the terrain source.
+  // Heights are stored normalized against the grid's highest sample.
+  setElevationData(grid) {
+    this.dataWidth = grid.width;
+    this.dataHeight = grid.height;
+    this.geoBounds = { ...grid.bounds };
+    this.maxElevation = grid.maxElevation > 0 ? grid.maxElevation : MAX_ELEVATION;
+    
+    this.heightData = new Float32Array(grid.data.length);
+    for (let i = 0; i < grid.data.length; i++) {
+      this.heightData[i] = grid.data[i] / this.maxElevation;
     }
     
-    // Update normals for lighting calculations
-    geometry.computeVertexNormals();
-    positionAttribute.needsUpdate = true;
+    this.heightField = createHeightField(this.getHeightFieldDescription());
+    this.setProjection(this.heightField.projection);
+  }
+  
+  // Plain-data form of the height field, as sent to the terrain workers
+  getHeightFieldDescription() {
+    return {
+      data: this.heightData,
+      width: this.dataWidth,
+      height: this.dataHeight,
+      bounds: this.geoBounds,
+      maxElevation: this.maxElevation,
+      verticalExaggeration: this.verticalExaggeration,
+      detail: this.detail
+    };
+  }
+
+  // All geo <-> world <-> heightmap conversions go through the projection,
+  // which also fixes the size of the terrain in world units
+  setProjection(projection) {
+    this.projection = projection;
+    this.terrainWidth = projection.width;
+    this.terrainLength = projection.length;
+    
+    // World height of a normalized height of 1
+    this.heightScale = projection.elevationToWorldY(this.maxElevation);
+  }
+
+  // Set up the tile quadtree. Tile meshes are built in the terrain workers;
+  // use preload() to wait for them.
+  async generateTerrain() {
+    // Give every worker its own copy of the heights to build tiles from
+    const heightFieldId = nextHeightFieldId++;
+    await this.workers.broadcast('setHeightField', {
+      id: heightFieldId,
+      description: this.getHeightFieldDescription()
+    });
+    this.heightFieldId = heightFieldId;
     
-    // Create terrain material with texture
-    const material = this.createTerrainMaterial();
+    // Layered terrain shader, shared by every tile
+    this.material = createTerrainMaterial(this.projection, this.surface);
     
-    // Create mesh and add to scene
-    this.terrain = new THREE.Mesh(geometry, material);
-    this.terrain.rotation.x = -Math.PI / 2; // Rotate to horizontal plane
-    this.terrain.receiveShadow = true;
-    this.terrain.castShadow = true;
+    // Group holding all terrain tiles
+    this.terrain = new THREE.Group();
+    this.terrain.name = 'terrain';
     
     // Center the terrain
     this.terrain.position.set(0, 0, 0);
     
+    // Split the world into level-of-detail tiles, starting from a single root tile
+    const rootSize = Math.max(this.terrainWidth, this.terrainLength);
+    this.quadtree = new TerrainQuadtree(this, this.terrain, this.material, {
+      minX: -rootSize / 2,
+      minZ: -rootSize / 2,
+      size: rootSize,
+      ...this.lodOptions
+    });
+    
     this.scene.add(this.terrain);
     
     return this.terrain;
   }
   
-  createTerrainMaterial() {
-    // Create a texture to visualize the elevation data
-    const heightMapTexture = this.createHeightMapTexture();
-    
-    // Load textures for different terrain types - specialized for Ecuador's terrain
-    const textureLoader = new THREE.TextureLoader();
-    const terrainTypes = {
-      lowland: {
-        color: 0x228B22, // Forest green (for tropical lowlands)
-        elevation: 0.1
-      },
-      midland: {
-        color: 0x8B4513, // Brown (for foothills)
-        elevation: 0.3
-      },
-      highland: {
-        color: 0x808080, // Gray (for rocky terrain)
-        elevation: 0.6
-      },
-      mountain: {
-        color: 0xFFFFFF, // White (snow peaks of the volcanoes)
-        elevation: 1.0
-      }
-    };
+  // Refine tiles near the focus point (the condor) and coarsen distant ones
+  update(focusPosition) {
+    if (!this.quadtree) return;
+    
+    this.quadtree.update(focusPosition);
+  }
+  
+  // Refine the tiles around a position and wait for them to be built, so the
+  // terrain is complete before the player sees it. onProgress gets 0 to 1.
+  async preload(focusPosition, onProgress = () => {}) {
+    let progress = 0;
     
-    // Create material with combined texture
-    const material = new THREE.MeshStandardMaterial({
-      map: heightMapTexture,
-      displacementMap: heightMapTexture,
-      displacementScale: 0, // We're handling displacement manually
-      roughness: 0.8,
-      metalness: 0.1,
-      wireframe: false,
-      flatShading: true,
-      vertexColors: false
+    while (this.quadtree) {
+      this.quadtree.update(focusPosition);
+      
+      const built = this.quadtree.getTileCount();
+      const pending = this.quadtree.getPendingBuildCount();
+      progress = Math.max(progress, built / (built + pending));
+      onProgress(progress);
+      
+      if (pending === 0) break;
+      await this.quadtree.whenBuilt();
+    }
+  }
+  
+  // Rivers and lakes derived from the height data, computed by a terrain worker
+  // (see terrain/waterBuffers.js). Options as in data/hydrology.js.
+  computeWater(options = {}) {
+    return this.workers.run('buildWater', {
+      fieldId: this.heightFieldId,
+      options
     });
+  }
+  
+  // Geometry buffers for a tile, built by a terrain worker (see terrainBuffers.js)
+  buildTileBuffers(minX, minZ, size, resolution) {
+    return this.workers.run('buildTile', {
+      fieldId: this.heightFieldId,
+      minX,
+      minZ,
+      size,
+      resolution
+    });
+  }
+  
+  // Bilinearly sample the source heightmap at a world position.
+  // Row 0 of the heightmap is the northern edge (negative Z).
+  sampleHeight(x, z) {
+    if (!this.heightField) return 0;
     
-    return material;
-  }
-  
-  createHeightMapTexture() {
-    // Create a canvas to draw the heightmap
-    const canvas = document.createElement('canvas');
-    canvas.width = HEIGHTMAP_WIDTH;
-    canvas.height = HEIGHTMAP_HEIGHT;
-    const context = canvas.getContext('2d');
-    
-    // Create ImageData from the heightmap
-    const imageData = context.createImageData(HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT);
-    const data = imageData.data;
-    
-    // Color ramp based on elevation - adjusted for Ecuador's vegetation zones
-    const colorRamp = [
-      { elevation: 0.0, color: [20, 120, 20] },    // Dark green (lowland rainforest)
-      { elevation: 0.15, color: [46, 139, 87] },   // Sea green (subtropical forest)
-      { elevation: 0.3, color: [85, 107, 47] },    // Olive drab (higher elevation forest)
-      { elevation: 0.45, color: [160, 120, 60] },  // Tan (paramo/highland grassland)
-      { elevation: 0.6, color: [139, 69, 19] },    // Brown (rocky terrain)
-      { elevation: 0.75, color: [169, 169, 169] }, // Gray (high volcanic rock)
-      { elevation: 0.85, color: [211, 211, 211] }, // Light gray (scree/volcanic ash)
-      { elevation: 1.0, color: [255, 255, 255] }   // White (snow cap)
-    ];
-    
-    // Fill the image data
-    for (let y = 0; y < HEIGHTMAP_HEIGHT; y++) {
-      for (let x = 0; x < HEIGHTMAP_WIDTH; x++) {
-        const index = y * HEIGHTMAP_WIDTH + x;
-        const pixelIndex = index * 4;
-        
-        const elevation = this.heightData[index];
-        
-        // Determine color based on elevation
-        let color = [0, 0, 0];
-        
-        // Find the color stops for interpolation
-        for (let i = 0; i < colorRamp.length - 1; i++) {
-          const current = colorRamp[i];
-          const next = colorRamp[i + 1];
-          
-          if (elevation >= current.elevation && elevation <= next.elevation) {
-            // Linear interpolation between color stops
-            const t = (elevation - current.elevation) / (next.elevation - current.elevation);
-            
-            color[0] = Math.floor(current.color[0] * (1 - t) + next.color[0] * t);
-            color[1] = Math.floor(current.color[1] * (1 - t) + next.color[1] * t);
-            color[2] = Math.floor(current.color[2] * (1 - t) + next.color[2] * t);
-            break;
-          }
-        }
-        
-        // Set RGBA values
-        data[pixelIndex] = color[0];     // R
-        data[pixelIndex + 1] = color[1]; // G
-        data[pixelIndex + 2] = color[2]; // B
-        data[pixelIndex + 3] = 255;      // A (fully opaque)
-      }
+    return sampleHeightField(this.heightField, x, z);
+  }
+  
+  // Surface normal of the source heightmap using central differences
+  sampleNormal(x, z, delta = 1) {
+    if (!this.heightField) return new THREE.Vector3(0, 1, 0);
+    
+    const normal = sampleHeightFieldNormal(this.heightField, x, z, delta);
+    return new THREE.Vector3(normal.x, normal.y, normal.z);
+  }
+  
+  // Texture coordinates for a world position; UVs span the whole terrain
+  worldToUV(x, z) {
+    return {
+      u: (x / this.terrainWidth) + 0.5,
+      v: 0.5 - (z / this.terrainLength)
+    };
+  }
+  
+  // Get height of the rendered terrain at a specific world position.
+  // Uses whichever tile is currently loaded there, so it matches the visible triangles.
+  getHeightAtPosition(x, z) {
+    return this.getSurfaceGradient(x, z).height;
+  }
+  
+  // Height and gradient of the terrain surface. All the queries below build on this
+  // so collision, placement and camera code get consistent answers.
+  getSurfaceGradient(x, z) {
+    if (this.terrain && this.surroundings && this.surroundings.contains(x, z)) {
+      return this.surroundings.getSurfaceGradient(x, z);
+    }
+    
+    if (!this.terrain || !this.isInsideTerrain(x, z)) {
+      return { height: 0, dhdx: 0, dhdz: 0 };
     }
     
-    // Put the image data on the canvas
-    context.putImageData(imageData, 0, 0);
+    const tile = this.quadtree ? this.quadtree.getVisibleTileAt(x, z) : null;
+    if (tile && tile.heights) {
+      return tile.getSurfaceAt(x, z);
+    }
     
-    // Create a texture from the canvas
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.ClampToEdgeWrapping;
-    texture.wrapT = THREE.ClampToEdgeWrapping;
+    // Fall back to the source data if no tile covers this point
+    const delta = 1;
+    return {
+      height: this.sampleHeight(x, z),
+      dhdx: (this.sampleHeight(x + delta, z) - this.sampleHeight(x - delta, z)) / (2 * delta),
+      dhdz: (this.sampleHeight(x, z + delta) - this.sampleHeight(x, z - delta)) / (2 * delta)
+    };
+  }
+  
+  isInsideTerrain(x, z) {
+    return Math.abs(x) <= this.terrainWidth / 2 && Math.abs(z) <= this.terrainLength / 2;
+  }
+  
+  // True where there is ground to fly over and hit: the heightmap or its surroundings
+  hasGroundAt(x, z) {
+    return this.isInsideTerrain(x, z) || (this.surroundings !== null && this.surroundings.contains(x, z));
+  }
+  
+  // Extend the ground past the heightmap's edge with anything that has
+  // contains(x, z) and getSurfaceGradient(x, z), e.g. environment/WorldBoundary.js;
+  // null to stop at the edge again
+  setSurroundings(surroundings) {
+    this.surroundings = surroundings;
+  }
+  
+  // Full surface description at a world position:
+  // - height: world units
+  // - normal: unit THREE.Vector3 of the rendered triangle
+  // - slope: angle from horizontal in radians
+  // - aspect: compass bearing in degrees (0 = north/-Z, 90 = east/+X) the slope faces
+  //   downhill, or null on flat ground
+  getSurfaceAtPosition(x, z) {
+    const { height, dhdx, dhdz } = this.getSurfaceGradient(x, z);
+    const gradient = Math.sqrt(dhdx * dhdx + dhdz * dhdz);
+    
+    let aspect = null;
+    if (gradient > 1e-6) {
+      // Downhill points along -gradient; north is -Z
+      aspect = (THREE.MathUtils.radToDeg(Math.atan2(-dhdx, dhdz)) + 360) % 360;
+    }
     
-    return texture;
+    return {
+      height,
+      normal: new THREE.Vector3(-dhdx, 1, -dhdz).normalize(),
+      slope: Math.atan(gradient),
+      aspect
+    };
   }
   
-  // Get height at a specific world position
-  getHeightAtPosition(x, z) {
-    if (!this.terrain) return 0;
+  getNormalAtPosition(x, z) {
+    return this.getSurfaceAtPosition(x, z).normal;
+  }
+  
+  getSlopeAtPosition(x, z) {
+    return this.getSurfaceAtPosition(x, z).slope;
+  }
+  
+  getAspectAtPosition(x, z) {
+    return this.getSurfaceAtPosition(x, z).aspect;
+  }
+  
+  // Same as getSurfaceAtPosition but for geographical coordinates
+  getSurfaceAtCoordinates(lat, lng) {
+    const position = this.geoToWorldPosition(lat, lng);
+    return this.getSurfaceAtPosition(position.x, position.z);
+  }
+  
+  // Intersect a ray with the terrain surface.
+  // Returns { point, distance, normal } for the first hit, or null if the ray
+  // leaves the terrain or maxDistance is reached first.
+  raycast(origin, direction, maxDistance = 5000) {
+    if (!this.terrain) return null;
+    
+    const dir = direction.clone().normalize();
+    const point = new THREE.Vector3();
+    
+    // Height of the ray above the surface at a given distance along it
+    const gapAt = (distance) => {
+      point.copy(origin).addScaledVector(dir, distance);
+      if (!this.hasGroundAt(point.x, point.z)) return Infinity;
+      return point.y - this.getHeightAtPosition(point.x, point.z);
+    };
     
-    // Convert world coordinates to a position on our heightmap
-    const normalizedX = (x / this.terrainWidth) + 0.5;
-    const normalizedZ = (z / this.terrainLength) + 0.5;
+    const minStep = 0.25;
+    const maxStep = 20;
     
-    // Convert to heightmap indices
-    const heightmapX = Math.floor(normalizedX * HEIGHTMAP_WIDTH);
-    const heightmapY = Math.floor(normalizedZ * HEIGHTMAP_HEIGHT);
+    let previous = 0;
+    let previousGap = gapAt(0);
+    if (previousGap <= 0) {
+      return this.createRaycastHit(origin, dir, 0);
+    }
     
-    // Bounds check
-    if (heightmapX < 0 || heightmapX >= HEIGHTMAP_WIDTH || 
-        heightmapY < 0 || heightmapY >= HEIGHTMAP_HEIGHT) {
-      return 0;
+    // March along the ray, taking larger steps while far above the ground
+    while (previous < maxDistance) {
+      const step = Math.min(Math.max(previousGap * 0.5, minStep), maxStep);
+      const current = Math.min(previous + step, maxDistance);
+      const currentGap = gapAt(current);
+      
+      if (currentGap <= 0) {
+        // Refine the crossing by bisection
+        let low = previous;
+        let high = current;
+        for (let i = 0; i < 20; i++) {
+          const mid = (low + high) / 2;
+          if (gapAt(mid) > 0) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        return this.createRaycastHit(origin, dir, high);
+      }
+      
+      // Left the terrain without hitting anything
+      if (currentGap === Infinity && previousGap !== Infinity) {
+        return null;
+      }
+      
+      previous = current;
+      previousGap = currentGap;
     }
     
-    // Get height value and scale it
-    const index = heightmapY * HEIGHTMAP_WIDTH + heightmapX;
-    return this.heightData[index] * this.heightScale;
+    return null;
+  }
+  
+  createRaycastHit(origin, direction, distance) {
+    const point = origin.clone().addScaledVector(direction, distance);
+    const surface = this.getSurfaceAtPosition(point.x, point.z);
+    point.y = surface.height;
+    
+    return {
+      point,
+      distance,
+      normal: surface.normal
+    };
   }
   
   // Get height at geographical coordinates (latitude, longitude)
   getHeightAtCoordinates(lat, lng) {
-    return getElevationAtCoordinate(lat, lng, this.heightData) * 
-           (this.heightScale / MAX_ELEVATION);
+    return this.getSurfaceAtCoordinates(lat, lng).height;
   }
   
   // Convert geographical coordinates to world position
   geoToWorldPosition(lat, lng) {
-    // Calculate normalized position (0-1) within our bounds
-    const latRange = GEO_BOUNDS.north - GEO_BOUNDS.south;
-    const lngRange = GEO_BOUNDS.east - GEO_BOUNDS.west;
+    const { x, z } = this.projection.geoToWorld(lat, lng);
     
-    const normalizedLat = (GEO_BOUNDS.north - lat) / latRange;
-    const normalizedLng = (lng - GEO_BOUNDS.west) / lngRange;
-    
-    // Convert to world coordinates
-    const x = (normalizedLng - 0.5) * this.terrainWidth;
-    const z = (normalizedLat - 0.5) * this.terrainLength;
-    const y = this.getHeightAtPosition(x, z);
+    // Sample the full-resolution data so placement doesn't depend on the current LOD
+    const y = this.isInsideTerrain(x, z) ? this.sampleHeight(x, z) : 0;
     
     return new THREE.Vector3(x, y, z);
   }
   
   // Convert world position to geographical coordinates
   worldToGeoPosition(x, y, z) {
-    // Convert world coordinates to normalized position (0-1)
-    const normalizedX = (x / this.terrainWidth) + 0.5;
-    const normalizedZ = (z / this.terrainLength) + 0.5;
+    return this.projection.worldToGeo(x, z);
+  }
+  
+  // Convert meters above sea level to a world-space height
+  elevationToWorldHeight(meters) {
+    return this.projection.elevationToWorldY(meters);
+  }
+  
+  // Convert a world-space height to meters above sea level
+  worldHeightToElevation(y) {
+    return this.projection.worldYToElevation(y);
+  }
+  
+  // Remove the terrain from the scene and free its GPU resources
+  dispose() {
+    if (this.quadtree) {
+      this.quadtree.dispose();
+      this.quadtree = null;
+    }
+    
+    if (this.terrain) {
+      this.scene.remove(this.terrain);
+      this.terrain = null;
+    }
     
-    // Convert to geographical coordinates
-    const latRange = GEO_BOUNDS.north - GEO_BOUNDS.south;
-    const lngRange = GEO_BOUNDS.east - GEO_BOUNDS.west;
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
     
-    const lat = GEO_BOUNDS.north - (normalizedZ * latRange);
-    const lng = GEO_BOUNDS.west + (normalizedX * lngRange);
+    if (this.heightFieldId !== null) {
+      this.workers.broadcast('releaseHeightField', { id: this.heightFieldId });
+      this.heightFieldId = null;
+    }
     
-    return { lat, lng };
+    this.heightData = null;
+    this.heightField = null;
+    this.surroundings = null;
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Rushing air around the condor: looped noise through a band-pass filter,
+// louder and brighter with airspeed and fluttering with turbulence.
+//
+// Browsers only allow audio to start after the player interacts with the
+// page, so the sound starts on the first key press, click or touch. Where
+// Web Audio isn't available it stays silent.
+
+// Airspeed (m/s) at which the wind is loudest
+const FULL_SPEED = 30;
+
+// Seconds of noise in the looped buffer
+const NOISE_SECONDS = 2;
+
+export default class WindAudio {
+  constructor(options = {}) {
+    this.volume = options.volume ?? 0.4;
+    this.context = null;
+    this.filter = null;
+    this.gain = null;
+    this.muted = false;
+
+    this.onGesture = this.start.bind(this);
+    ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+      window.addEventListener(type, this.onGesture);
+    });
+  }
+
+  // Create the audio graph; called from the first user gesture
+  start() {
+    this.removeGestureListeners();
+    if (this.context) return;
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    try {
+      this.context = new AudioContext();
+    } catch (error) {
+      console.warn('Wind audio unavailable:', error);
+      return;
+    }
+
+    const context = this.context;
+    const buffer = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    // Brown noise (integrated white noise) sounds more like wind than hiss
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last * 3.5;
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+
+    this.filter = context.createBiquadFilter();
+    this.filter.type = 'bandpass';
+    this.filter.Q.value = 0.7;
+
+    this.gain = context.createGain();
+    this.gain.gain.value = 0;
+
+    source.connect(this.filter).connect(this.gain).connect(context.destination);
+    source.start();
+  }
+
+  // airspeed in m/s; turbulence 0 to 1 (see FlightControls.position)
+  update(airspeed, turbulence = 0) {
+    if (!this.context || !this.gain) return;
+
+    const now = this.context.currentTime;
+    const speed = Math.min(airspeed / FULL_SPEED, 1);
+
+    // Gusts make the level flutter
+    const flutter = 1 + turbulence * 0.5 * Math.sin(now * 13) * Math.sin(now * 3.1);
+    const level = this.muted ? 0 : this.volume * (0.1 + 0.9 * speed * speed) * flutter;
+
+    this.gain.gain.setTargetAtTime(level, now, 0.1);
+    this.filter.frequency.setTargetAtTime(300 + 1500 * speed + 600 * turbulence, now, 0.1);
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+  }
+
+  removeGestureListeners() {
+    ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+      window.removeEventListener(type, this.onGesture);
+    });
+  }
+
+  dispose() {
+    this.removeGestureListeners();
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+  }
+}
@@ -1,11 +1,41 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
+// Camera modes in the order cycleMode() steps through them:
+// - follow: fixed behind the condor, turning, climbing and banking with it
+// - chase: behind it on a spring, so it swings wide and lags through turns,
+//   looking ahead into them
+// - cockpit: the condor's eye view, just ahead of the beak
+// - topDown: straight down from high above, the heading pointing up the screen
+// - flyBy: fixed points set up ahead of the condor that it flies past
+export const CAMERA_MODES = ['follow', 'chase', 'cockpit', 'topDown', 'flyBy'];
+
+// Names to show for each mode
+export const CAMERA_MODE_LABELS = {
+  follow: 'Follow',
+  chase: 'Chase',
+  cockpit: "Condor's eye",
+  topDown: 'Top-down',
+  flyBy: 'Fly-by'
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Furthest the free camera orbits from the condor, world units, see setOrbitRadius()
+const MAX_ORBIT_DISTANCE = 10;
+
+// Signed difference between two angles in radians, -PI to PI
+function angleDifference(to, from) {
+  const difference = (to - from) % (Math.PI * 2);
+  return difference > Math.PI ? difference - Math.PI * 2 : difference < -Math.PI ? difference + Math.PI * 2 : difference;
+}
+
 export default class CameraController {
   constructor(camera, renderer, condor) {
     this.camera = camera;
     this.renderer = renderer;
     this.condor = condor;
+    this.terrain = null; // Ground to keep the camera out of, see setTerrain()
     this.controls = null;
     this.isMouseDown = false;
     this.prevMouseX = 0;
@@ -16,9 +46,75 @@ export default class CameraController {
       enableMouseControl: true,
       rotationSensitivity: 0.002,
       defaultOffset: new THREE.Vector3(0, 0.5, 1.2), // Moved camera back to see more of the condor
-      freeCamera: false // New state to toggle between follow mode and free camera mode
+      freeCamera: false, // New state to toggle between follow mode and free camera mode
+      shake: 0, // 0 to 1, how much rough air jostles the follow camera
+      maxShake: 0.03, // Largest shake offset, world units
+      perched: false, // Frame the condor resting on the ground, see setPerched()
+      perchedOffset: new THREE.Vector3(0.7, 0.3, 0.9), // Off to the side and level with the condor
+      perchedBlendSpeed: 1.2, // How quickly the framing changes, per second
+      mode: 'follow', // One of CAMERA_MODES, see setMode()
+      transitionTime: 1.2, // Seconds to ease from one mode to the next
+      baseFov: 75, // Field of view, degrees
+      speedFov: 15, // Extra degrees at fovFastSpeed, in the follow, chase and cockpit modes
+      fovSlowSpeed: 12, // Airspeed (m/s) the field of view starts widening at
+      fovFastSpeed: 30, // Airspeed (m/s) it's widest at
+      chaseOffset: new THREE.Vector3(0, 0.35, 1.6), // Turned with the condor's heading only
+      chaseStiffness: 5, // Pull of the chase spring toward its offset, per second squared
+      chaseLookAhead: 1.5, // World units ahead of the condor the chase camera looks
+      chaseTurnLead: 0.8, // World units it looks into a turn per radian per second of turning
+      cockpitOffset: new THREE.Vector3(0, 0.09, -0.36), // Just ahead of the beak
+      topDownHeight: 30, // World units above the condor
+      flyByDistance: 12, // World units ahead of the condor a fly-by point is set up
+      flyBySide: 2, // ... off to one side
+      flyByRise: 0.4, // ... and above
+      flyByFraming: 1.5, // World units across the view at the condor, zooming in as it's further away
+      minClearance: 0.15, // World units the camera keeps above the ground, in every mode
+      clearanceRelax: 1 // How fast the camera eases back out once the ground is clear, per second
     };
     
+    // Seconds driving the shake
+    this.shakeTime = 0;
+    
+    // Extra shake from a knock, dying away, see bump()
+    this.bumpShake = 0;
+    
+    // 0 following the flight to 1 framing the perched condor
+    this.perchBlend = 0;
+    
+    // Airspeed in m/s widening the field of view, see setSpeed()
+    this.speed = 0;
+    
+    // Where the camera was when the mode changed, eased away from over
+    // transitionTime: { position, quaternion, fov, time }, or null
+    this.transition = null;
+    
+    // Chase camera spring, offset from the condor and its velocity
+    this.chase = null;
+    
+    // Condor's heading last frame (radians, as rotation.y) and how fast it's
+    // turning, smoothed (radians per second, positive to the right)
+    this.lastYaw = null;
+    this.turnRate = 0;
+    
+    // Current fly-by point, and which side of the condor the next goes on
+    this.flyByPoint = null;
+    this.flyBySide = 1;
+    
+    // How far the camera is pulled in toward the condor in front of high
+    // ground (1 not at all, 0 all the way) and lifted over it (world units),
+    // see keepClear()
+    this.pullIn = 1;
+    this.lift = 0;
+    
+    // Camera path being played or held at one moment, see playPath():
+    // { path, time, playing, onEnd, target }, or null
+    this.pathPlayback = null;
+    
+    // With free aim on (see setFreeAim()) the free camera's orbit target can be
+    // panned off the condor, and keeps this offset from it as the condor moves
+    this.freeAim = false;
+    this.aimOffset = new THREE.Vector3();
+    
     // Initialize controls
     this.initControls();
     this.setupEventListeners();
@@ -31,7 +127,7 @@ export default class CameraController {
     this.controls.dampingFactor = 0.05;
     this.controls.maxPolarAngle = Math.PI / 1.2; // Allow more angle to see underneath
     this.controls.minDistance = 0.1; // Allow getting very close to the condor
-    this.controls.maxDistance = 10; // Limit how far you can zoom out
+    this.controls.maxDistance = MAX_ORBIT_DISTANCE; // Limit how far you can zoom out
     
     // Disable controls by default (will be enabled in free camera mode)
     this.controls.enabled = false;
@@ -48,10 +144,6 @@ export default class CameraController {
     this.renderer.domElement.addEventListener('touchstart', this.onTouchStart.bind(this));
     this.renderer.domElement.addEventListener('touchend', this.onTouchEnd.bind(this));
     this.renderer.domElement.addEventListener('touchmove', this.onTouchMove.bind(this));
-    
-    // Toggle camera control with 'C' key
-    // Toggle free camera mode with 'F' key
-    window.addEventListener('keydown', this.onKeyDown.bind(this));
   }
   
   onMouseDown(e) {
@@ -106,30 +198,34 @@ export default class CameraController {
     }
   }
   
-  onKeyDown(e) {
-    // Toggle camera control mode with 'C' key
-    if (e.key === 'c' || e.key === 'C') {
-      this.state.enableMouseControl = !this.state.enableMouseControl;
-    }
+  // Turn dragging to steer the condor on or off (the 'toggleMouseControl' input action)
+  toggleMouseControl() {
+    this.state.enableMouseControl = !this.state.enableMouseControl;
+    return this.state.enableMouseControl;
+  }
+  
+  // Switch between following the condor and orbiting it freely (the
+  // 'freeCamera' input action); returns true in free camera mode
+  toggleFreeCamera() {
+    this.state.freeCamera = !this.state.freeCamera;
     
-    // Toggle free camera mode with 'F' key
-    if (e.key === 'f' || e.key === 'F') {
-      this.state.freeCamera = !this.state.freeCamera;
+    // When switching to free camera mode, set the orbit controls target to the condor
+    if (this.state.freeCamera && this.condor) {
+      this.controls.target.copy(this.condor.position);
+      this.aimOffset.set(0, 0, 0);
+      this.controls.enabled = true;
       
-      // When switching to free camera mode, set the orbit controls target to the condor
-      if (this.state.freeCamera && this.condor) {
-        this.controls.target.copy(this.condor.position);
-        this.controls.enabled = true;
-        
-        // Display controls help message
-        this.showControlsHelp();
-      } else {
-        this.controls.enabled = false;
-        
-        // Hide help message when switching back to follow mode
-        this.hideControlsHelp();
-      }
+      // Display controls help message
+      this.showControlsHelp();
+    } else {
+      this.controls.enabled = false;
+      
+      // Hide help message when switching back to follow mode
+      this.hideControlsHelp();
+      this.startTransition();
     }
+    
+    return this.state.freeCamera;
   }
   
   showControlsHelp() {
@@ -149,7 +245,7 @@ export default class CameraController {
         <p>- Left click + drag: Rotate camera</p>
         <p>- Right click + drag: Pan camera</p>
         <p>- Scroll: Zoom in/out</p>
-        <p>- Press F to return to follow mode</p>
+        <p>- Toggle free camera again to return to follow mode</p>
       `;
       document.body.appendChild(this.helpElement);
     } else {
@@ -163,15 +259,186 @@ export default class CameraController {
     }
   }
   
-  // Update camera position to follow the condor
-  update() {
+  // Keep the free camera within radius world units of the condor, e.g. in
+  // photo mode; null for the usual limit
+  setOrbitRadius(radius) {
+    this.controls.maxDistance = radius ?? MAX_ORBIT_DISTANCE;
+  }
+  
+  // Jostle the follow camera, e.g. with the turbulence the condor flies in
+  setShake(intensity) {
+    this.state.shake = Math.min(Math.max(intensity, 0), 1);
+  }
+  
+  // Jolt the follow camera, e.g. when the condor hits the ground; intensity 0 to 1
+  bump(intensity) {
+    this.bumpShake = Math.max(this.bumpShake, Math.min(intensity, 1));
+  }
+  
+  // Frame the condor from the side while it lands and perches, or follow its flight
+  setPerched(perched) {
+    this.state.perched = perched;
+  }
+  
+  // Widen the field of view with the condor's airspeed (m/s)
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+  
+  getMode() {
+    return this.state.mode;
+  }
+  
+  // Switch to one of CAMERA_MODES, easing over from the current view
+  setMode(mode) {
+    if (!CAMERA_MODES.includes(mode) || mode === this.state.mode) return;
+    
+    this.state.mode = mode;
+    this.chase = null;
+    this.flyByPoint = null;
+    this.startTransition();
+  }
+  
+  // Step to the next of CAMERA_MODES (the 'cameraMode' input action); returns the new mode
+  cycleMode() {
+    const index = CAMERA_MODES.indexOf(this.state.mode);
+    this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+    return this.state.mode;
+  }
+  
+  startTransition() {
+    this.transition = {
+      position: this.camera.position.clone(),
+      quaternion: this.camera.quaternion.clone(),
+      fov: this.camera.fov,
+      time: 0
+    };
+  }
+  
+  // Where the camera is and what it looks at: { position, target, fov }, e.g.
+  // for a camera path keyframe. The free camera looks at its orbit target,
+  // the other views at the condor.
+  getView() {
+    return {
+      position: this.camera.position.clone(),
+      target: this.state.freeCamera ? this.controls.target.clone() : this.condor.position.clone(),
+      fov: this.camera.fov
+    };
+  }
+  
+  // Let the free camera aim somewhere other than the condor: panning (right
+  // drag) moves its orbit target, e.g. to aim a camera path keyframe. Turning
+  // it off aims back at the condor.
+  setFreeAim(enabled) {
+    this.freeAim = enabled;
+    this.aimOffset.set(0, 0, 0);
+  }
+  
+  // Fly the camera along a path (see camera/CameraPath.js) from `time`
+  // seconds in, around the condor if the path follows it. onEnd is called when
+  // it finishes, which a looping path never does, or is stopped.
+  playPath(path, time = 0, onEnd = null) {
+    this.pathPlayback = { path, time, playing: true, onEnd };
+    this.controls.enabled = false;
+  }
+  
+  // Hold the camera `time` seconds into a path, e.g. while scrubbing through it
+  previewPath(path, time) {
+    this.pathPlayback = { path, time, playing: false, onEnd: null };
+    this.controls.enabled = false;
+  }
+  
+  // Hand the camera back from a path to the current view
+  stopPath() {
+    const playback = this.pathPlayback;
+    if (!playback) return;
+    
+    this.pathPlayback = null;
+    this.controls.enabled = this.state.freeCamera;
+    if (!this.state.freeCamera) {
+      this.startTransition();
+    } else if (this.freeAim && playback.target) {
+      // Orbit on from where the path left the camera, aimed where it was looking
+      this.controls.target.copy(playback.target);
+      this.aimOffset.subVectors(playback.target, this.condor.position);
+    }
+    if (playback.onEnd) playback.onEnd();
+  }
+  
+  isPathActive() {
+    return this.pathPlayback !== null;
+  }
+  
+  // Seconds into the path being played or previewed, or null
+  getPathTime() {
+    return this.pathPlayback ? this.pathPlayback.time : null;
+  }
+  
+  updatePath(deltaTime) {
+    const playback = this.pathPlayback;
+    const path = playback.path;
+    
+    let finished = false;
+    if (playback.playing) {
+      const duration = path.getDuration();
+      playback.time += deltaTime;
+      if (playback.time >= duration) {
+        if (path.loop && duration > 0) {
+          playback.time %= duration;
+        } else {
+          playback.time = duration;
+          finished = true;
+        }
+      }
+    }
+    
+    const view = path.sample(playback.time, path.followCondor ? this.condor.position : null);
+    if (view) {
+      this.camera.position.copy(view.position);
+      this.camera.position.y = Math.max(this.camera.position.y, this.getFloor(view.position.x, view.position.z));
+      this.camera.lookAt(view.target);
+      playback.target = view.target;
+      if (Math.abs(this.camera.fov - view.fov) > 0.01) {
+        this.camera.fov = view.fov;
+        this.camera.updateProjectionMatrix();
+      }
+    }
+    
+    if (finished || !view) {
+      this.stopPath();
+    }
+  }
+  
+  // Update camera position to follow the condor, deltaTime seconds after the last frame
+  update(deltaTime) {
     if (!this.condor) return;
     
+    // A camera path takes over every view while it plays
+    if (this.pathPlayback) {
+      this.updatePath(deltaTime);
+      return;
+    }
+    
     // If in free camera mode, let OrbitControls handle the camera
     if (this.state.freeCamera) {
-      // Update orbit controls target to follow the condor position
-      this.controls.target.copy(this.condor.position);
+      // Update orbit controls target to follow the condor position, keeping
+      // any offset it's been panned by with free aim on
+      this.controls.target.copy(this.condor.position).add(this.aimOffset);
       this.controls.update();
+      if (this.freeAim) {
+        this.aimOffset.subVectors(this.controls.target, this.condor.position);
+      }
+      
+      // Orbiting can swing the camera under the ground. The orbit carries on
+      // from wherever the camera is left, so it needs no easing back out.
+      this.pullIn = 1;
+      this.lift = 0;
+      const position = this.camera.position.clone();
+      this.keepClear(position, this.controls.target, deltaTime);
+      if (!position.equals(this.camera.position)) {
+        this.camera.position.copy(position);
+        this.camera.lookAt(this.controls.target);
+      }
       return;
     }
     
@@ -179,31 +446,217 @@ export default class CameraController {
     // Disable OrbitControls when using camera control
     this.controls.enabled = false;
     
-    // Position the camera behind and slightly above the condor
-    const cameraOffset = this.state.defaultOffset.clone();
+    this.updateTurnRate(deltaTime);
+    const pose = this.getModePose(this.state.mode, deltaTime);
     
-    // Apply the condor's rotation to the camera offset
-    // This will make the camera follow the condor's orientation in all axes
-    cameraOffset.applyQuaternion(this.condor.quaternion);
+    // On the ground, ease round to a three-quarter view turned only with the
+    // condor's heading, so its raised body doesn't tip the camera
+    const blendStep = this.state.perchedBlendSpeed * deltaTime;
+    this.perchBlend = THREE.MathUtils.clamp(this.perchBlend + (this.state.perched ? blendStep : -blendStep), 0, 1);
+    if (this.perchBlend > 0 && (this.state.mode === 'follow' || this.state.mode === 'chase')) {
+      const blend = THREE.MathUtils.smoothstep(this.perchBlend, 0, 1);
+      const perchedOffset = this.state.perchedOffset.clone();
+      perchedOffset.applyAxisAngle(UP, this.condor.rotation.y);
+      
+      const perchedPosition = this.condor.position.clone().add(perchedOffset);
+      pose.position.lerp(perchedPosition, blend);
+      pose.target.lerp(this.condor.position, blend);
+    }
     
-    // Adjust the camera position to follow the condor
-    this.camera.position.copy(this.condor.position).add(cameraOffset);
+    // Pull in or rise over any ground between the camera and the condor.
+    // The condor's eye view sits at the beak, so only needs to stay off the ground.
+    this.keepClear(pose.position, this.condor.position, deltaTime, this.state.mode !== 'cockpit');
     
-    // Make the camera look at the condor
-    // Calculate a look-ahead point based on condor's forward direction
-    const lookAheadDistance = 0.5; // Minimal look-ahead distance for very close view
-    const lookAheadPoint = this.condor.position.clone();
+    // Look at the target, with the pose's idea of up
+    const matrix = new THREE.Matrix4().lookAt(pose.position, pose.target, pose.up);
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(matrix);
+    let fov = pose.fov;
     
-    // Create a vector pointing in the direction the condor is facing
-    // The condor now naturally faces negative Z direction without extra rotation
-    const forwardVector = new THREE.Vector3(0, 0, -0.5);
-    forwardVector.applyQuaternion(this.condor.quaternion);
+    // Ease over from wherever the last mode (or the free camera) left off
+    if (this.transition) {
+      const transition = this.transition;
+      transition.time += deltaTime;
+      const blend = THREE.MathUtils.smoothstep(transition.time / this.state.transitionTime, 0, 1);
+      pose.position.lerpVectors(transition.position, pose.position, blend);
+      quaternion.slerpQuaternions(transition.quaternion, quaternion, blend);
+      fov = THREE.MathUtils.lerp(transition.fov, fov, blend);
+      if (blend >= 1) this.transition = null;
+      
+      // Easing between two clear views can still cut through a ridge
+      pose.position.y = Math.max(pose.position.y, this.getFloor(pose.position.x, pose.position.z));
+    }
     
-    // Add this to the condor's position to get a point ahead of the condor
-    lookAheadPoint.add(forwardVector);
+    this.camera.position.copy(pose.position);
+    this.camera.quaternion.copy(quaternion);
     
-    // Look at this point instead of directly at the condor
-    this.camera.lookAt(lookAheadPoint);
+    // Shake with a few mismatched waves per axis, which reads as random bumps
+    this.bumpShake = Math.max(this.bumpShake - deltaTime, 0);
+    const shake = Math.max(this.state.shake, this.bumpShake);
+    if (shake > 0) {
+      this.shakeTime += deltaTime;
+      const t = this.shakeTime;
+      const amount = this.state.maxShake * shake;
+      this.camera.position.x += amount * (Math.sin(t * 23.1) + Math.sin(t * 37.7)) / 2;
+      this.camera.position.y += amount * (Math.sin(t * 29.3 + 1.3) + Math.sin(t * 41.9)) / 2;
+      this.camera.position.z += amount * (Math.sin(t * 19.7 + 2.1) + Math.sin(t * 31.1)) / 2;
+    }
+    
+    if (Math.abs(this.camera.fov - fov) > 0.01) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+  
+  // Lowest the camera may go at a point, world units
+  getFloor(x, z) {
+    if (!this.terrain) return -Infinity;
+    return this.terrain.getHeightAtPosition(x, z) + this.state.minClearance;
+  }
+  
+  // Keep a camera position (changed in place) out of the terrain: pull it in
+  // toward `target` (the condor) in front of any ground in between, when
+  // checkObstacles is set, then lift it at least minClearance over the ground
+  // below. It moves in at once, so the view never clips into a slope, and
+  // eases back out at clearanceRelax once the way is clear.
+  keepClear(position, target, deltaTime, checkObstacles = true) {
+    if (!this.terrain) return;
+    const { minClearance, clearanceRelax } = this.state;
+    const relax = clearanceRelax * deltaTime;
+    
+    // Look from just above the condor, so ground it's standing on doesn't count
+    let pullIn = 1;
+    if (checkObstacles) {
+      const origin = target.clone();
+      origin.y += minClearance;
+      const toCamera = position.clone().sub(origin);
+      const distance = toCamera.length();
+      const hit = distance > 1e-6 ? this.terrain.raycast(origin, toCamera, distance) : null;
+      if (hit && hit.distance > 0) {
+        pullIn = THREE.MathUtils.clamp((hit.distance - minClearance) / distance, 0, 1);
+      }
+      this.pullIn = Math.min(pullIn, this.pullIn + relax);
+      position.lerpVectors(origin, position, this.pullIn);
+    }
+    
+    const lift = Math.max(this.getFloor(position.x, position.z) - position.y, 0);
+    this.lift = Math.max(lift, this.lift - relax);
+    position.y += this.lift;
+  }
+  
+  // Smoothed rate the condor is turning, from its heading frame to frame
+  updateTurnRate(deltaTime) {
+    const yaw = this.condor.rotation.y;
+    if (this.lastYaw !== null && deltaTime > 0) {
+      // rotation.y grows turning left
+      const rate = -angleDifference(yaw, this.lastYaw) / deltaTime;
+      this.turnRate += (rate - this.turnRate) * (1 - Math.exp(-3 * deltaTime));
+    }
+    this.lastYaw = yaw;
+  }
+  
+  // Field of view widening with airspeed, for a sense of speed
+  getSpeedFov() {
+    const { baseFov, speedFov, fovSlowSpeed, fovFastSpeed } = this.state;
+    const fast = THREE.MathUtils.clamp((this.speed - fovSlowSpeed) / (fovFastSpeed - fovSlowSpeed), 0, 1);
+    return baseFov + speedFov * THREE.MathUtils.smoothstep(fast, 0, 1);
+  }
+  
+  // Where a mode puts the camera this frame: { position, target, up, fov }
+  getModePose(mode, deltaTime) {
+    const condor = this.condor;
+    const forward = new THREE.Vector3(0, 0, -1).applyAxisAngle(UP, condor.rotation.y);
+    
+    if (mode === 'chase') {
+      const { chaseOffset, chaseStiffness, chaseLookAhead, chaseTurnLead } = this.state;
+      const wanted = chaseOffset.clone().applyAxisAngle(UP, condor.rotation.y);
+      
+      // Start from wherever the camera is now, then spring toward the offset
+      // behind the condor's heading, critically damped so it doesn't bounce
+      if (!this.chase) {
+        this.chase = {
+          offset: this.camera.position.clone().sub(condor.position),
+          velocity: new THREE.Vector3()
+        };
+      }
+      const damping = 2 * Math.sqrt(chaseStiffness);
+      const acceleration = wanted.sub(this.chase.offset).multiplyScalar(chaseStiffness)
+        .addScaledVector(this.chase.velocity, -damping);
+      this.chase.velocity.addScaledVector(acceleration, deltaTime);
+      this.chase.offset.addScaledVector(this.chase.velocity, deltaTime);
+      
+      // Look ahead, and into the turn
+      const right = new THREE.Vector3(-forward.z, 0, forward.x);
+      const lead = THREE.MathUtils.clamp(this.turnRate * chaseTurnLead, -chaseLookAhead, chaseLookAhead);
+      return {
+        position: condor.position.clone().add(this.chase.offset),
+        target: condor.position.clone().addScaledVector(forward, chaseLookAhead).addScaledVector(right, lead),
+        up: UP,
+        fov: this.getSpeedFov()
+      };
+    }
+    
+    if (mode === 'cockpit') {
+      const position = this.state.cockpitOffset.clone().applyQuaternion(condor.quaternion).add(condor.position);
+      return {
+        position,
+        target: new THREE.Vector3(0, 0, -1).applyQuaternion(condor.quaternion).add(position),
+        up: UP.clone().applyQuaternion(condor.quaternion), // Bank with the condor
+        fov: this.getSpeedFov()
+      };
+    }
+    
+    if (mode === 'topDown') {
+      return {
+        position: condor.position.clone().add(new THREE.Vector3(0, this.state.topDownHeight, 0)),
+        target: condor.position.clone(),
+        up: forward, // Heading up the screen
+        fov: this.state.baseFov
+      };
+    }
+    
+    if (mode === 'flyBy') {
+      const { flyByDistance, flyBySide, flyByRise, flyByFraming, baseFov } = this.state;
+      
+      // Set up the next point once the condor has flown past this one, or
+      // turned away and left it far behind
+      const toPoint = this.flyByPoint ? this.flyByPoint.clone().sub(condor.position) : null;
+      const passed = toPoint && toPoint.dot(forward) < 0 && toPoint.length() > flyBySide * 2;
+      if (!toPoint || passed || toPoint.length() > flyByDistance * 1.5) {
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        this.flyBySide = -this.flyBySide;
+        this.flyByPoint = condor.position.clone()
+          .addScaledVector(forward, flyByDistance)
+          .addScaledVector(right, flyBySide * this.flyBySide)
+          .add(new THREE.Vector3(0, flyByRise, 0));
+      }
+      
+      // Zoom in while the condor is far off
+      const distance = this.flyByPoint.distanceTo(condor.position);
+      const fov = THREE.MathUtils.radToDeg(2 * Math.atan(flyByFraming / 2 / distance));
+      return {
+        position: this.flyByPoint.clone(),
+        target: condor.position.clone(),
+        up: UP,
+        fov: THREE.MathUtils.clamp(fov, 15, baseFov)
+      };
+    }
+    
+    // Follow: behind and slightly above, turning with the condor in all axes
+    const position = this.state.defaultOffset.clone().applyQuaternion(condor.quaternion).add(condor.position);
+    
+    // Look at a point just ahead of the condor rather than at it
+    const lookAhead = new THREE.Vector3(0, 0, -0.5).applyQuaternion(condor.quaternion);
+    return {
+      position,
+      target: condor.position.clone().add(lookAhead),
+      up: UP,
+      fov: this.getSpeedFov()
+    };
+  }
+  
+  // Terrain to keep the camera out of (see Terrain.js), or null
+  setTerrain(terrain) {
+    this.terrain = terrain;
   }
   
   // Set the condor reference - used when condor is created
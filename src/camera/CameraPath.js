@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+
+// A camera flythrough: keyframes of where the camera is, what it looks at and
+// its field of view at given times, joined by Catmull-Rom splines so the
+// camera sweeps smoothly through them.
+//
+// Each keyframe is { time (seconds from the start), position, target, condor
+// (THREE.Vector3s, world units), fov (degrees), easing }. condor is where the
+// condor was when the keyframe was placed, so a path can be played following
+// the condor: the whole shot then moves with it (see sample()). easing (one of
+// EASINGS) shapes the pace from that keyframe to the next.
+//
+// Paths save to and load from JSON (see toJSON() and CameraPath.fromJSON()).
+
+export const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => THREE.MathUtils.smoothstep(t, 0, 1)
+};
+
+const PATH_VERSION = 1;
+
+function toVector(value, name) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new Error(`Camera path keyframe ${name} must be [x, y, z]`);
+  }
+  return new THREE.Vector3(...value);
+}
+
+export default class CameraPath {
+  constructor(options = {}) {
+    this.keyframes = [];
+    this.followCondor = options.followCondor ?? false; // Play the shot relative to the condor
+    this.loop = options.loop ?? false; // Start over at the end instead of stopping
+    this.region = options.region ?? null; // Id of the region the path was made in
+
+    // Splines through the keyframes, rebuilt after changes
+    this.curves = null;
+  }
+
+  // Add a keyframe ({ time, position, target, condor, fov, easing }; easing
+  // defaults to linear), keeping them in time order. Returns its index.
+  addKeyframe(keyframe) {
+    const added = {
+      time: Math.max(keyframe.time, 0),
+      position: keyframe.position.clone(),
+      target: keyframe.target.clone(),
+      condor: (keyframe.condor || keyframe.position).clone(),
+      fov: keyframe.fov,
+      easing: EASINGS[keyframe.easing] ? keyframe.easing : 'linear'
+    };
+    this.keyframes.push(added);
+    this.sortKeyframes();
+    return this.keyframes.indexOf(added);
+  }
+
+  // Change some of a keyframe's fields; returns its index after re-sorting
+  updateKeyframe(index, changes) {
+    const keyframe = this.keyframes[index];
+    if (!keyframe) return -1;
+
+    ['position', 'target', 'condor'].forEach(field => {
+      if (changes[field]) keyframe[field] = changes[field].clone();
+    });
+    if (Number.isFinite(changes.time)) keyframe.time = Math.max(changes.time, 0);
+    if (Number.isFinite(changes.fov)) keyframe.fov = changes.fov;
+    if (EASINGS[changes.easing]) keyframe.easing = changes.easing;
+
+    this.sortKeyframes();
+    return this.keyframes.indexOf(keyframe);
+  }
+
+  removeKeyframe(index) {
+    this.keyframes.splice(index, 1);
+    this.curves = null;
+  }
+
+  clear() {
+    this.keyframes = [];
+    this.curves = null;
+  }
+
+  sortKeyframes() {
+    this.keyframes.sort((a, b) => a.time - b.time);
+    this.curves = null;
+  }
+
+  // Seconds from the start to the last keyframe
+  getDuration() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+  }
+
+  // Centripetal Catmull-Rom splines don't loop or overshoot between close keyframes
+  getCurves() {
+    if (!this.curves) {
+      const curve = field => new THREE.CatmullRomCurve3(this.keyframes.map(keyframe => keyframe[field]), false, 'centripetal');
+      this.curves = {
+        position: curve('position'),
+        target: curve('target'),
+        condor: curve('condor')
+      };
+    }
+    return this.curves;
+  }
+
+  // Camera { position, target, fov } `time` seconds into the path, or null
+  // without keyframes. Pass the condor's position to play the shot around
+  // where it is now rather than where it was when the path was made.
+  sample(time, condorPosition = null) {
+    const keyframes = this.keyframes;
+    if (keyframes.length === 0) return null;
+
+    let position;
+    let target;
+    let condor;
+    let fov;
+    if (keyframes.length === 1 || time <= keyframes[0].time) {
+      ({ position, target, condor, fov } = keyframes[0]);
+    } else if (time >= this.getDuration()) {
+      ({ position, target, condor, fov } = keyframes[keyframes.length - 1]);
+    } else {
+      // The segment the time falls in, and how far along it, eased
+      let index = 0;
+      while (keyframes[index + 1].time <= time) index++;
+      const from = keyframes[index];
+      const to = keyframes[index + 1];
+      const span = to.time - from.time;
+      const along = EASINGS[from.easing](span > 0 ? (time - from.time) / span : 1);
+
+      // The curves pass through one keyframe per equal step of their parameter
+      const t = (index + along) / (keyframes.length - 1);
+      const curves = this.getCurves();
+      position = curves.position.getPoint(t);
+      target = curves.target.getPoint(t);
+      condor = curves.condor.getPoint(t);
+      fov = THREE.MathUtils.lerp(from.fov, to.fov, along);
+    }
+
+    position = position.clone();
+    target = target.clone();
+    if (condorPosition) {
+      const shift = condorPosition.clone().sub(condor);
+      position.add(shift);
+      target.add(shift);
+    }
+    return { position, target, fov };
+  }
+
+  toJSON() {
+    return {
+      version: PATH_VERSION,
+      region: this.region,
+      followCondor: this.followCondor,
+      loop: this.loop,
+      keyframes: this.keyframes.map(keyframe => ({
+        time: keyframe.time,
+        position: keyframe.position.toArray(),
+        target: keyframe.target.toArray(),
+        condor: keyframe.condor.toArray(),
+        fov: keyframe.fov,
+        easing: keyframe.easing
+      }))
+    };
+  }
+
+  // Build a path from toJSON() output; throws if it isn't one
+  static fromJSON(json) {
+    if (!json || !Array.isArray(json.keyframes)) {
+      throw new Error('Not a camera path: no keyframes');
+    }
+
+    const path = new CameraPath({
+      followCondor: json.followCondor === true,
+      loop: json.loop === true,
+      region: json.region ?? null
+    });
+    json.keyframes.forEach(keyframe => {
+      if (!Number.isFinite(keyframe.time) || !Number.isFinite(keyframe.fov)) {
+        throw new Error('Camera path keyframes need a time and fov');
+      }
+      path.addKeyframe({
+        time: keyframe.time,
+        position: toVector(keyframe.position, 'position'),
+        target: toVector(keyframe.target, 'target'),
+        condor: keyframe.condor ? toVector(keyframe.condor, 'condor') : null,
+        fov: keyframe.fov,
+        easing: keyframe.easing
+      });
+    });
+    return path;
+  }
+}
@@ -0,0 +1,175 @@
+import CameraPath, { EASINGS } from './CameraPath.js';
+import { downloadBlob } from '../ui/download.js';
+
+// Seconds after the last keyframe a new one is placed at
+const KEYFRAME_SPACING = 3;
+
+// Builds a camera path (see CameraPath.js) from the free camera: place the
+// camera, add a keyframe, move on. Previews, scrubs and plays the path through
+// the CameraController, and saves and loads it as a JSON file.
+// UIManager.showCameraPathEditor() draws the panel for it.
+export default class CameraPathEditor {
+  constructor(cameraController, condor, options = {}) {
+    this.cameraController = cameraController;
+    this.condor = condor;
+    this.region = options.region ?? null; // Id of the current region, saved with the path
+    this.path = new CameraPath({ region: this.region });
+
+    // Seconds into the path shown by the scrubber
+    this.time = 0;
+
+    // Message for the panel, e.g. why a file wouldn't load
+    this.status = '';
+
+    // Called after anything the panel shows changes, to redraw it
+    this.onChange = null;
+  }
+
+  changed(status = '') {
+    this.status = status;
+    if (this.onChange) this.onChange();
+  }
+
+  getKeyframes() {
+    return this.path.keyframes;
+  }
+
+  // Names of the paces a keyframe can set to the next
+  getEasings() {
+    return Object.keys(EASINGS);
+  }
+
+  getDuration() {
+    return this.path.getDuration();
+  }
+
+  isPlaying() {
+    const playback = this.cameraController.pathPlayback;
+    return playback !== null && playback.playing;
+  }
+
+  // Seconds into the path the camera is at while it plays, otherwise the scrubber's
+  getTime() {
+    return this.isPlaying() ? this.cameraController.getPathTime() : this.time;
+  }
+
+  // Keyframe the current view a few seconds after the last keyframe. A
+  // preview is stopped first, so the free camera orbits on from there.
+  addKeyframe() {
+    this.stop();
+    const view = this.cameraController.getView();
+    const time = this.path.keyframes.length > 0 ? this.getDuration() + KEYFRAME_SPACING : 0;
+    const index = this.path.addKeyframe({ ...view, time, condor: this.condor.position });
+    this.time = this.path.keyframes[index].time;
+    this.changed();
+  }
+
+  // Move a keyframe to the current view
+  setKeyframeView(index) {
+    this.stop();
+    const view = this.cameraController.getView();
+    this.path.updateKeyframe(index, { position: view.position, target: view.target, fov: view.fov, condor: this.condor.position });
+    this.changed();
+  }
+
+  // Change a keyframe's time, fov or easing
+  editKeyframe(index, changes) {
+    this.path.updateKeyframe(index, changes);
+    this.changed();
+  }
+
+  removeKeyframe(index) {
+    this.path.removeKeyframe(index);
+    this.time = Math.min(this.time, this.getDuration());
+    this.changed();
+  }
+
+  clear() {
+    this.stop();
+    this.path.clear();
+    this.time = 0;
+    this.changed();
+  }
+
+  // Show the path `time` seconds in
+  scrub(time) {
+    this.time = Math.min(Math.max(time, 0), this.getDuration());
+    if (this.path.keyframes.length > 0) {
+      this.cameraController.previewPath(this.path, this.time);
+    }
+    this.changed();
+  }
+
+  goToKeyframe(index) {
+    const keyframe = this.path.keyframes[index];
+    if (keyframe) this.scrub(keyframe.time);
+  }
+
+  // Play from the scrubber, or from the start if it's at the end
+  play() {
+    if (this.path.keyframes.length < 2) {
+      this.changed('Add at least two keyframes to play the path');
+      return;
+    }
+
+    const from = this.time < this.getDuration() ? this.time : 0;
+    this.cameraController.playPath(this.path, from, () => {
+      this.time = 0;
+      this.changed();
+    });
+    this.changed();
+  }
+
+  // Stop playing or previewing and hand the camera back
+  stop() {
+    this.cameraController.stopPath();
+    this.changed(this.status);
+  }
+
+  setFollowCondor(followCondor) {
+    this.path.followCondor = followCondor;
+    this.changed();
+  }
+
+  setLoop(loop) {
+    this.path.loop = loop;
+    this.changed();
+  }
+
+  // Download the path as a JSON file
+  save() {
+    this.path.region = this.region;
+    const json = JSON.stringify(this.path.toJSON(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${this.region || 'camera'}-path.json`);
+  }
+
+  // Replace the path with one saved by save(), from the file's text
+  load(text) {
+    let path;
+    try {
+      path = CameraPath.fromJSON(JSON.parse(text));
+    } catch (error) {
+      console.error('Error loading camera path:', error);
+      this.changed(`Could not load the path: ${error.message}`);
+      return;
+    }
+
+    this.stop();
+    this.path = path;
+    this.time = 0;
+    const otherRegion = path.region && this.region && path.region !== this.region;
+    this.changed(otherRegion ? `This path was made in ${path.region}` : '');
+  }
+
+  // Let the free camera pan off the condor, so keyframes can aim anywhere
+  open() {
+    this.cameraController.setFreeAim(true);
+  }
+
+  // Stop any playback and aim back at the condor; the path stays for next time
+  close() {
+    this.onChange = null;
+    this.stop();
+    this.cameraController.setFreeAim(false);
+  }
+}
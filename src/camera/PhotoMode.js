@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// Rendering for photo mode: depth of field focused on the condor, exposure
+// and colour filters, and captures at a multiple of the screen resolution.
+// Big captures are rendered in screen-sized tiles, each a slice of one larger
+// view (Camera.setViewOffset), and stitched on a 2D canvas, so they don't
+// need a drawing buffer bigger than the screen.
+
+export const DEFAULT_PHOTO = {
+  exposure: 0, // Stops brighter (+) or darker (-)
+  aperture: 0, // Depth of field blur; 0 keeps everything sharp
+  maxBlur: 0.015, // Largest blur, as a fraction of the view
+  filter: 'none', // One of PHOTO_FILTERS
+  scale: 2 // Capture size as a multiple of the screen
+};
+
+// Colour grades: saturation (0 grey, 1 unchanged), sepia (0-1), tint (RGB
+// multipliers) and vignette (how much the corners darken)
+export const PHOTO_FILTERS = {
+  none: { label: 'None', saturation: 1, sepia: 0, tint: [1, 1, 1], vignette: 0 },
+  vivid: { label: 'Vivid', saturation: 1.35, sepia: 0, tint: [1, 1, 1], vignette: 0.15 },
+  blackAndWhite: { label: 'Black & white', saturation: 0, sepia: 0, tint: [1, 1, 1], vignette: 0.25 },
+  sepia: { label: 'Sepia', saturation: 1, sepia: 1, tint: [1, 1, 1], vignette: 0.35 },
+  warm: { label: 'Warm', saturation: 1.1, sepia: 0, tint: [1.08, 1, 0.88], vignette: 0.1 },
+  cool: { label: 'Cool', saturation: 0.95, sepia: 0, tint: [0.9, 1, 1.1], vignette: 0.1 }
+};
+
+// Largest capture side in pixels, within what browsers allow for a canvas
+const MAX_CAPTURE_SIZE = 16384;
+
+const PhotoFilterShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    exposure: { value: 0 },
+    saturation: { value: 1 },
+    sepia: { value: 0 },
+    tint: { value: new THREE.Vector3(1, 1, 1) },
+    vignette: { value: 0 },
+    // Part of the whole picture being drawn (x, y from the bottom left,
+    // width, height), so a tiled capture vignettes the whole picture
+    viewRegion: { value: new THREE.Vector4(0, 0, 1, 1) }
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform float exposure;
+    uniform float saturation;
+    uniform float sepia;
+    uniform vec3 tint;
+    uniform float vignette;
+    uniform vec4 viewRegion;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      vec3 rgb = color.rgb * exp2(exposure);
+
+      float gray = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+      rgb = mix(vec3(gray), rgb, saturation);
+      vec3 toned = vec3(
+        dot(rgb, vec3(0.393, 0.769, 0.189)),
+        dot(rgb, vec3(0.349, 0.686, 0.168)),
+        dot(rgb, vec3(0.272, 0.534, 0.131))
+      );
+      rgb = mix(rgb, toned, sepia) * tint;
+
+      vec2 picture = viewRegion.xy + vUv * viewRegion.zw;
+      vec2 fromCenter = picture - 0.5;
+      rgb *= 1.0 - vignette * smoothstep(0.2, 0.75, length(fromCenter));
+
+      gl_FragColor = vec4(rgb, color.a);
+    }
+  `
+};
+
+export default class PhotoMode {
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.settings = { ...DEFAULT_PHOTO, ...options };
+
+    // Distance to keep in focus, world units, see setFocus()
+    this.focus = 1;
+
+    this.composer = new EffectComposer(renderer);
+    this.composer.addPass(new RenderPass(scene, camera));
+    this.bokehPass = new BokehPass(scene, camera, { focus: 1, aperture: 0, maxblur: 0 });
+    this.composer.addPass(this.bokehPass);
+    this.filterPass = new ShaderPass(PhotoFilterShader);
+    this.composer.addPass(this.filterPass);
+    this.composer.addPass(new OutputPass());
+
+    this.applySettings();
+  }
+
+  // Change any of DEFAULT_PHOTO's settings
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.applySettings();
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // Keep this far from the camera sharp (world units), e.g. the condor
+  setFocus(distance) {
+    this.focus = distance;
+    this.bokehPass.uniforms.focus.value = distance;
+  }
+
+  // blurScale enlarges the blur for captures bigger than the screen, so a
+  // capture looks like what's on screen
+  applySettings(blurScale = 1) {
+    const settings = this.settings;
+    const filter = PHOTO_FILTERS[settings.filter] || PHOTO_FILTERS.none;
+
+    this.bokehPass.enabled = settings.aperture > 0;
+    this.bokehPass.uniforms.aperture.value = settings.aperture * blurScale;
+    this.bokehPass.uniforms.maxblur.value = settings.maxBlur * blurScale;
+
+    const uniforms = this.filterPass.uniforms;
+    uniforms.exposure.value = settings.exposure;
+    uniforms.saturation.value = filter.saturation;
+    uniforms.sepia.value = filter.sepia;
+    uniforms.tint.value.fromArray(filter.tint);
+    uniforms.vignette.value = filter.vignette;
+  }
+
+  setSize(width, height) {
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(width, height);
+  }
+
+  // Draw the scene with the photo settings, in place of renderer.render()
+  render() {
+    this.bokehPass.uniforms.aspect.value = this.camera.aspect;
+    this.composer.render();
+  }
+
+  // Render the current view at settings.scale times the screen resolution
+  // (less if that would be too big) into a new canvas
+  capture() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const tileWidth = size.x;
+    const tileHeight = size.y;
+    const scale = Math.max(1, Math.min(
+      Math.floor(this.settings.scale),
+      Math.floor(MAX_CAPTURE_SIZE / tileWidth),
+      Math.floor(MAX_CAPTURE_SIZE / tileHeight)
+    ));
+    const width = tileWidth * scale;
+    const height = tileHeight * scale;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    this.applySettings(scale);
+    const viewRegion = this.filterPass.uniforms.viewRegion.value;
+
+    // Each tile is drawn straight after rendering it, before the browser can
+    // clear the drawing buffer
+    for (let row = 0; row < scale; row++) {
+      for (let column = 0; column < scale; column++) {
+        const x = column * tileWidth;
+        const y = row * tileHeight;
+        this.camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+        viewRegion.set(x / width, 1 - (y + tileHeight) / height, 1 / scale, 1 / scale);
+        this.render();
+        context.drawImage(this.renderer.domElement, x, y, tileWidth, tileHeight);
+      }
+    }
+
+    this.camera.clearViewOffset();
+    viewRegion.set(0, 0, 1, 1);
+    this.applySettings();
+    this.render();
+
+    return canvas;
+  }
+
+  dispose() {
+    this.bokehPass.dispose();
+    this.filterPass.dispose();
+    this.composer.dispose();
+  }
+}
@@ -0,0 +1,313 @@
+// Flies the condor hands-free, e.g. to demo a region. FlightControls asks it
+// for pitch, roll and flap in place of the player's input while it's engaged,
+// and disengages it as soon as the player steers. Modes:
+// - 'hold': keep a compass heading and an altitude
+// - 'flyTo': head for a point, such as a peak from LandmarksManager.getPeaks()
+// - 'waypoints': fly an ordered list of lat/lng points, optionally looping
+// - 'orbit': circle a point at a radius and altitude
+// Once the last point of 'flyTo' or 'waypoints' is reached it circles it.
+//
+// Whatever the mode, the target altitude is raised to keep minClearance over
+// the ground below and ahead (the terrain's height queries, looking a few
+// seconds along the track), and if the ground right ahead is higher than the
+// condor it turns toward lower ground. It climbs by flapping while it has
+// stamina to spare and otherwise glides, so without rising air it sinks as
+// any condor would.
+//
+// Headings are compass degrees along the ground track, so the wind is
+// allowed for; altitudes are meters above sea level and distances meters.
+// An altitude or heading left null is taken from the condor when the mode starts.
+
+export const DEFAULT_AUTOPILOT = {
+  minClearance: 300, // Meters to keep above the ground below and ahead
+  lookAhead: [2, 5, 10], // Seconds of flight ahead to check the ground at
+  altitudeBand: 50, // Meters either side of the target altitude that count as holding it
+  climbPitch: 0.4, // Pitch input while climbing, close to minimum sink
+  maxDivePitch: 0.5, // Nose-down pitch input at most while too high
+  staminaToFlap: 0.6, // Stamina fraction needed to start climbing by flapping
+  staminaReserve: 0.3, // Stamina fraction kept back: flapping stops below it
+  maxRoll: 0.8, // Roll input at most, for gentle turns
+  headingGain: 1 / 30, // Roll input per degree off the wanted track
+  arrivalRadius: 1500, // Meters from a point that count as reaching it
+  orbitRadius: 3000 // Meters, for orbits that don't set one
+};
+
+// Signed difference between two compass angles, -180 to 180
+export function angleDifference(to, from) {
+  return ((to - from) % 360 + 540) % 360 - 180;
+}
+
+export default class Autopilot {
+  constructor(terrain, options = {}) {
+    this.terrain = terrain;
+    this.config = { ...DEFAULT_AUTOPILOT, ...options };
+
+    // Current mode and its settings, null when disengaged
+    this.mode = null;
+
+    // Whether a climb by flapping is under way
+    this.flapping = false;
+
+    // Called with the status (see getStatus()) whenever the mode changes,
+    // including when the player takes over
+    this.onChange = null;
+  }
+
+  // Keep a compass heading and an altitude
+  holdHeading(heading = null, altitude = null) {
+    this.engage({ type: 'hold', heading, altitude });
+  }
+
+  // Fly to a point { lat, lng, name } and circle it. Peaks are circled at a
+  // safe height above their summit.
+  flyTo(target, altitude = null) {
+    this.engage({
+      type: 'flyTo',
+      points: [this.toPoint(target, altitude)],
+      index: 0,
+      altitude,
+      loop: false
+    });
+  }
+
+  // Fly through waypoints { lat, lng, altitude, name } in order. altitude is
+  // for waypoints that don't set their own; loop starts over after the last.
+  followWaypoints(waypoints, { altitude = null, loop = false } = {}) {
+    if (!waypoints.length) return;
+
+    this.engage({
+      type: 'waypoints',
+      points: waypoints.map(waypoint => this.toPoint(waypoint, waypoint.altitude ?? altitude)),
+      index: 0,
+      altitude,
+      loop
+    });
+  }
+
+  // Circle a point { lat, lng, name } radius meters out
+  orbit(center, radius = this.config.orbitRadius, altitude = null, { clockwise = true } = {}) {
+    this.engage({ type: 'orbit', center: this.toPoint(center, altitude), radius, altitude, clockwise });
+  }
+
+  // Hand control back; reason says why (e.g. 'input' when the player steered)
+  disengage(reason = 'off') {
+    if (!this.mode) return;
+
+    this.mode = null;
+    this.flapping = false;
+    this.notify(reason);
+  }
+
+  isEngaged() {
+    return this.mode !== null;
+  }
+
+  // The mode ('hold', 'flyTo', 'waypoints' or 'orbit'), or null when disengaged
+  getMode() {
+    return this.mode ? this.mode.type : null;
+  }
+
+  // Points are kept in world coordinates, so a new region's terrain ends the flight
+  setTerrain(terrain) {
+    this.disengage('terrain');
+    this.terrain = terrain;
+  }
+
+  engage(mode) {
+    this.mode = mode;
+    this.flapping = false;
+    this.notify('engaged');
+  }
+
+  notify(reason) {
+    if (this.onChange) {
+      this.onChange(this.getStatus(), reason);
+    }
+  }
+
+  // A lat/lng target in world coordinates, with its name and altitude (or null)
+  toPoint(target, altitude) {
+    const position = this.terrain.geoToWorldPosition(target.lat, target.lng);
+    return {
+      x: position.x,
+      z: position.z,
+      name: target.name || `${target.lat.toFixed(3)}°, ${target.lng.toFixed(3)}°`,
+      // A summit's elevation says how high to circle it
+      altitude: altitude ?? (target.elevation !== undefined ? target.elevation + this.config.minClearance : null)
+    };
+  }
+
+  // Where the condor is headed, for the HUD: { mode, label, distance (meters,
+  // to the next point) }, or null when disengaged
+  getStatus() {
+    const mode = this.mode;
+    if (!mode) return null;
+
+    const distance = mode.distance ?? null;
+    const km = distance !== null ? `, ${(distance / 1000).toFixed(1)} km` : '';
+
+    switch (mode.type) {
+      case 'hold': {
+        const heading = mode.heading !== null ? `${Math.round(mode.heading)}°` : 'heading';
+        const altitude = mode.altitude !== null ? ` at ${Math.round(mode.altitude)} m` : '';
+        return { mode: 'hold', label: `Holding ${heading}${altitude}`, distance };
+      }
+      case 'flyTo':
+        return { mode: 'flyTo', label: `To ${mode.points[0].name}${km}`, distance };
+      case 'waypoints': {
+        const point = mode.points[mode.index];
+        return { mode: 'waypoints', label: `Waypoint ${mode.index + 1}/${mode.points.length} (${point.name})${km}`, distance };
+      }
+      default:
+        return { mode: 'orbit', label: `Circling ${mode.center.name}`, distance };
+    }
+  }
+
+  // Controls for the next deltaTime seconds as { pitch, roll, flap }. state is
+  // the condor's { x, z } world position, altitudeMSL (meters), track (compass
+  // degrees over the ground), groundSpeed (meters per second of game time,
+  // including any speed-up), stamina (0-1) and exhausted.
+  update(deltaTime, state) {
+    const mode = this.mode;
+    if (!mode) return { pitch: 0, roll: 0, flap: 0 };
+
+    // Settings left open are taken from where the condor is now
+    if (mode.altitude === null) mode.altitude = state.altitudeMSL;
+    if (mode.type === 'hold' && mode.heading === null) mode.heading = state.track;
+
+    const { track, altitude } = this.getGuidance(state);
+    const clearance = this.getClearanceAltitude(state);
+    const wantedTrack = this.avoidTerrain(state, track);
+
+    const turn = angleDifference(wantedTrack, state.track);
+    const { maxRoll, headingGain } = this.config;
+    const roll = Math.min(Math.max(turn * headingGain, -maxRoll), maxRoll);
+
+    const { pitch, flap } = this.getClimb(state, Math.max(altitude, clearance));
+    return { pitch, roll, flap };
+  }
+
+  // Track and altitude the current mode wants
+  getGuidance(state) {
+    const mode = this.mode;
+
+    if (mode.type === 'hold') {
+      mode.distance = null;
+      return { track: mode.heading, altitude: mode.altitude };
+    }
+
+    if (mode.type === 'orbit') {
+      return { track: this.getOrbitTrack(state, mode), altitude: mode.center.altitude ?? mode.altitude };
+    }
+
+    // Head for the next point, moving on once close enough
+    let point = mode.points[mode.index];
+    let distance = this.getDistance(state, point);
+    if (distance < this.config.arrivalRadius) {
+      if (mode.index < mode.points.length - 1 || mode.loop) {
+        mode.index = (mode.index + 1) % mode.points.length;
+        point = mode.points[mode.index];
+        distance = this.getDistance(state, point);
+        mode.distance = distance;
+        this.notify('waypoint');
+      } else {
+        // Last point: circle it
+        this.engage({
+          type: 'orbit',
+          center: point,
+          radius: this.config.orbitRadius,
+          altitude: point.altitude ?? mode.altitude,
+          clockwise: true
+        });
+        return this.getGuidance(state);
+      }
+    }
+
+    mode.distance = distance;
+    return { track: this.getBearing(state, point), altitude: point.altitude ?? mode.altitude };
+  }
+
+  // Track that circles the orbit's centre, steering in or out toward its radius
+  getOrbitTrack(state, mode) {
+    const distance = this.getDistance(state, mode.center);
+    mode.distance = distance;
+
+    // Along the circle is square to the bearing out from the centre; up to
+    // 60° more toward the centre when outside the circle, away when inside
+    const outward = (this.getBearing(state, mode.center) + 180) % 360;
+    const offset = Math.min(Math.max((distance - mode.radius) / mode.radius * 90, -60), 60);
+    return mode.clockwise ? outward + 90 + offset : outward - 90 - offset;
+  }
+
+  // Pitch and flapping to reach an altitude, flapping in bursts that leave
+  // some stamina in reserve
+  getClimb(state, altitude) {
+    const { altitudeBand, climbPitch, maxDivePitch, staminaToFlap, staminaReserve } = this.config;
+    const error = altitude - state.altitudeMSL;
+
+    if (this.flapping) {
+      this.flapping = error > 0 && !state.exhausted && state.stamina > staminaReserve;
+    } else {
+      this.flapping = error > altitudeBand && !state.exhausted && state.stamina >= staminaToFlap;
+    }
+
+    let pitch = 0;
+    if (error > altitudeBand) {
+      pitch = climbPitch;
+    } else if (error < -altitudeBand) {
+      // Nose down harder the higher above the target, 500 m over for a full dive
+      pitch = -Math.min((-error - altitudeBand) / 500, 1) * maxDivePitch;
+    }
+
+    return { pitch, flap: this.flapping ? 1 : 0 };
+  }
+
+  // Lowest safe altitude: minClearance over the highest ground below and
+  // along the track a few seconds ahead
+  getClearanceAltitude(state) {
+    let highest = this.getGroundElevation(state.x, state.z);
+    this.config.lookAhead.forEach(seconds => {
+      const ahead = this.getPointAhead(state, state.track, state.groundSpeed * seconds);
+      highest = Math.max(highest, this.getGroundElevation(ahead.x, ahead.z));
+    });
+    return highest + this.config.minClearance;
+  }
+
+  // When the ground the first look ahead away is higher than the condor,
+  // turn toward whichever side is lower rather than fly into it
+  avoidTerrain(state, track) {
+    const distance = state.groundSpeed * this.config.lookAhead[0];
+    const ahead = this.getPointAhead(state, state.track, distance);
+    if (this.getGroundElevation(ahead.x, ahead.z) < state.altitudeMSL) return track;
+
+    const left = this.getPointAhead(state, state.track - 60, distance);
+    const right = this.getPointAhead(state, state.track + 60, distance);
+    return this.getGroundElevation(left.x, left.z) < this.getGroundElevation(right.x, right.z)
+      ? state.track - 60
+      : state.track + 60;
+  }
+
+  getGroundElevation(x, z) {
+    return this.terrain.worldHeightToElevation(this.terrain.getHeightAtPosition(x, z));
+  }
+
+  // World position distance meters from the condor along a compass track
+  getPointAhead(state, track, distance) {
+    const radians = track * Math.PI / 180;
+    const units = this.terrain.projection.metersToUnits(distance);
+    return {
+      x: state.x + Math.sin(radians) * units,
+      z: state.z - Math.cos(radians) * units
+    };
+  }
+
+  // Meters from the condor to a point over the ground
+  getDistance(state, point) {
+    return this.terrain.projection.unitsToMeters(Math.hypot(point.x - state.x, point.z - state.z));
+  }
+
+  // Compass bearing from the condor to a point: east is +X, north is -Z
+  getBearing(state, point) {
+    return (Math.atan2(point.x - state.x, state.z - point.z) * 180 / Math.PI + 360) % 360;
+  }
+}
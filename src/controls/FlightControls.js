@@ -1,132 +1,834 @@
 import * as THREE from 'three';
+import FlightModel, { airDensity } from '../physics/FlightModel.js';
+import Stamina from '../physics/Stamina.js';
+import Autopilot, { angleDifference } from './Autopilot.js';
 
+// Default gameplay speed-up of the distances flown, see FlightControls
+const DEFAULT_SPEED_MULTIPLIER = 20;
+
+// Longest time step simulated in one update, seconds
+const MAX_DELTA_TIME = 0.1;
+
+// Height above the terrain, world units, where the condor can start landing;
+// in forgiving mode it also never flies lower than this
+const MIN_FLIGHT_HEIGHT = 6;
+
+// Height of the condor's body above its feet, world units
+const PERCHED_HEIGHT = 0.13;
+
+// Touching down, perching and taking off. Speeds and slopes are real (before
+// the speed multiplier and without the vertical exaggeration).
+export const DEFAULT_LANDING = {
+  maxSpeedFactor: 1.3, // Airspeed to land at most, times the stall speed
+  maxSlope: 0.4, // Steepest ground (rise over run) to land on away from a perch
+  perchRadius: 400, // Meters from a perch to land on it whatever the slope
+  landingTime: 1.5, // Seconds to settle from the lowest flight height onto the ground
+  perchedPitch: 0.35, // Body raised nose up while perched, radians
+  turnRate: 90, // Degrees per second turning on the spot while perched
+  launchTime: 1.5, // Seconds from leaving the ground to flying
+  launchHeight: 150, // Meters above the ground ahead where the launch ends
+  cliffDrop: 80, // Meters the ground falls away over one launch distance to jump off
+  minRunSlope: 0.1, // Downhill slope (drop over run) to run down and take off gliding
+  flapTakeOffCost: 25, // Stamina to take off from flat ground by flapping
+  cooldown: 3 // Seconds after taking off before landing again
+};
+
+// Hitting the terrain. Speeds are real m/s (before the speed multiplier)
+// into the surface, along its normal.
+export const DEFAULT_CRASH = {
+  forgiving: false, // Hold the condor MIN_FLIGHT_HEIGHT over the ground instead of colliding
+  bodyRadius: 0.15, // World units from the condor's centre to the ground at contact
+  grazeSpeed: 3, // Below this the condor glances off and slides along the surface
+  crashSpeed: 10, // Impact of full severity
+  grazeStamina: 10, // Stamina knocked out by a graze at grazeSpeed
+  stunTime: 3, // Seconds lying stunned after a full-severity crash
+  safeHeight: 300, // Meters above the ground, not stalled, that count as safe to respawn at
+  safeInterval: 2 // Seconds between safe positions recorded
+};
+
+// Flight of the condor, driven by the glider model in physics/FlightModel.js and
+// steered with the 'pitch', 'roll' and 'flap' actions of options.input (an
+// InputManager). Flapping costs stamina (see physics/Stamina.js). The autopilot
+// (see Autopilot.js) can fly instead, until the player steers.
+//
+// Coming down slowly enough onto gentle ground, or onto a perch such as a
+// summit (see setPerches()), the condor lands and perches. Perched, it turns
+// on the spot with 'roll' and takes off with takeOff(): jumping off a cliff,
+// running down a slope, or flapping hard from flat ground.
+//
+// Anywhere else the path flown each step is swept against the terrain. A
+// glancing hit slides the condor along the ground; a harder one crashes it,
+// and after lying stunned for a moment it respawns at the last safe spot:
+// the last perch it landed on, or where it last flew comfortably clear of the
+// ground, whichever was more recent. Forgiving mode (see setForgiving())
+// just keeps it off the ground instead.
+//
+// options.flight, options.stamina, options.autopilot, options.landing and
+// options.crash override the model's, the stamina's, the autopilot's,
+// DEFAULT_LANDING's and DEFAULT_CRASH's config; options.speedMultiplier (see
+// below) sets how much faster than real life the condor covers ground.
 export default class FlightControls {
-  constructor(condorModel, terrain) {
+  constructor(condorModel, terrain, options = {}) {
     this.condorModel = condorModel;
     this.terrain = terrain;
     this.condor = condorModel ? condorModel.getMesh() : null;
     
-    // Flight controls state
-    this.state = {
-      speed: 0.1,
-      rotationSpeed: 0.03,
-      maxSpeed: 0.3,
-      minSpeed: 0.05,
+    this.flightModel = new FlightModel(options.flight);
+    this.stamina = new Stamina(options.stamina);
+    this.input = options.input || null;
+    this.autopilot = new Autopilot(terrain, options.autopilot);
+    this.landing = { ...DEFAULT_LANDING, ...options.landing };
+    this.crash = { ...DEFAULT_CRASH, ...options.crash };
+    
+    // 'flying', 'landing' (settling onto the ground), 'perched', 'launching'
+    // (taking off) or 'crashed'; move is the landing or launch under way
+    this.phase = 'flying';
+    this.move = null;
+    
+    // Where to respawn after a crash, { x, y, z, heading, perch }, and seconds
+    // since a safe position was last recorded
+    this.respawnPoint = null;
+    this.safeTimer = 0;
+    
+    // Seconds left lying stunned after a crash
+    this.stunTime = 0;
+    
+    // True while sliding along the ground after a graze, until clear of it again
+    this.inContact = false;
+    
+    // Called with { speed, severity (0-1), crashed } whenever the condor hits
+    // the ground, e.g. for feedback
+    this.onImpact = null;
+    
+    // Seconds left after a takeoff before the condor can land again
+    this.landingCooldown = 0;
+    
+    // Places to land on whatever the slope, see setPerches()
+    this.perches = [];
+    
+    // Carcasses to feed on, see setCarrionManager()
+    this.carrionManager = null;
+    
+    // Edge of the map, see setBoundary()
+    this.boundary = null;
+    
+    // Called with (region id, edge) when the condor flies off an edge with a
+    // neighbouring region across it, e.g. to load that region. It's called
+    // once per crossing: leavingRegion holds it off until a new boundary is
+    // set or stayInRegion() is called.
+    this.onLeaveRegion = null;
+    this.leavingRegion = false;
+    
+    // Rising and sinking air, see setUpdraftField()
+    this.updraftField = null;
+    
+    // Horizontal air movement, see setWindField()
+    this.windField = null;
+    
+    // Wind felt last update (m/s east and north), to measure how fast it changes
+    this.lastWind = null;
+    
+    // The model flies at real condor speeds, which would take hours to cross a
+    // region, so distances covered (horizontal and vertical alike, keeping the
+    // glide ratio) are multiplied for gameplay
+    this.speedMultiplier = options.speedMultiplier ?? DEFAULT_SPEED_MULTIPLIER;
+    
+    // Current position, set from the region's spawn point by resetToSpawn().
+    // Altitudes are meters (elevation is above ground, altitudeMSL above sea level),
+    // speed is ground speed, verticalSpeed climb rate and updraft the air's vertical
+    // speed in real meters per second (before the speed multiplier), and heading
+    // and track (the direction flown over the ground) are in compass degrees.
+    // wind is the local wind ({ speed } in m/s, { direction } it blows from in
+    // compass degrees) and turbulence how gusty it feels, 0 to 1. stamina is
+    // 0 to 1; flapping and feeding say what the condor is doing. phase is
+    // this.phase, and perch the name of the perch it's on, if any. boundary is
+    // { warning (0-1), edge, neighbour } near the edge of the map, otherwise null.
+    this.position = {
+      lat: 0,
+      lng: 0,
+      elevation: 0,
+      altitudeMSL: 0,
+      speed: 0,
+      airspeed: 0,
       verticalSpeed: 0,
-      lastRotation: 0
+      updraft: 0,
+      heading: 0,
+      track: 0,
+      stalled: false,
+      wind: { speed: 0, direction: 0 },
+      turbulence: 0,
+      stamina: 1,
+      exhausted: false,
+      flapping: false,
+      feeding: false,
+      phase: 'flying',
+      perch: null,
+      boundary: null
     };
     
-    // Current position
+    // Yaw last given to the condor mesh, to notice turns made elsewhere
+    // (e.g. dragging with the mouse in CameraController)
+    this.lastYaw = 0;
+  }
+  
+  // Advance the flight by deltaTime seconds of game time (a GameLoop step)
+  update(deltaTime) {
+    if (!this.condor || !this.terrain || !this.condorModel) return;
+    
+    // Long steps would throw the model around
+    deltaTime = Math.min(deltaTime, MAX_DELTA_TIME);
+    
+    if (this.phase === 'perched') {
+      return this.updatePerched(deltaTime);
+    }
+    if (this.phase === 'crashed') {
+      return this.updateCrashed(deltaTime);
+    }
+    if (this.phase !== 'flying') {
+      return this.updateMove(deltaTime);
+    }
+    this.landingCooldown = Math.max(this.landingCooldown - deltaTime, 0);
+    
+    const model = this.flightModel;
+    
+    const turnedElsewhere = this.condor.rotation.y !== this.lastYaw;
+    if (turnedElsewhere) {
+      model.state.heading = -this.condor.rotation.y;
+    }
+    
+    // Negative pitch lowers the nose to trade height for speed, positive raises it.
+    // Roll banks, and the bank turns the condor. Sticks give anything in between.
+    let pitch = this.input ? this.input.getAxis('pitch') : 0;
+    let roll = this.input ? this.input.getAxis('roll') : 0;
+    let flapInput = this.input ? this.input.getValue('flap') : 0;
+    
+    // The air the condor is in: rising air lifts it and the wind drifts its
+    // track over the ground
+    const { x, y, z } = this.condor.position;
+    const updraft = this.updraftField ? this.updraftField.sample(x, y, z) : 0;
+    const wind = this.windField ? this.windField.getWind(x, y, z) : { east: 0, north: 0, speed: 0, direction: 0 };
+    
+    // Any steering by the player takes over from the autopilot
+    if (this.autopilot.isEngaged()) {
+      if (pitch !== 0 || roll !== 0 || flapInput > 0 || turnedElsewhere) {
+        this.autopilot.disengage('input');
+      } else {
+        ({ pitch, roll, flap: flapInput } = this.autopilot.update(deltaTime, {
+          x,
+          z,
+          altitudeMSL: this.position.altitudeMSL,
+          track: this.position.track,
+          groundSpeed: this.position.speed * this.speedMultiplier,
+          stamina: this.stamina.getFraction(),
+          exhausted: this.stamina.isExhausted()
+        }));
+      }
+    }
+    
+    // Heading out near the edge of the map, the condor is turned back toward
+    // the middle, harder the closer it gets, unless a neighbouring region lies ahead
+    const boundary = this.boundary ? this.boundary.check(x, z) : null;
+    if (boundary && boundary.warning > 0 && !boundary.neighbour) {
+      const heading = this.getHeading();
+      if (Math.abs(angleDifference(heading, boundary.outward)) < 90) {
+        const turnBack = Math.min(Math.max(angleDifference(boundary.inward, heading) / 30, -1), 1);
+        roll = THREE.MathUtils.lerp(roll, turnBack, boundary.warning);
+      }
+    }
+    
+    // Flapping lasts as long as the stamina does; an exhausted condor can only glide
+    const flap = this.stamina.update(deltaTime, flapInput, updraft);
+    model.setControls(pitch, roll, flap);
+    
+    const altitudeMSL = this.terrain.worldHeightToElevation(this.condor.position.y);
+    const velocity = model.step(deltaTime, { altitude: altitudeMSL });
+    
+    const climb = velocity.up + updraft;
+    const groundEast = velocity.east + wind.east;
+    const groundNorth = velocity.north + wind.north;
+    
+    // Apply movements: east is +X, north is -Z
+    const from = this.condor.position.clone();
+    const distance = deltaTime * this.speedMultiplier;
+    this.condor.position.x += this.terrain.projection.metersToUnits(groundEast * distance);
+    this.condor.position.z -= this.terrain.projection.metersToUnits(groundNorth * distance);
+    this.condor.position.y += this.terrain.elevationToWorldHeight(climb * distance);
+    
+    // The edge itself stops the condor, or hands it on to the region beyond
+    const crossed = this.boundary ? this.boundary.clamp(this.condor.position) : null;
+    if (crossed && crossed.neighbour && this.onLeaveRegion && !this.leavingRegion) {
+      this.leavingRegion = true;
+      this.onLeaveRegion(crossed.neighbour, crossed.edge);
+    }
+    
+    // Get terrain height at condor position
+    let terrainHeight = this.terrain.getHeightAtPosition(this.condor.position.x, this.condor.position.z);
+    
+    // Land if slow enough over somewhere to land
+    const minAltitude = terrainHeight + MIN_FLIGHT_HEIGHT;
+    if (this.condor.position.y < minAltitude) {
+      const spot = this.findLandingSpot(this.condor.position.x, this.condor.position.z);
+      if (spot) {
+        this.startLanding(spot);
+        return this.updateMove(0);
+      }
+      
+      // Forgiving mode skims along the ground rather than touching it
+      if (this.crash.forgiving) {
+        this.condor.position.y = minAltitude;
+        model.state.flightPath = Math.max(model.state.flightPath, 0);
+      }
+    }
+    
+    // Otherwise check the path flown this step against the ground
+    if (!this.crash.forgiving) {
+      const hit = this.findCollision(from, this.condor.position);
+      if (hit) {
+        const speed = this.getImpactSpeed(hit, groundEast, groundNorth, climb);
+        if (speed >= this.crash.grazeSpeed) {
+          this.startCrash(hit, speed);
+          return this.position;
+        }
+        
+        this.graze(hit, speed);
+        terrainHeight = hit.point.y;
+      } else if (this.condor.position.y - terrainHeight > this.crash.bodyRadius * 2) {
+        this.inContact = false;
+      }
+    }
+    
+    // Feed when low over a carcass
+    const elevation = this.terrain.worldHeightToElevation(this.condor.position.y - terrainHeight);
+    this.recordSafePosition(elevation, deltaTime);
+    
+    let eaten = 0;
+    if (this.carrionManager) {
+      eaten = this.carrionManager.feed(this.condor.position.x, this.condor.position.z, elevation, deltaTime, this.stamina.getMissing());
+      this.stamina.restore(eaten);
+    }
+    
+    this.updateAttitude(roll, deltaTime, flap);
+    
+    // Get geographical coordinates
+    const geoPosition = this.terrain.worldToGeoPosition(this.condor.position.x, this.condor.position.y, this.condor.position.z);
+    
+    // Update position
     this.position = {
-      lat: -1.5, // Approximately near Chimborazo
-      lng: -78.8,
-      elevation: 0
+      lat: geoPosition.lat,
+      lng: geoPosition.lng,
+      elevation,
+      altitudeMSL: this.terrain.worldHeightToElevation(this.condor.position.y),
+      speed: Math.hypot(groundEast, groundNorth),
+      airspeed: model.state.airspeed,
+      verticalSpeed: climb,
+      updraft,
+      heading: this.getHeading(),
+      track: (THREE.MathUtils.radToDeg(Math.atan2(groundEast, groundNorth)) + 360) % 360,
+      stalled: model.state.stalled,
+      wind: { speed: wind.speed, direction: wind.direction },
+      turbulence: this.measureTurbulence(wind, deltaTime),
+      stamina: this.stamina.getFraction(),
+      exhausted: this.stamina.isExhausted(),
+      flapping: flap > 0,
+      feeding: eaten > 0,
+      phase: 'flying',
+      perch: null,
+      boundary: boundary && boundary.warning > 0
+        ? { warning: boundary.warning, edge: boundary.edge, neighbour: boundary.neighbour }
+        : null
     };
     
-    // Key state
-    this.keys = {
-      ArrowUp: false,
-      ArrowDown: false,
-      ArrowLeft: false,
-      ArrowRight: false,
-      w: false,
-      s: false
-    };
+    return this.position;
+  }
+  
+  // First point where the condor's body touches the ground moving between
+  // two positions this step (world units): { point, distance, normal } as from
+  // Terrain.raycast(), or null
+  findCollision(from, to) {
+    const direction = to.clone().sub(from);
+    const length = direction.length();
+    if (length === 0) return null;
     
-    // Set up event listeners
-    this.setupEventListeners();
+    // The lowest point of the body is what meets the ground
+    const origin = from.clone();
+    origin.y -= this.crash.bodyRadius;
+    return this.terrain.raycast(origin, direction, length);
   }
   
-  setupEventListeners() {
-    window.addEventListener('keydown', this.onKeyDown.bind(this));
-    window.addEventListener('keyup', this.onKeyUp.bind(this));
+  // Speed (m/s) the condor flies into the ground at a hit along the surface
+  // normal, from its ground velocity east, north and up
+  getImpactSpeed(hit, east, north, up) {
+    const { dhdx, dhdz } = this.terrain.getSurfaceGradient(hit.point.x, hit.point.z);
+    
+    // True rise per meter east and north, without the vertical exaggeration
+    const projection = this.terrain.projection;
+    const scale = projection.worldYToElevation(1) / projection.unitsToMeters(1);
+    const riseEast = dhdx * scale;
+    const riseNorth = -dhdz * scale;
+    
+    // The surface normal is (-riseEast, -riseNorth, 1), normalized
+    const intoSurface = riseEast * east + riseNorth * north - up;
+    return Math.max(intoSurface / Math.hypot(riseEast, riseNorth, 1), 0);
   }
   
-  onKeyDown(e) {
-    if (this.keys.hasOwnProperty(e.key)) {
-      this.keys[e.key] = true;
+  // Glance off the ground at a hit: slide along it, losing speed and some
+  // stamina when the contact starts. The slide itself touches the ground
+  // again every step, so it's only reported once.
+  graze(hit, speed) {
+    const { bodyRadius, grazeSpeed, grazeStamina } = this.crash;
+    const share = speed / grazeSpeed;
+    const model = this.flightModel;
+    
+    this.condor.position.set(hit.point.x, hit.point.y + bodyRadius * 1.01, hit.point.z);
+    model.state.flightPath = Math.max(model.state.flightPath, 0);
+    if (this.inContact) return;
+    
+    this.inContact = true;
+    model.state.airspeed *= 1 - 0.3 * share;
+    this.stamina.drain(grazeStamina * share);
+    this.notifyImpact(speed, false);
+  }
+  
+  // Crash into the ground at a hit and lie stunned, longer the harder the impact
+  startCrash(hit, speed) {
+    const { bodyRadius, stunTime } = this.crash;
+    const severity = this.getSeverity(speed);
+    
+    this.autopilot.disengage('crashed');
+    this.phase = 'crashed';
+    this.move = null;
+    this.stunTime = stunTime * (0.5 + 0.5 * severity);
+    
+    // Sprawled on the slope, tipped over on one wing
+    this.condor.position.set(hit.point.x, hit.point.y + bodyRadius, hit.point.z);
+    this.condor.rotation.set(-0.3, this.condor.rotation.y, 1.2);
+    this.lastYaw = this.condor.rotation.y;
+    
+    this.notifyImpact(speed, true);
+    this.updateGroundPosition(null);
+  }
+  
+  // Lie stunned for deltaTime seconds, then respawn
+  updateCrashed(deltaTime) {
+    this.stunTime -= deltaTime;
+    
+    this.condorModel.updatePerch(false, deltaTime);
+    this.condorModel.updateFlap(0, this.stamina.getFraction(), deltaTime);
+    this.condorModel.resetWings(deltaTime);
+    
+    if (this.stunTime <= 0) {
+      this.respawn();
     }
+    
+    this.updateGroundPosition(this.position.perch);
+    return this.position;
+  }
+  
+  // Impact severity, 0 for the lightest crash to 1 at crashSpeed and above
+  getSeverity(speed) {
+    const { grazeSpeed, crashSpeed } = this.crash;
+    return Math.min(Math.max((speed - grazeSpeed) / (crashSpeed - grazeSpeed), 0), 1);
   }
   
-  onKeyUp(e) {
-    if (this.keys.hasOwnProperty(e.key)) {
-      this.keys[e.key] = false;
+  notifyImpact(speed, crashed) {
+    if (this.onImpact) {
+      this.onImpact({ speed, severity: crashed ? this.getSeverity(speed) : 0, crashed });
     }
   }
   
-  update() {
-    if (!this.condor || !this.terrain || !this.condorModel) return;
+  // While flying well clear of the ground, remember where to respawn every
+  // safeInterval seconds
+  recordSafePosition(elevation, deltaTime) {
+    const { safeHeight, safeInterval } = this.crash;
+    this.safeTimer += deltaTime;
     
-    // Speed control
-    if (this.keys.ArrowUp) {
-      this.state.speed = Math.min(this.state.speed + 0.01, this.state.maxSpeed);
-    }
-    if (this.keys.ArrowDown) {
-      this.state.speed = Math.max(this.state.speed - 0.01, this.state.minSpeed);
+    if (this.safeTimer >= safeInterval && elevation >= safeHeight && !this.flightModel.state.stalled) {
+      this.safeTimer = 0;
+      this.setRespawnPoint(null);
     }
+  }
+  
+  // Respawn where the condor is now, perched on a perch (a name) or on the
+  // ground (an empty string), or flying (null)
+  setRespawnPoint(perch) {
+    const { x, y, z } = this.condor.position;
+    this.respawnPoint = { x, y, z, heading: this.flightModel.state.heading, perch };
+  }
+  
+  // Back to the last safe spot after a crash, with the stamina restored
+  respawn() {
+    const point = this.respawnPoint;
+    const model = this.flightModel;
+    if (!point) return;
     
-    // Store the previous rotation for wing animation
-    this.state.lastRotation = this.condor.rotation.y;
+    this.stamina.reset();
+    this.lastWind = null;
+    this.safeTimer = 0;
+    this.inContact = false;
+    this.move = null;
     
-    // Left/Right turning
-    if (this.keys.ArrowLeft) {
-      this.condor.rotation.y += this.state.rotationSpeed;
-      // Animate wings for left turn
-      this.condorModel.turnLeft();
+    if (point.perch !== null) {
+      this.condor.position.set(point.x, this.getPerchedHeight(point.x, point.z), point.z);
+      model.state.heading = point.heading;
+      this.condor.rotation.set(this.landing.perchedPitch, -point.heading, 0);
+      this.lastYaw = this.condor.rotation.y;
+      this.phase = 'perched';
+      this.updateGroundPosition(point.perch || null);
+      return;
     }
-    if (this.keys.ArrowRight) {
-      this.condor.rotation.y -= this.state.rotationSpeed;
-      // Animate wings for right turn
-      this.condorModel.turnRight();
+    
+    this.condor.position.set(point.x, point.y, point.z);
+    model.reset(point.heading, this.terrain.worldHeightToElevation(point.y));
+    this.phase = 'flying';
+    this.landingCooldown = this.landing.cooldown;
+    this.updateAttitude(0);
+    this.updateGroundPosition(null);
+  }
+  
+  // Where the condor can come down from here: { x, z, name } of a perch within
+  // reach or of gentle enough ground ahead (name null), or null when it's
+  // flying too fast or the ground is too steep
+  findLandingSpot(x, z) {
+    const config = this.landing;
+    const model = this.flightModel;
+    if (this.landingCooldown > 0) return null;
+    
+    const altitudeMSL = this.terrain.worldHeightToElevation(this.condor.position.y);
+    const maxSpeed = model.getStallSpeed(0, airDensity(altitudeMSL)) * config.maxSpeedFactor;
+    if (model.state.airspeed > maxSpeed) return null;
+    
+    const perch = this.getNearestPerch(x, z);
+    if (perch) return perch;
+    
+    // Slow to a stop over the ground ahead
+    const heading = model.state.heading;
+    const slide = this.terrain.projection.metersToUnits(model.state.airspeed * this.speedMultiplier * config.landingTime / 2);
+    const spot = { x: x + Math.sin(heading) * slide, z: z - Math.cos(heading) * slide, name: null };
+    
+    if (this.getTrueSlope(x, z) > config.maxSlope || this.getTrueSlope(spot.x, spot.z) > config.maxSlope) {
+      return null;
     }
+    return spot;
+  }
+  
+  // Closest perch within perchRadius, or null
+  getNearestPerch(x, z) {
+    const reach = this.terrain.projection.metersToUnits(this.landing.perchRadius);
+    let nearest = null;
+    let nearestDistance = reach;
+    
+    this.perches.forEach(perch => {
+      const distance = Math.hypot(perch.x - x, perch.z - z);
+      if (distance <= nearestDistance) {
+        nearest = perch;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  // Slope of the ground as rise over run, without the vertical exaggeration
+  getTrueSlope(x, z) {
+    const { dhdx, dhdz } = this.terrain.getSurfaceGradient(x, z);
+    const projection = this.terrain.projection;
+    return projection.worldYToElevation(Math.hypot(dhdx, dhdz)) / projection.unitsToMeters(1);
+  }
+  
+  // Height the condor stands at on the ground, world units
+  getPerchedHeight(x, z) {
+    return this.terrain.getHeightAtPosition(x, z) + PERCHED_HEIGHT;
+  }
+  
+  // Settle from flight onto a landing spot (see findLandingSpot())
+  startLanding(spot) {
+    const { heading, flightPath, bank } = this.flightModel.state;
+    
+    this.autopilot.disengage('landed');
+    this.phase = 'landing';
+    this.inContact = false;
+    this.move = {
+      time: 0,
+      duration: this.landing.landingTime,
+      from: this.condor.position.clone(),
+      to: { x: spot.x, z: spot.z },
+      perch: spot.name,
+      heading,
+      flightPath,
+      bank
+    };
+  }
+  
+  // Take off from a perch, in the direction the condor faces. Off a cliff or
+  // down a slope it glides away; on flat ground it has to flap, which costs
+  // stamina. Returns false when it can't (not perched, or too tired to flap off).
+  takeOff() {
+    if (this.phase !== 'perched') return false;
+    
+    const config = this.landing;
+    const { x, z } = this.condor.position;
+    const heading = this.flightModel.state.heading;
+    const altitudeMSL = this.terrain.worldHeightToElevation(this.condor.position.y);
+    
+    // Ground covered leaving at best glide speed
+    const distance = this.flightModel.getBestGlideSpeed(altitudeMSL) * this.speedMultiplier * config.launchTime;
+    const units = this.terrain.projection.metersToUnits(distance);
+    const to = { x: x + Math.sin(heading) * units, z: z - Math.cos(heading) * units };
+    
+    const groundHere = this.terrain.worldHeightToElevation(this.terrain.getHeightAtPosition(x, z));
+    const groundAhead = this.terrain.worldHeightToElevation(this.terrain.getHeightAtPosition(to.x, to.z));
+    const drop = groundHere - groundAhead;
     
-    // Reset wing rotation if not turning
-    if (!this.keys.ArrowLeft && !this.keys.ArrowRight) {
-      this.condorModel.resetWings();
+    let style;
+    if (drop >= config.cliffDrop) {
+      style = 'jump';
+    } else if (drop >= config.minRunSlope * distance) {
+      style = 'run';
+    } else if (this.stamina.spend(config.flapTakeOffCost)) {
+      style = 'flap';
+    } else {
+      return false;
     }
     
-    // Vertical control
-    if (this.keys.w) {
-      this.state.verticalSpeed = Math.min(this.state.verticalSpeed + 0.005, 0.1);
-    } else if (this.keys.s) {
-      this.state.verticalSpeed = Math.max(this.state.verticalSpeed - 0.005, -0.1);
+    this.phase = 'launching';
+    this.move = {
+      time: 0,
+      duration: config.launchTime,
+      from: this.condor.position.clone(),
+      to,
+      toY: this.terrain.getHeightAtPosition(to.x, to.z) + this.terrain.elevationToWorldHeight(config.launchHeight),
+      style,
+      heading
+    };
+    return true;
+  }
+  
+  // Advance a landing or a launch by deltaTime seconds
+  updateMove(deltaTime) {
+    const move = this.move;
+    move.time = Math.min(move.time + deltaTime, move.duration);
+    const t = move.time / move.duration;
+    const landing = this.phase === 'landing';
+    
+    // Landings slow down to a stop, launches speed up
+    const along = landing ? 1 - (1 - t) ** 2 : t * t;
+    const x = move.from.x + (move.to.x - move.from.x) * along;
+    const z = move.from.z + (move.to.z - move.from.z) * along;
+    const ground = this.getPerchedHeight(x, z);
+    
+    let y;
+    if (landing) {
+      y = move.from.y + (ground - move.from.y) * THREE.MathUtils.smoothstep(t, 0, 1);
+    } else if (move.style === 'run') {
+      // Run along the slope, then lift off it
+      y = ground + (move.toY - ground) * t ** 3;
     } else {
-      // Gradually return to level flight
-      this.state.verticalSpeed *= 0.95;
+      y = move.from.y + (move.toY - move.from.y) * THREE.MathUtils.smoothstep(t, 0, 1);
     }
+    this.condor.position.set(x, Math.max(y, ground), z);
     
-    // Update condor pitch based on vertical speed
-    this.condorModel.updatePitch(this.state.verticalSpeed);
+    // Flare nose up and level the wings onto the ground; lower the nose to leave it
+    const perchedPitch = this.landing.perchedPitch;
+    const pitch = landing
+      ? move.flightPath + (perchedPitch - move.flightPath) * t
+      : perchedPitch * (1 - t);
+    const bank = landing ? move.bank * (1 - t) : 0;
+    this.condor.rotation.set(pitch, -move.heading, -bank);
+    this.lastYaw = this.condor.rotation.y;
     
-    // Apply movements
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(this.condor.quaternion);
-    direction.multiplyScalar(this.state.speed);
+    this.condorModel.updatePerch(landing, deltaTime);
+    this.condorModel.updateFlap(!landing && move.style === 'flap' ? 1 : 0, this.stamina.getFraction(), deltaTime);
+    this.condorModel.resetWings(deltaTime);
     
-    this.condor.position.add(direction);
-    this.condor.position.y += this.state.verticalSpeed;
+    if (t >= 1) {
+      if (landing) {
+        this.phase = 'perched';
+        this.setRespawnPoint(move.perch ?? '');
+      } else {
+        this.finishLaunch();
+      }
+    }
     
-    // Get terrain height at condor position
-    const terrainHeight = this.terrain.getHeightAtPosition(this.condor.position.x, this.condor.position.z);
+    this.updateGroundPosition(move.perch ?? null);
+    return this.position;
+  }
+  
+  // Hand back to the flight model at the end of a launch
+  finishLaunch() {
+    const altitudeMSL = this.terrain.worldHeightToElevation(this.condor.position.y);
+    this.flightModel.reset(this.move.heading, altitudeMSL);
+    this.phase = 'flying';
+    this.move = null;
+    this.landingCooldown = this.landing.cooldown;
+    this.lastWind = null;
+  }
+  
+  // Rest on the ground for deltaTime seconds: turn on the spot with the roll
+  // input, recover stamina and feed on any carcass at hand
+  updatePerched(deltaTime) {
+    const model = this.flightModel;
+    const { x, z } = this.condor.position;
     
-    // Minimum altitude above terrain
-    const minAltitude = terrainHeight + 6;
-    if (this.condor.position.y < minAltitude) {
-      this.condor.position.y = minAltitude;
-      this.state.verticalSpeed = 0;
+    // The autopilot can't fly from the ground: leave with it, or hand back
+    if (this.autopilot.isEngaged() && !this.takeOff()) {
+      this.autopilot.disengage('perched');
+    }
+    if (this.phase !== 'perched') {
+      return this.updateMove(deltaTime);
     }
     
-    // Get geographical coordinates
-    const geoPosition = this.terrain.worldToGeoPosition(this.condor.position.x, this.condor.position.y, this.condor.position.z);
+    if (this.condor.rotation.y !== this.lastYaw) {
+      model.state.heading = -this.condor.rotation.y;
+    }
+    const roll = this.input ? this.input.getAxis('roll') : 0;
+    const turn = THREE.MathUtils.degToRad(this.landing.turnRate) * roll * deltaTime;
+    model.state.heading = (model.state.heading + turn + Math.PI * 2) % (Math.PI * 2);
+    
+    this.condor.position.y = this.getPerchedHeight(x, z);
+    this.condor.rotation.set(this.landing.perchedPitch, -model.state.heading, 0);
+    this.lastYaw = this.condor.rotation.y;
+    
+    this.stamina.rest(deltaTime);
+    let eaten = 0;
+    if (this.carrionManager) {
+      eaten = this.carrionManager.feed(x, z, 0, deltaTime, this.stamina.getMissing());
+      this.stamina.restore(eaten);
+    }
+    
+    this.condorModel.updatePerch(true, deltaTime);
+    this.condorModel.updateFlap(0, this.stamina.getFraction(), deltaTime);
+    this.condorModel.resetWings(deltaTime);
+    
+    this.updateGroundPosition(this.position.perch, eaten > 0);
+    return this.position;
+  }
+  
+  // Position off the flight model (landing, perched, launching, crashed or
+  // just respawned): no airspeed, no wind felt
+  updateGroundPosition(perch, feeding = false) {
+    const { x, y, z } = this.condor.position;
+    const geoPosition = this.terrain.worldToGeoPosition(x, y, z);
+    const terrainHeight = this.terrain.getHeightAtPosition(x, z);
+    const heading = this.getHeading();
     
-    // Update position
     this.position = {
+      ...this.position,
       lat: geoPosition.lat,
       lng: geoPosition.lng,
-      elevation: this.condor.position.y - terrainHeight
+      elevation: this.terrain.worldHeightToElevation(y - terrainHeight),
+      altitudeMSL: this.terrain.worldHeightToElevation(y),
+      speed: 0,
+      airspeed: 0,
+      verticalSpeed: 0,
+      heading,
+      track: heading,
+      stalled: false,
+      turbulence: 0,
+      stamina: this.stamina.getFraction(),
+      exhausted: this.stamina.isExhausted(),
+      flapping: this.phase === 'launching' && this.move.style === 'flap',
+      feeding,
+      phase: this.phase,
+      perch,
+      boundary: null
     };
+  }
+  
+  // How rough the air feels, 0 to 1: the rate the wind around the condor is
+  // changing (gusts, or flying between crests and sheltered valleys), smoothed
+  measureTurbulence(wind, deltaTime) {
+    const last = this.lastWind;
+    this.lastWind = { east: wind.east, north: wind.north };
+    if (!last || deltaTime <= 0) return this.position.turbulence;
     
-    return this.position;
+    // 4 m/s² of change is as rough as it gets
+    const change = Math.hypot(wind.east - last.east, wind.north - last.north) / deltaTime;
+    const target = Math.min(change / 4, 1);
+    const smoothing = 1 - Math.exp(-deltaTime * 4);
+    return this.position.turbulence + (target - this.position.turbulence) * smoothing;
+  }
+  
+  // Point the condor along its flight path and bank, and animate the wings
+  // (turning and flapping with effort 0-1) over deltaTime seconds
+  updateAttitude(roll, deltaTime = 0, flap = 0) {
+    const { heading, flightPath, bank } = this.flightModel.state;
+    
+    // Rotation order is YXZ (see Condor), so this is heading, then pitch, then bank
+    this.condor.rotation.set(flightPath, -heading, -bank);
+    this.lastYaw = this.condor.rotation.y;
+    
+    if (roll < 0) {
+      this.condorModel.turnLeft(deltaTime);
+    } else if (roll > 0) {
+      this.condorModel.turnRight(deltaTime);
+    } else {
+      this.condorModel.resetWings(deltaTime);
+    }
+    
+    this.condorModel.updateFlap(flap, this.stamina.getFraction(), deltaTime);
+    this.condorModel.updatePerch(false, deltaTime);
+    this.condorModel.updatePitch(flightPath, deltaTime);
+  }
+  
+  // Compass heading in degrees (0 = north/-Z, 90 = east/+X)
+  getHeading() {
+    return (THREE.MathUtils.radToDeg(this.flightModel.state.heading) + 360) % 360;
+  }
+  
+  // Place the condor at a region's spawn point (see data/regions.js).
+  // Spawn altitude is in meters above the ground, heading in compass degrees.
+  // A flight carried on from another region gives altitudeMSL instead, kept
+  // at least crash.safeHeight above the ground here.
+  resetToSpawn(spawn) {
+    if (!this.condor || !this.terrain) return;
+    
+    const ground = this.terrain.geoToWorldPosition(spawn.lat, spawn.lng);
+    let altitude = this.terrain.elevationToWorldHeight(spawn.altitude);
+    if (spawn.altitudeMSL !== undefined) {
+      altitude = Math.max(
+        this.terrain.elevationToWorldHeight(spawn.altitudeMSL) - ground.y,
+        this.terrain.elevationToWorldHeight(this.crash.safeHeight)
+      );
+    }
+    
+    this.condor.position.set(ground.x, ground.y + altitude, ground.z);
+    
+    // Glide away at the spawn heading; heading 0 faces north (-Z)
+    const altitudeMSL = this.terrain.worldHeightToElevation(ground.y + altitude);
+    this.flightModel.reset(THREE.MathUtils.degToRad(spawn.heading), altitudeMSL);
+    this.stamina.reset();
+    this.phase = 'flying';
+    this.move = null;
+    this.landingCooldown = 0;
+    this.stunTime = 0;
+    this.safeTimer = 0;
+    this.inContact = false;
+    this.updateAttitude(0);
+    this.setRespawnPoint(null);
+    
+    this.lastWind = null;
+    this.position = {
+      lat: spawn.lat,
+      lng: spawn.lng,
+      elevation: this.terrain.worldHeightToElevation(altitude),
+      altitudeMSL,
+      speed: this.flightModel.state.airspeed,
+      airspeed: this.flightModel.state.airspeed,
+      verticalSpeed: 0,
+      updraft: 0,
+      heading: spawn.heading,
+      track: spawn.heading,
+      stalled: false,
+      wind: { speed: 0, direction: 0 },
+      turbulence: 0,
+      stamina: 1,
+      exhausted: false,
+      flapping: false,
+      feeding: false,
+      phase: 'flying',
+      perch: null,
+      boundary: null
+    };
   }
   
   // Set the condor model reference - used when condor is created
@@ -135,9 +837,62 @@ export default class FlightControls {
     this.condor = condorModel ? condorModel.getMesh() : null;
   }
   
+  // Air movement to fly in (see physics/UpdraftField.js), or null for still air
+  setUpdraftField(updraftField) {
+    this.updraftField = updraftField;
+  }
+  
+  // Wind to drift in (see physics/WindField.js), or null for still air
+  setWindField(windField) {
+    this.windField = windField;
+    this.lastWind = null;
+  }
+  
+  // Carcasses to feed on (see environment/CarrionManager.js), or null
+  setCarrionManager(carrionManager) {
+    this.carrionManager = carrionManager;
+  }
+  
+  // Forgiving mode keeps the condor off the ground rather than letting it crash
+  setForgiving(forgiving) {
+    this.crash.forgiving = forgiving;
+  }
+  
+  // Edge of the map to turn back at or fly on from (see
+  // environment/WorldBoundary.js), or null for none
+  setBoundary(boundary) {
+    this.boundary = boundary;
+    this.leavingRegion = false;
+  }
+  
+  // Carry on in this region after flying off an edge didn't lead anywhere
+  // (e.g. the region across it failed to load): the edge turns the condor
+  // back from now on, like one without a neighbour
+  stayInRegion(edge) {
+    if (this.boundary) {
+      this.boundary.closeEdge(edge);
+    }
+    this.leavingRegion = false;
+  }
+  
+  // Places to land on whatever the slope, such as summits and cliff ledges,
+  // as [{ name, lat, lng }]
+  setPerches(perches) {
+    this.perches = perches.map(perch => {
+      const position = this.terrain.geoToWorldPosition(perch.lat, perch.lng);
+      return { name: perch.name, x: position.x, z: position.z };
+    });
+  }
+  
+  // Input to steer with (see InputManager), or null to fly hands off
+  setInput(input) {
+    this.input = input;
+  }
+  
   // Set the terrain reference - used when terrain is created
   setTerrain(terrain) {
     this.terrain = terrain;
+    this.autopilot.setTerrain(terrain);
   }
   
   // Get the current position
@@ -0,0 +1,487 @@
+// Maps physical inputs (keys, gamepad buttons and sticks) to named actions,
+// so the rest of the game asks for "pitch" or "pause" rather than a key.
+//
+// Bindings are strings:
+// - keyboard keys by KeyboardEvent.code, the physical key ('KeyW', 'ArrowUp',
+//   'Space'), so Shift, Caps Lock and the keyboard layout don't matter
+// - 'Gamepad:Button<n>' for a gamepad button (triggers report how far they're pressed)
+// - 'Gamepad:Axis<n>+' / 'Gamepad:Axis<n>-' for one direction of a stick axis
+// - 'Touch:<name>' and 'Tilt:<name>' for the on-screen controls and device
+//   tilt, which TouchControls feeds in with setVirtualValue(). These are fixed:
+//   they aren't saved, shown in the controls help or rebound.
+// Gamepads are read in the browser's standard mapping.
+//
+// Axis actions ('pitch', 'roll') have positive and negative bindings and read
+// -1 to 1; button actions read 0 to 1 and can fire a callback when pressed
+// (see on()). Players can rebind any action; their changes are saved to
+// localStorage over the defaults.
+
+export const ACTIONS = {
+  pitch: { type: 'axis', positive: 'Nose up, slow down', negative: 'Nose down, speed up' },
+  roll: { type: 'axis', positive: 'Bank right', negative: 'Bank left' },
+  flap: { type: 'button', label: 'Flap' },
+  takeOff: { type: 'button', label: 'Take off' },
+  toggleMouseControl: { type: 'button', label: 'Toggle mouse camera control' },
+  freeCamera: { type: 'button', label: 'Toggle free camera mode' },
+  cameraMode: { type: 'button', label: 'Next camera view' },
+  cameraPath: { type: 'button', label: 'Camera path editor' },
+  photoMode: { type: 'button', label: 'Photo mode' },
+  toggleThermals: { type: 'button', label: 'Show thermals' },
+  autopilot: { type: 'button', label: 'Autopilot menu' },
+  pause: { type: 'button', label: 'Pause' },
+  slowerTime: { type: 'button', label: 'Slow down time' },
+  fasterTime: { type: 'button', label: 'Speed up time' }
+};
+
+export const DEFAULT_BINDINGS = {
+  pitch: {
+    positive: ['ArrowDown', 'KeyW', 'Gamepad:Axis1+', 'Touch:StickDown'],
+    negative: ['ArrowUp', 'KeyS', 'Gamepad:Axis1-', 'Touch:StickUp']
+  },
+  roll: {
+    positive: ['ArrowRight', 'KeyD', 'Gamepad:Axis0+', 'Touch:StickRight', 'Tilt:Right'],
+    negative: ['ArrowLeft', 'KeyA', 'Gamepad:Axis0-', 'Touch:StickLeft', 'Tilt:Left']
+  },
+  flap: ['Space', 'Gamepad:Button0', 'Gamepad:Button7', 'Touch:Flap'],
+  takeOff: ['KeyE', 'Gamepad:Button1', 'Touch:Flap'],
+  toggleMouseControl: ['KeyC', 'Gamepad:Button3'],
+  freeCamera: ['KeyF', 'Gamepad:Button2'],
+  cameraMode: ['KeyV', 'Gamepad:Button11'],
+  cameraPath: ['KeyK'],
+  photoMode: ['KeyH'],
+  toggleThermals: ['KeyT', 'Gamepad:Button8'],
+  autopilot: ['KeyO'],
+  pause: ['KeyP', 'Gamepad:Button9', 'Touch:Pause'],
+  slowerTime: ['BracketLeft', 'Gamepad:Button4'],
+  fasterTime: ['BracketRight', 'Gamepad:Button5']
+};
+
+// Stick movement ignored around the centre, as a fraction of full travel
+const DEFAULT_DEAD_ZONE = 0.15;
+
+// Trigger or stick travel that counts as pressing a button action
+const PRESS_THRESHOLD = 0.5;
+
+const STORAGE_KEY = 'condor-adventure.bindings';
+
+// Names of the standard gamepad mapping
+const GAMEPAD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'Left stick press', 'Right stick press', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right'
+];
+const GAMEPAD_AXES = [
+  ['Left stick left', 'Left stick right'],
+  ['Left stick up', 'Left stick down'],
+  ['Right stick left', 'Right stick right'],
+  ['Right stick up', 'Right stick down']
+];
+
+// Readable name of a binding, e.g. 'KeyW' -> 'W', 'Gamepad:Button0' -> 'Pad A'
+export function describeBinding(binding) {
+  const button = binding.match(/^Gamepad:Button(\d+)$/);
+  if (button) {
+    return `Pad ${GAMEPAD_BUTTONS[button[1]] || `button ${button[1]}`}`;
+  }
+
+  const axis = binding.match(/^Gamepad:Axis(\d+)([+-])$/);
+  if (axis) {
+    const names = GAMEPAD_AXES[axis[1]];
+    return names ? `Pad ${names[axis[2] === '+' ? 1 : 0]}` : `Pad axis ${axis[1]}${axis[2]}`;
+  }
+
+  if (binding.startsWith('Key')) return binding.slice(3);
+  if (binding.startsWith('Digit')) return binding.slice(5);
+  if (binding.startsWith('Arrow')) return binding.slice(5);
+
+  const names = { BracketLeft: '[', BracketRight: ']', Space: 'Space', Escape: 'Esc' };
+  return names[binding] || binding;
+}
+
+function cloneBindings(bindings) {
+  return JSON.parse(JSON.stringify(bindings));
+}
+
+// Touch and tilt inputs, as opposed to keys and gamepads
+export function isVirtualBinding(binding) {
+  return binding.startsWith('Touch:') || binding.startsWith('Tilt:');
+}
+
+// Kind of input a binding is, for rebinding like with like
+function getBindingKind(binding) {
+  if (binding.startsWith('Gamepad:')) return 'gamepad';
+  return isVirtualBinding(binding) ? 'virtual' : 'key';
+}
+
+// Key and gamepad bindings with the fixed touch and tilt ones of another list added
+function withVirtualBindings(bindings, source) {
+  return [...bindings.filter(binding => !isVirtualBinding(binding)), ...source.filter(isVirtualBinding)];
+}
+
+// The key and gamepad bindings in a saved list with the default touch and tilt
+// ones added, or a copy of the defaults if it isn't a list or has none
+function readSavedBindings(saved, defaults) {
+  const bindings = Array.isArray(saved)
+    ? saved.filter(binding => typeof binding === 'string' && !isVirtualBinding(binding))
+    : [];
+  return bindings.length > 0 ? withVirtualBindings(bindings, defaults) : [...defaults];
+}
+
+export default class InputManager {
+  // options: { deadZone (0-1), storage (a Storage, localStorage by default) }
+  constructor(options = {}) {
+    this.deadZone = options.deadZone ?? DEFAULT_DEAD_ZONE;
+    this.storage = options.storage !== undefined ? options.storage : InputManager.getLocalStorage();
+
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.loadBindings();
+
+    // Keys held down, by code
+    this.keys = new Set();
+
+    // Gamepad readings from the last poll: binding -> value (0-1)
+    this.gamepadValues = new Map();
+
+    // Touch and tilt readings, see setVirtualValue()
+    this.virtualValues = new Map();
+
+    // Button actions pressed last poll, to fire callbacks only on the press
+    this.heldActions = new Set();
+
+    // action -> callbacks, see on()
+    this.listeners = new Map();
+
+    // Callback waiting for the next input to bind, see captureNextInput(), and
+    // the gamepad inputs already held when it started
+    this.capture = null;
+    this.captureHeld = new Set();
+
+    // Called after bindings change, e.g. to refresh the controls help
+    this.onBindingsChanged = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  static getLocalStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (error) {
+      // Blocked, e.g. by privacy settings
+      return null;
+    }
+  }
+
+  onKeyDown(e) {
+    if (this.capture) {
+      e.preventDefault();
+      this.finishCapture(e.code === 'Escape' ? null : e.code);
+      return;
+    }
+
+    // Ignore typing into form fields
+    if (e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+
+    const bound = this.getActionsFor(e.code);
+    if (bound.length === 0) return;
+
+    // Keep arrows and Space from scrolling the page
+    e.preventDefault();
+
+    this.keys.add(e.code);
+    if (!e.repeat) {
+      bound.forEach(action => {
+        if (ACTIONS[action].type === 'button') this.emit(action);
+      });
+    }
+  }
+
+  onKeyUp(e) {
+    this.keys.delete(e.code);
+  }
+
+  // Keys released while the window is in the background never send keyup
+  onBlur() {
+    this.keys.clear();
+  }
+
+  // Read the gamepads; call once per frame
+  update() {
+    this.gamepadValues.clear();
+
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+      if (!pad) continue;
+
+      pad.buttons.forEach((button, index) => {
+        const value = typeof button === 'object' ? button.value || (button.pressed ? 1 : 0) : button;
+        this.setGamepadValue(`Gamepad:Button${index}`, value);
+      });
+
+      pad.axes.forEach((raw, index) => {
+        const value = this.applyDeadZone(raw);
+        this.setGamepadValue(`Gamepad:Axis${index}+`, Math.max(value, 0));
+        this.setGamepadValue(`Gamepad:Axis${index}-`, Math.max(-value, 0));
+      });
+    }
+
+    // While rebinding, gamepad input goes to the capture rather than the actions
+    const capturing = this.capture !== null;
+    if (capturing) {
+      for (const [binding, value] of this.gamepadValues) {
+        if (value <= PRESS_THRESHOLD) {
+          this.captureHeld.delete(binding);
+        } else if (!this.captureHeld.has(binding)) {
+          this.finishCapture(binding);
+          break;
+        }
+      }
+    }
+
+    // Fire button actions pressed on a gamepad since the last poll
+    Object.keys(ACTIONS).forEach(action => {
+      if (ACTIONS[action].type !== 'button') return;
+
+      const held = this.bindings[action].some(binding => (this.gamepadValues.get(binding) || 0) > PRESS_THRESHOLD);
+      if (held && !this.heldActions.has(action) && !capturing) {
+        this.emit(action);
+      }
+      if (held) {
+        this.heldActions.add(action);
+      } else {
+        this.heldActions.delete(action);
+      }
+    });
+  }
+
+  // Several pads may be connected; the strongest reading wins
+  setGamepadValue(binding, value) {
+    this.gamepadValues.set(binding, Math.max(this.gamepadValues.get(binding) || 0, value));
+  }
+
+  // Scale stick travel past the dead zone back to 0-1
+  applyDeadZone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= this.deadZone) return 0;
+    return Math.sign(value) * Math.min((magnitude - this.deadZone) / (1 - this.deadZone), 1);
+  }
+
+  // Current value of one binding, 0 to 1
+  readBinding(binding) {
+    if (binding.startsWith('Gamepad:')) {
+      return this.gamepadValues.get(binding) || 0;
+    }
+    if (isVirtualBinding(binding)) {
+      return this.virtualValues.get(binding) || 0;
+    }
+    return this.keys.has(binding) ? 1 : 0;
+  }
+
+  // Reading of a touch or tilt binding, 0 to 1. Button actions bound to it
+  // fire when it's pressed past halfway.
+  setVirtualValue(binding, value) {
+    const previous = this.virtualValues.get(binding) || 0;
+    this.virtualValues.set(binding, value);
+
+    if (previous <= PRESS_THRESHOLD && value > PRESS_THRESHOLD) {
+      this.getActionsFor(binding).forEach(action => {
+        if (ACTIONS[action].type === 'button') this.emit(action);
+      });
+    }
+  }
+
+  readBindings(bindings) {
+    return bindings.reduce((value, binding) => Math.max(value, this.readBinding(binding)), 0);
+  }
+
+  // Axis action, -1 to 1
+  getAxis(action) {
+    const bindings = this.bindings[action];
+    if (!bindings || !bindings.positive) return 0;
+    return Math.min(Math.max(this.readBindings(bindings.positive) - this.readBindings(bindings.negative), -1), 1);
+  }
+
+  // Button action, 0 to 1 (analog triggers give values in between)
+  getValue(action) {
+    const bindings = this.bindings[action];
+    return Array.isArray(bindings) ? this.readBindings(bindings) : 0;
+  }
+
+  isPressed(action) {
+    return this.getValue(action) > PRESS_THRESHOLD;
+  }
+
+  // Call back when a button action is pressed; returns a function that removes the callback
+  on(action, callback) {
+    if (!this.listeners.has(action)) {
+      this.listeners.set(action, []);
+    }
+    this.listeners.get(action).push(callback);
+
+    return () => {
+      const callbacks = this.listeners.get(action);
+      callbacks.splice(callbacks.indexOf(callback), 1);
+    };
+  }
+
+  emit(action) {
+    (this.listeners.get(action) || []).forEach(callback => callback(action));
+  }
+
+  // Actions a binding drives
+  getActionsFor(binding) {
+    return Object.keys(this.bindings).filter(action => {
+      const bindings = this.bindings[action];
+      return Array.isArray(bindings)
+        ? bindings.includes(binding)
+        : bindings.positive.includes(binding) || bindings.negative.includes(binding);
+    });
+  }
+
+  // Bindings of a button action, or of one direction ('positive' or 'negative') of an axis action
+  getBindings(action, direction) {
+    const bindings = this.bindings[action];
+    return Array.isArray(bindings) ? bindings : bindings[direction];
+  }
+
+  // Replace the key and gamepad bindings of an action (or an axis direction)
+  // and save them
+  setBindings(action, bindings, direction) {
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown input action: ${action}`);
+    }
+
+    if (ACTIONS[action].type === 'axis') {
+      this.bindings[action][direction] = withVirtualBindings(bindings, this.bindings[action][direction]);
+    } else {
+      this.bindings[action] = withVirtualBindings(bindings, this.bindings[action]);
+    }
+    this.saveBindings();
+  }
+
+  // Bind the next key, gamepad button or stick movement to an action (or axis
+  // direction) in place of its binding of the same kind: a key replaces the
+  // first key, a gamepad input the first gamepad binding. Escape cancels.
+  // onDone gets the new binding, or null if cancelled.
+  rebind(action, direction, onDone = () => {}) {
+    this.captureNextInput(binding => {
+      if (binding) {
+        const kind = getBindingKind(binding);
+        const bindings = this.getBindings(action, direction).filter(existing => existing !== binding);
+        const index = bindings.findIndex(existing => getBindingKind(existing) === kind);
+        if (index >= 0) {
+          bindings[index] = binding;
+        } else {
+          bindings.push(binding);
+        }
+        this.setBindings(action, bindings, direction);
+      }
+      onDone(binding);
+    });
+  }
+
+  // Send the next key or gamepad input to callback instead of the actions,
+  // cancelling any capture already waiting
+  captureNextInput(callback) {
+    this.finishCapture(null);
+    this.keys.clear();
+    this.captureHeld = new Set(
+      [...this.gamepadValues].filter(([, value]) => value > PRESS_THRESHOLD).map(([binding]) => binding)
+    );
+    this.capture = callback;
+  }
+
+  cancelCapture() {
+    this.finishCapture(null);
+  }
+
+  finishCapture(binding) {
+    const callback = this.capture;
+    this.capture = null;
+    if (callback) callback(binding);
+  }
+
+  resetBindings() {
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.saveBindings();
+  }
+
+  // Saved bindings override the defaults action by action (keeping the touch
+  // and tilt ones); anything unreadable is ignored, keeping the defaults for
+  // that action
+  loadBindings() {
+    if (!this.storage) return;
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+      Object.keys(ACTIONS).forEach(action => {
+        const bindings = saved[action];
+        if (!bindings) return;
+
+        if (ACTIONS[action].type === 'axis') {
+          this.bindings[action] = {
+            positive: readSavedBindings(bindings.positive, DEFAULT_BINDINGS[action].positive),
+            negative: readSavedBindings(bindings.negative, DEFAULT_BINDINGS[action].negative)
+          };
+        } else {
+          this.bindings[action] = readSavedBindings(bindings, DEFAULT_BINDINGS[action]);
+        }
+      });
+    } catch (error) {
+      console.warn('Ignoring saved input bindings:', error);
+    }
+  }
+
+  saveBindings() {
+    if (this.storage) {
+      try {
+        // Touch and tilt bindings are fixed, so only keys and gamepads are saved
+        const saved = JSON.stringify(this.bindings, (key, value) => (
+          Array.isArray(value) ? value.filter(binding => !isVirtualBinding(binding)) : value
+        ));
+        this.storage.setItem(STORAGE_KEY, saved);
+      } catch (error) {
+        console.warn('Could not save input bindings:', error);
+      }
+    }
+
+    if (this.onBindingsChanged) this.onBindingsChanged();
+  }
+
+  // Rows for the controls help: [{ action, direction, label, bindings: [names] }],
+  // one per button action and per direction of each axis action
+  describeControls() {
+    const rows = [];
+
+    Object.entries(ACTIONS).forEach(([action, definition]) => {
+      if (definition.type === 'axis') {
+        ['negative', 'positive'].forEach(direction => {
+          rows.push({
+            action,
+            direction,
+            label: definition[direction],
+            bindings: this.bindings[action][direction].filter(binding => !isVirtualBinding(binding)).map(describeBinding)
+          });
+        });
+      } else {
+        rows.push({
+          action,
+          label: definition.label,
+          bindings: this.bindings[action].filter(binding => !isVirtualBinding(binding)).map(describeBinding)
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,195 @@
+// On-screen controls for phones and tablets, feeding the InputManager's touch
+// and tilt bindings (see DEFAULT_BINDINGS there):
+// - a virtual stick: up lowers the nose, down raises it, sideways banks
+// - a flap button, held to flap
+// - a pause button
+// - a tilt button that switches on steering by tilting the device like a
+//   steering wheel, measured from how it was held when switched on
+//
+// The UIManager lays out the buttons; this wires them up with pointer events,
+// so each finger is tracked on its own and a mouse works too.
+
+export const DEFAULT_TOUCH = {
+  deadZone: 0.1, // Stick travel ignored around the centre, fraction of its radius
+  maxTilt: 25, // Degrees of device tilt for a full bank
+  tiltDeadZone: 3 // Degrees of tilt ignored around the neutral position
+};
+
+const STICK_BINDINGS = {
+  right: 'Touch:StickRight',
+  left: 'Touch:StickLeft',
+  up: 'Touch:StickUp',
+  down: 'Touch:StickDown'
+};
+
+export default class TouchControls {
+  // True on phones and tablets: a touch screen and no mouse or trackpad
+  static isTouchOnlyDevice() {
+    if (typeof window === 'undefined') return false;
+
+    if (window.matchMedia) {
+      return window.matchMedia('(any-pointer: coarse)').matches &&
+        !window.matchMedia('(any-pointer: fine)').matches;
+    }
+    return 'ontouchstart' in window && navigator.maxTouchPoints > 0;
+  }
+
+  constructor(input, uiManager, options = {}) {
+    this.input = input;
+    this.uiManager = uiManager;
+    this.config = { ...DEFAULT_TOUCH, ...options };
+
+    this.elements = uiManager.createTouchOverlay();
+    this.stickPointer = null;
+    this.tiltEnabled = false;
+    this.tiltNeutral = null;
+
+    this.onOrientation = this.onOrientation.bind(this);
+
+    this.setupStick();
+    this.setupHoldButton(this.elements.flapButton, 'Touch:Flap');
+    this.setupHoldButton(this.elements.pauseButton, 'Touch:Pause');
+    this.elements.tiltButton.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this.setTiltEnabled(!this.tiltEnabled);
+    });
+
+    uiManager.setTouchLayout(true);
+  }
+
+  setupStick() {
+    const { stick } = this.elements;
+
+    stick.addEventListener('pointerdown', (e) => {
+      if (this.stickPointer !== null) return;
+      e.preventDefault();
+      this.stickPointer = e.pointerId;
+      stick.setPointerCapture(e.pointerId);
+      this.moveStick(e);
+    });
+
+    stick.addEventListener('pointermove', (e) => {
+      if (e.pointerId === this.stickPointer) this.moveStick(e);
+    });
+
+    const release = (e) => {
+      if (e.pointerId !== this.stickPointer) return;
+      this.stickPointer = null;
+      this.setStick(0, 0);
+    };
+    stick.addEventListener('pointerup', release);
+    stick.addEventListener('pointercancel', release);
+  }
+
+  // Stick position from where the finger is, relative to the pad's centre
+  moveStick(e) {
+    const rect = this.elements.stick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (e.clientX - rect.left - radius) / radius;
+    let y = (e.clientY - rect.top - radius) / radius;
+
+    // Keep it within the pad
+    const distance = Math.hypot(x, y);
+    if (distance > 1) {
+      x /= distance;
+      y /= distance;
+    }
+
+    this.setStick(x, y);
+  }
+
+  // x right and y down, -1 to 1
+  setStick(x, y) {
+    // Move the knob, which spans 40% of the pad
+    const { knob } = this.elements;
+    knob.style.transform = `translate(${x * 75}%, ${y * 75}%)`;
+
+    const { deadZone } = this.config;
+    const distance = Math.hypot(x, y);
+    const scale = distance > deadZone ? (distance - deadZone) / (1 - deadZone) / distance : 0;
+
+    this.input.setVirtualValue(STICK_BINDINGS.right, Math.max(x * scale, 0));
+    this.input.setVirtualValue(STICK_BINDINGS.left, Math.max(-x * scale, 0));
+    this.input.setVirtualValue(STICK_BINDINGS.down, Math.max(y * scale, 0));
+    this.input.setVirtualValue(STICK_BINDINGS.up, Math.max(-y * scale, 0));
+  }
+
+  // A button that reads 1 while a finger is on it
+  setupHoldButton(button, binding) {
+    let pointer = null;
+
+    button.addEventListener('pointerdown', (e) => {
+      if (pointer !== null) return;
+      e.preventDefault();
+      pointer = e.pointerId;
+      button.setPointerCapture(e.pointerId);
+      this.input.setVirtualValue(binding, 1);
+      this.uiManager.setTouchButtonActive(button, true);
+    });
+
+    const release = (e) => {
+      if (e.pointerId !== pointer) return;
+      pointer = null;
+      this.input.setVirtualValue(binding, 0);
+      this.uiManager.setTouchButtonActive(button, false);
+    };
+    button.addEventListener('pointerup', release);
+    button.addEventListener('pointercancel', release);
+  }
+
+  async setTiltEnabled(enabled) {
+    if (enabled) {
+      // iOS only reports orientation once the player allows it, from a tap
+      const Orientation = window.DeviceOrientationEvent;
+      if (!Orientation) return;
+      if (typeof Orientation.requestPermission === 'function') {
+        try {
+          if (await Orientation.requestPermission() !== 'granted') return;
+        } catch (error) {
+          console.warn('Tilt steering unavailable:', error);
+          return;
+        }
+      }
+
+      this.tiltNeutral = null;
+      window.addEventListener('deviceorientation', this.onOrientation);
+    } else {
+      window.removeEventListener('deviceorientation', this.onOrientation);
+      this.input.setVirtualValue('Tilt:Right', 0);
+      this.input.setVirtualValue('Tilt:Left', 0);
+    }
+
+    this.tiltEnabled = enabled;
+    this.uiManager.setTouchButtonActive(this.elements.tiltButton, enabled);
+  }
+
+  // Degrees the device is tilted to the right as the player sees the screen
+  getTilt(e) {
+    const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+
+    // In landscape the screen's sideways axis is the device's long one
+    switch ((angle + 360) % 360) {
+      case 90: return e.beta;
+      case 270: return -e.beta;
+      case 180: return -e.gamma;
+      default: return e.gamma;
+    }
+  }
+
+  onOrientation(e) {
+    if (e.beta === null || e.gamma === null) return;
+
+    const tilt = this.getTilt(e);
+    if (this.tiltNeutral === null) {
+      this.tiltNeutral = tilt;
+    }
+
+    const { maxTilt, tiltDeadZone } = this.config;
+    const offset = tilt - this.tiltNeutral;
+    const magnitude = Math.max(Math.abs(offset) - tiltDeadZone, 0) / (maxTilt - tiltDeadZone);
+    const roll = Math.sign(offset) * Math.min(magnitude, 1);
+
+    this.input.setVirtualValue('Tilt:Right', Math.max(roll, 0));
+    this.input.setVirtualValue('Tilt:Left', Math.max(-roll, 0));
+  }
+}
@@ -0,0 +1,123 @@
+// Fixed-timestep game loop. The simulation advances in steps of a constant
+// length whatever the display's refresh rate, so flight behaves the same at
+// 30, 60 or 144 Hz; rendering runs once per animation frame and gets how far
+// it is between the last two steps, to interpolate what it draws.
+//
+// The time scale speeds up or slows down game time (0.25 is slow motion);
+// pausing stops the simulation while rendering carries on, so the camera can
+// still be moved around.
+
+export const DEFAULT_LOOP = {
+  step: 1 / 60, // Seconds of game time per simulation step
+  maxFrameTime: 0.25, // Longest real frame simulated, so a background tab doesn't replay minutes
+  maxStepsPerFrame: 20, // Steps dropped beyond this rather than falling ever further behind
+  minTimeScale: 1 / 8,
+  maxTimeScale: 4
+};
+
+export default class GameLoop {
+  // callbacks: { update(dt) for each simulation step, render(alpha, frameTime)
+  // once per frame with alpha (0-1) between the last two steps and the real
+  // seconds since the previous frame }
+  constructor(callbacks, options = {}) {
+    this.config = { ...DEFAULT_LOOP, ...options };
+    this.onUpdate = callbacks.update || (() => {});
+    this.onRender = callbacks.render || (() => {});
+
+    this.running = false;
+    this.paused = false;
+    this.timeScale = 1;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.frameRequest = null;
+
+    // Game seconds simulated since start()
+    this.elapsed = 0;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastFrameTime = null;
+    this.frameRequest = requestAnimationFrame(this.tick);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+    return this.paused;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  // Game seconds per real second, clamped to the configured range
+  setTimeScale(scale) {
+    const { minTimeScale, maxTimeScale } = this.config;
+    this.timeScale = Math.min(Math.max(scale, minTimeScale), maxTimeScale);
+    return this.timeScale;
+  }
+
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  // One animation frame; now is the requestAnimationFrame timestamp in ms
+  tick(now) {
+    if (!this.running) return;
+    this.frameRequest = requestAnimationFrame(this.tick);
+
+    const frameTime = this.lastFrameTime !== null
+      ? Math.min((now - this.lastFrameTime) / 1000, this.config.maxFrameTime)
+      : 0;
+    this.lastFrameTime = now;
+
+    this.advance(frameTime);
+    this.onRender(this.getAlpha(), frameTime);
+  }
+
+  // Run the simulation steps due after frameTime real seconds
+  advance(frameTime) {
+    if (this.paused) return 0;
+
+    const { step, maxStepsPerFrame } = this.config;
+    this.accumulator += frameTime * this.timeScale;
+
+    let steps = 0;
+    while (this.accumulator >= step && steps < maxStepsPerFrame) {
+      this.onUpdate(step);
+      this.accumulator -= step;
+      this.elapsed += step;
+      steps++;
+    }
+
+    if (steps === maxStepsPerFrame) {
+      this.accumulator = Math.min(this.accumulator, step);
+    }
+
+    return steps;
+  }
+
+  // How far the game is between the last step and the next, 0 to 1
+  getAlpha() {
+    return Math.min(this.accumulator / this.config.step, 1);
+  }
+}
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Smooths an object moved by the fixed-step simulation (see GameLoop). The
+// simulation keeps its state on the object itself, so around each step the
+// object is put back to where the simulation left it, and when drawing it is
+// placed between the last two steps.
+export default class InterpolatedTransform {
+  constructor(object) {
+    this.object = object;
+
+    this.previous = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+    this.current = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      rotation: new THREE.Euler()
+    };
+
+    // Yaw the object was drawn with, to keep turns made between frames
+    // (e.g. dragging with the mouse in CameraController)
+    this.drawnYaw = null;
+
+    this.reset();
+  }
+
+  // Take the object's transform as both steps, e.g. after it was teleported
+  reset() {
+    this.drawnYaw = null;
+    this.save();
+    this.previous.position.copy(this.current.position);
+    this.previous.quaternion.copy(this.current.quaternion);
+  }
+
+  // Before a simulation step: return the object to its simulated transform
+  // and remember it as the previous step
+  beginStep() {
+    this.restore();
+    this.previous.position.copy(this.current.position);
+    this.previous.quaternion.copy(this.current.quaternion);
+  }
+
+  // After a simulation step: record the transform it produced
+  endStep() {
+    this.save();
+  }
+
+  // Draw the object alpha (0-1) of the way from the previous step to the current one
+  interpolate(alpha) {
+    this.restore();
+    this.object.position.lerpVectors(this.previous.position, this.current.position, alpha);
+    this.object.quaternion.slerpQuaternions(this.previous.quaternion, this.current.quaternion, alpha);
+    this.drawnYaw = this.object.rotation.y;
+  }
+
+  save() {
+    this.current.position.copy(this.object.position);
+    this.current.quaternion.copy(this.object.quaternion);
+    this.current.rotation.copy(this.object.rotation);
+  }
+
+  restore() {
+    if (this.drawnYaw === null) return;
+
+    // Yaw turns both steps about the vertical (rotation order YXZ puts it first)
+    const turned = this.object.rotation.y - this.drawnYaw;
+    if (turned !== 0) {
+      this.current.rotation.y += turned;
+      this.current.quaternion.setFromEuler(this.current.rotation);
+      this.previous.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(UP, turned));
+    }
+
+    this.object.position.copy(this.current.position);
+    this.object.rotation.copy(this.current.rotation);
+    this.drawnYaw = null;
+  }
+}
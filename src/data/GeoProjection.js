@@ -0,0 +1,133 @@
+// Conversions between geographic coordinates, world space and heightmap indices.
+//
+// World space is a local tangent plane centred on the middle of the region:
+// - X points east, Z points south (north is -Z), Y points up
+// - One world unit is METERS_PER_UNIT meters horizontally
+// - Heights are exaggerated: one world unit of Y is
+//   METERS_PER_UNIT / verticalExaggeration meters
+//
+// Longitude is scaled by the cosine of the region's centre latitude, so the
+// projection keeps distances and shapes true to within a fraction of a percent
+// over regions a few degrees across.
+
+export const METERS_PER_UNIT = 100;
+
+// Mountains look flat at true scale from a bird's eye view, so heights are
+// stretched by default. Regions can override this in their manifest.
+export const DEFAULT_VERTICAL_EXAGGERATION = 6;
+
+// Length of one degree of latitude / longitude in meters at a given latitude (WGS84)
+export function metersPerDegree(lat) {
+  const phi = lat * Math.PI / 180;
+
+  return {
+    lat: 111132.92 - 559.82 * Math.cos(2 * phi) + 1.175 * Math.cos(4 * phi),
+    lng: 111412.84 * Math.cos(phi) - 93.5 * Math.cos(3 * phi)
+  };
+}
+
+export default class GeoProjection {
+  // bounds: { north, south, west, east } at the outermost heightmap sample centres
+  // gridWidth/gridHeight: heightmap size in samples
+  constructor(bounds, gridWidth, gridHeight, options = {}) {
+    this.bounds = { ...bounds };
+    this.gridWidth = gridWidth;
+    this.gridHeight = gridHeight;
+
+    this.metersPerUnit = options.metersPerUnit ?? METERS_PER_UNIT;
+    this.verticalExaggeration = options.verticalExaggeration ?? DEFAULT_VERTICAL_EXAGGERATION;
+
+    // Tangent point at the centre of the region
+    this.origin = {
+      lat: (bounds.north + bounds.south) / 2,
+      lng: (bounds.west + bounds.east) / 2
+    };
+    this.scale = metersPerDegree(this.origin.lat);
+
+    // Size of the region in world units
+    this.width = this.metersToUnits((bounds.east - bounds.west) * this.scale.lng);
+    this.length = this.metersToUnits((bounds.north - bounds.south) * this.scale.lat);
+  }
+
+  // Horizontal distances
+
+  metersToUnits(meters) {
+    return meters / this.metersPerUnit;
+  }
+
+  unitsToMeters(units) {
+    return units * this.metersPerUnit;
+  }
+
+  // Heights (meters above sea level <-> world Y)
+
+  elevationToWorldY(meters) {
+    return meters / this.metersPerUnit * this.verticalExaggeration;
+  }
+
+  worldYToElevation(y) {
+    return y * this.metersPerUnit / this.verticalExaggeration;
+  }
+
+  // Geographic <-> world
+
+  geoToWorld(lat, lng) {
+    return {
+      x: this.metersToUnits((lng - this.origin.lng) * this.scale.lng),
+      z: -this.metersToUnits((lat - this.origin.lat) * this.scale.lat)
+    };
+  }
+
+  worldToGeo(x, z) {
+    return {
+      lat: this.origin.lat - this.unitsToMeters(z) / this.scale.lat,
+      lng: this.origin.lng + this.unitsToMeters(x) / this.scale.lng
+    };
+  }
+
+  // Geographic <-> fractional heightmap indices (column 0 = west, row 0 = north)
+
+  geoToGrid(lat, lng) {
+    const { north, south, west, east } = this.bounds;
+
+    return {
+      column: (lng - west) / (east - west) * (this.gridWidth - 1),
+      row: (north - lat) / (north - south) * (this.gridHeight - 1)
+    };
+  }
+
+  gridToGeo(column, row) {
+    const { north, south, west, east } = this.bounds;
+
+    return {
+      lat: north - row / (this.gridHeight - 1) * (north - south),
+      lng: west + column / (this.gridWidth - 1) * (east - west)
+    };
+  }
+
+  // World <-> fractional heightmap indices
+
+  worldToGrid(x, z) {
+    return {
+      column: (x / this.width + 0.5) * (this.gridWidth - 1),
+      row: (z / this.length + 0.5) * (this.gridHeight - 1)
+    };
+  }
+
+  gridToWorld(column, row) {
+    return {
+      x: (column / (this.gridWidth - 1) - 0.5) * this.width,
+      z: (row / (this.gridHeight - 1) - 0.5) * this.length
+    };
+  }
+
+  isInside(lat, lng) {
+    const { north, south, west, east } = this.bounds;
+    return lat <= north && lat >= south && lng >= west && lng <= east;
+  }
+
+  // Horizontal distance between two world positions in meters
+  distanceMeters(x1, z1, x2, z2) {
+    return this.unitsToMeters(Math.sqrt((x2 - x1) ** 2 + (z2 - z1) ** 2));
+  }
+}
@@ -0,0 +1,192 @@
+// Shared helpers for digital elevation models (DEMs).
+//
+// Every loader in ./loaders returns an elevation grid of this shape:
+// {
+//   data: Float32Array,   // Elevations in meters, row-major, row 0 = northern edge
+//   width, height,        // Number of samples per row / column
+//   bounds: { north, south, west, east }, // Degrees, at the outermost sample centres
+//   noDataValue,          // Value the source file used for missing samples (or null)
+//   minElevation,         // Range of the valid samples in meters
+//   maxElevation
+// }
+
+// Build an elevation grid, filling missing samples and measuring the elevation range
+export function createElevationGrid(data, width, height, bounds, noDataValue = null) {
+  if (data.length !== width * height) {
+    throw new Error(`Elevation data has ${data.length} samples, expected ${width}x${height}`);
+  }
+
+  // Compare at single precision since the samples are stored as Float32
+  const noData = noDataValue === null ? null : Math.fround(noDataValue);
+  const isNoData = (value) => Number.isNaN(value) || value === noData;
+
+  fillNoData(data, width, height, isNoData);
+
+  const { min, max } = computeElevationRange(data);
+
+  return {
+    data,
+    width,
+    height,
+    bounds: { ...bounds },
+    noDataValue,
+    minElevation: min,
+    maxElevation: max
+  };
+}
+
+// Replace missing samples with the average of their filled neighbours.
+// Holes are filled from the outside in (breadth-first), so large voids get
+// a smooth surface instead of a pit.
+export function fillNoData(data, width, height, isNoData) {
+  const missing = new Uint8Array(data.length);
+  let missingCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    if (isNoData(data[i])) {
+      missing[i] = 1;
+      missingCount++;
+    }
+  }
+
+  if (missingCount === 0) return data;
+
+  if (missingCount === data.length) {
+    console.warn('Elevation data contains no valid samples');
+    data.fill(0);
+    return data;
+  }
+
+  const neighbours = (index, callback) => {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x > 0) callback(index - 1);
+    if (x < width - 1) callback(index + 1);
+    if (y > 0) callback(index - width);
+    if (y < height - 1) callback(index + width);
+  };
+
+  // Start from missing samples that touch valid ones
+  const queue = new Int32Array(missingCount);
+  const queued = new Uint8Array(data.length);
+  let head = 0;
+  let tail = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    if (!missing[i]) continue;
+
+    let touchesValid = false;
+    neighbours(i, (n) => {
+      if (!missing[n]) touchesValid = true;
+    });
+
+    if (touchesValid) {
+      queue[tail++] = i;
+      queued[i] = 1;
+    }
+  }
+
+  while (head < tail) {
+    const index = queue[head++];
+
+    let sum = 0;
+    let count = 0;
+    neighbours(index, (n) => {
+      if (!missing[n]) {
+        sum += data[n];
+        count++;
+      } else if (!queued[n]) {
+        queue[tail++] = n;
+        queued[n] = 1;
+      }
+    });
+
+    data[index] = count > 0 ? sum / count : 0;
+    missing[index] = 0;
+  }
+
+  return data;
+}
+
+export function computeElevationRange(data) {
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+
+  return { min, max };
+}
+
+// Shrink a grid so neither side exceeds maxSize samples, averaging the source
+// samples that fall under each output sample. Bounds are unchanged.
+export function resampleElevationGrid(grid, maxSize) {
+  const { width, height, data } = grid;
+  if (width <= maxSize && height <= maxSize) return grid;
+
+  const scale = maxSize / Math.max(width, height);
+  const newWidth = Math.max(2, Math.round(width * scale));
+  const newHeight = Math.max(2, Math.round(height * scale));
+  const resampled = new Float32Array(newWidth * newHeight);
+
+  // Source samples covered by one output sample along each axis
+  const footprintX = (width - 1) / (newWidth - 1);
+  const footprintY = (height - 1) / (newHeight - 1);
+
+  for (let y = 0; y < newHeight; y++) {
+    const centerY = y * footprintY;
+    const y0 = Math.max(0, Math.ceil(centerY - footprintY / 2));
+    const y1 = Math.min(height - 1, Math.floor(centerY + footprintY / 2));
+
+    for (let x = 0; x < newWidth; x++) {
+      const centerX = x * footprintX;
+      const x0 = Math.max(0, Math.ceil(centerX - footprintX / 2));
+      const x1 = Math.min(width - 1, Math.floor(centerX + footprintX / 2));
+
+      let sum = 0;
+      let count = 0;
+      for (let sy = y0; sy <= y1; sy++) {
+        for (let sx = x0; sx <= x1; sx++) {
+          sum += data[sy * width + sx];
+          count++;
+        }
+      }
+
+      resampled[y * newWidth + x] = count > 0
+        ? sum / count
+        : data[Math.round(centerY) * width + Math.round(centerX)];
+    }
+  }
+
+  const { min, max } = computeElevationRange(resampled);
+
+  return {
+    ...grid,
+    data: resampled,
+    width: newWidth,
+    height: newHeight,
+    minElevation: min,
+    maxElevation: max
+  };
+}
+
+// Guess the file format of an elevation source from its file extension
+export function detectDEMFormat(url) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+
+  if (path.endsWith('.hgt')) return 'hgt';
+  if (path.endsWith('.asc')) return 'asc';
+  if (path.endsWith('.tif') || path.endsWith('.tiff')) return 'geotiff';
+
+  return 'image';
+}
+
+export default {
+  createElevationGrid,
+  fillNoData,
+  computeElevationRange,
+  resampleElevationGrid,
+  detectDEMFormat
+};
@@ -3,20 +3,20 @@ import heightmapData, {
   HEIGHTMAP_HEIGHT, 
   GEO_BOUNDS,
   MAX_ELEVATION,
-  generateSyntheticHeightmap,
+  generateSyntheticElevationGrid,
   loadHeightmapFromImage
 } from './heightmap.js';
+import { createElevationGrid, detectDEMFormat, resampleElevationGrid } from './dem.js';
+import GeoProjection from './GeoProjection.js';
+import { isPNG, parsePNG } from './loaders/pngDecoder.js';
+import { decodeElevationImage } from './loaders/elevationEncodings.js';
+import { loadHGT } from './loaders/hgtLoader.js';
+import { loadAsciiGrid } from './loaders/asciiGridLoader.js';
+import { loadGeoTIFF } from './loaders/geoTiffLoader.js';
 
-// This service loads and processes elevation data for Ecuador's Chimborazo region
-
-// Major peaks in Ecuador
-const MAJOR_PEAKS = [
-  { name: "Chimborazo", lat: -1.4697, lng: -78.8169, elevation: 6263 },        // Ecuador's highest
-  { name: "Cotopaxi", lat: -0.6837, lng: -78.4370, elevation: 5897 },           // Ecuador's active volcano
-  { name: "Cayambe", lat: 0.0292, lng: -77.9861, elevation: 5790 },            // Ecuador's 3rd highest
-  { name: "Antisana", lat: -0.4811, lng: -78.1417, elevation: 5704 },          // Major volcano
-  { name: "Altar", lat: -1.6667, lng: -78.4167, elevation: 5320 }              // Complex volcano
-];
+// This service loads and processes elevation data for a region.
+// Region-specific values (bounds, peaks, elevation range) come from the
+// region manifests in public/regions (see regions.js).
 
 // Function to check if a point is within our bounds
 function isInBounds(lat, lng, bounds) {
@@ -49,37 +49,33 @@ function geoDistance(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
-// Process and enhance the heightmap to better represent peaks
-export function enhanceHeightmap(heightmapData) {
-  // Create a copy of the heightmap data
-  const enhancedData = new Float32Array(HEIGHTMAP_WIDTH * HEIGHTMAP_HEIGHT);
+// Process and enhance a heightmap elevation grid to better represent peaks.
+// Works in meters on grids of any resolution; distances are expressed relative
+// to the original 256x256 heightmap so the result looks the same at any size.
+export function enhanceHeightmap(grid, peaks = []) {
+  const { width, height, bounds } = grid;
+  const cellScale = width / HEIGHTMAP_WIDTH;
+  const projection = new GeoProjection(bounds, width, height);
   
-  // First, copy over the original data
-  for (let i = 0; i < heightmapData.length; i++) {
-    enhancedData[i] = heightmapData[i];
-  }
+  // Create a copy of the heightmap data
+  const enhancedData = new Float32Array(grid.data);
   
   // Ensure the peaks are represented accurately
-  MAJOR_PEAKS.forEach(peak => {
+  peaks.forEach(peak => {
     // Only process peaks that are within our bounds
-    if (isInBounds(peak.lat, peak.lng, GEO_BOUNDS)) {
-      // Convert geographical coordinates to heightmap indices
-      const latRange = GEO_BOUNDS.north - GEO_BOUNDS.south;
-      const lngRange = GEO_BOUNDS.east - GEO_BOUNDS.west;
-      
-      const y = Math.floor((GEO_BOUNDS.north - peak.lat) / latRange * HEIGHTMAP_HEIGHT);
-      const x = Math.floor((peak.lng - GEO_BOUNDS.west) / lngRange * HEIGHTMAP_WIDTH);
+    if (isInBounds(peak.lat, peak.lng, bounds)) {
+      // Fractional heightmap indices, so the bump is centred on the summit
+      const { column: x, row: y } = projection.geoToGrid(peak.lat, peak.lng);
       
       // Add peak with radius influence
-      const peakElevation = peak.elevation / MAX_ELEVATION;
-      const influenceRadius = 15; // Radius of influence in heightmap cells
+      const influenceRadius = 15 * cellScale; // Radius of influence in heightmap cells
       
-      for (let iy = Math.max(0, y - influenceRadius); iy < Math.min(HEIGHTMAP_HEIGHT, y + influenceRadius); iy++) {
-        for (let ix = Math.max(0, x - influenceRadius); ix < Math.min(HEIGHTMAP_WIDTH, x + influenceRadius); ix++) {
+      for (let iy = Math.max(0, Math.floor(y - influenceRadius)); iy < Math.min(height, y + influenceRadius); iy++) {
+        for (let ix = Math.max(0, Math.floor(x - influenceRadius)); ix < Math.min(width, x + influenceRadius); ix++) {
           const distance = Math.sqrt((ix - x) ** 2 + (iy - y) ** 2);
           
           if (distance < influenceRadius) {
-            const index = iy * HEIGHTMAP_WIDTH + ix;
+            const index = iy * width + ix;
             
             // Use a bell curve falloff from the peak
             const influence = Math.exp(-(distance ** 2) / (2 * (influenceRadius / 3) ** 2));
@@ -87,7 +83,7 @@ export function enhanceHeightmap(heightmapData) {
             // Blend with existing elevation, giving more weight to higher values
             enhancedData[index] = Math.max(
               enhancedData[index],
-              enhancedData[index] * (1 - influence) + peakElevation * influence
+              enhancedData[index] * (1 - influence) + peak.elevation * influence
             );
           }
         }
@@ -95,44 +91,137 @@ export function enhanceHeightmap(heightmapData) {
     }
   });
   
-  // Add some noise for natural variation
+  // Keep values above sea level. Fine variation is added later by the
+  // terrain's seeded detail noise (see terrain/detailNoise.js).
   for (let i = 0; i < enhancedData.length; i++) {
-    const x = i % HEIGHTMAP_WIDTH;
-    const y = Math.floor(i / HEIGHTMAP_WIDTH);
-    
-    // Small noise contribution
-    const noise = (Math.sin(x * 0.3) * Math.cos(y * 0.4) + Math.sin(x * 0.1 + y * 0.2)) * 0.01;
-    enhancedData[i] += noise;
-    
-    // Ensure values are within range
-    enhancedData[i] = Math.max(0, Math.min(1, enhancedData[i]));
+    enhancedData[i] = Math.max(0, enhancedData[i]);
   }
   
-  return enhancedData;
+  return createElevationGrid(enhancedData, width, height, bounds);
 }
 
-// Function to fetch elevation data from the image
-export async function fetchElevationData() {
+// Default elevation source, served from public/
+const DEFAULT_ELEVATION_SOURCE = '/chimborazo-heightmap.png';
+
+// Load a real DEM file (SRTM .hgt, ESRI .asc or GeoTIFF) in meters
+export async function loadDEM(url, format = detectDEMFormat(url)) {
+  switch (format) {
+    case 'hgt':
+      return loadHGT(url);
+    case 'asc':
+      return loadAsciiGrid(url);
+    case 'geotiff':
+      return loadGeoTIFF(url);
+    default:
+      throw new Error(`Unsupported elevation format for ${url}`);
+  }
+}
+
+// Largest grid side kept in memory; bigger sources are averaged down
+const MAX_GRID_SIZE = 1024;
+
+// Wrap a normalized (0-1) heightmap in the elevation grid format used by the DEM loaders
+function heightmapToElevationGrid(heightmapData) {
+  const meters = new Float32Array(heightmapData.length);
+  for (let i = 0; i < heightmapData.length; i++) {
+    meters[i] = heightmapData[i] * MAX_ELEVATION;
+  }
+  
+  return createElevationGrid(meters, HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT, GEO_BOUNDS);
+}
+
+// Load a heightmap image as meters. PNGs are decoded at full precision, so
+// 16-bit grayscale, Mapbox Terrain-RGB and Terrarium tiles all work; other
+// formats go through a canvas and are read as 8-bit grayscale.
+export async function loadElevationImage(url, options = {}) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  
+  const buffer = await response.arrayBuffer();
+  if (isPNG(buffer)) {
+    try {
+      const image = await parsePNG(buffer);
+      return decodeElevationImage(image, options.bounds || GEO_BOUNDS, { hint: url, ...options });
+    } catch (error) {
+      console.warn(`Could not decode ${url} at full precision, using 8-bit canvas decoding:`, error);
+    }
+  }
+  
+  const imageData = await loadHeightmapFromImage(url);
+  return heightmapToElevationGrid(imageData);
+}
+
+// Function to fetch elevation data as an elevation grid (see dem.js).
+// DEM files are used as-is; heightmap images get the peak enhancement pass.
+// Options:
+// - bounds: geographic bounds of heightmap images (DEMs carry their own)
+// - minElevation / maxElevation: meters of the darkest/brightest gray value
+// - peaks: peaks to sharpen in heightmap images, and to build fallback terrain from
+// - enhancePeaks: set to false to skip the enhancement pass
+// - onProgress(progress, stage): called as loading moves on, progress runs from 0 to 1
+export async function fetchElevationData(source = DEFAULT_ELEVATION_SOURCE, options = {}) {
+  const bounds = options.bounds || GEO_BOUNDS;
+  const peaks = options.peaks || [];
+  const onProgress = options.onProgress || (() => {});
+  
   try {
+    onProgress(0, 'Downloading elevation data');
+    
+    const format = detectDEMFormat(source);
+    if (format !== 'image') {
+      const grid = await loadDEM(source, format);
+      onProgress(0.7, 'Resampling elevation data');
+      return resampleElevationGrid(grid, MAX_GRID_SIZE);
+    }
+    
     // Load the heightmap from the provided image
-    const imageData = await loadHeightmapFromImage('/chimborazo-heightmap.png');
+    const image = await loadElevationImage(source, {
+      bounds,
+      minElevation: options.minElevation,
+      maxElevation: options.maxElevation
+    });
+    onProgress(0.6, 'Resampling elevation data');
+    const imageGrid = resampleElevationGrid(image, MAX_GRID_SIZE);
     
-    // Enhance the heightmap with more accurate peak data
-    const enhancedData = enhanceHeightmap(imageData);
+    if (options.enhancePeaks === false) {
+      return imageGrid;
+    }
     
-    return enhancedData;
+    // Enhance the heightmap with more accurate peak data
+    onProgress(0.8, 'Enhancing peaks');
+    return enhanceHeightmap(imageGrid, peaks);
   } catch (error) {
-    console.error('Error loading heightmap image:', error);
+    console.error(`Error loading elevation data from ${source}:`, error);
     
-    // Fallback to synthetic data if image loading fails
+    // Fallback to synthetic data if loading fails
     console.log('Falling back to synthetic heightmap');
-    const baseData = generateSyntheticHeightmap();
-    return enhanceHeightmap(baseData);
+    return generateSyntheticElevationGrid(bounds, peaks);
   }
 }
 
+// Fetch the elevation grid described by a region manifest (see regions.js).
+// Takes the same onProgress option as fetchElevationData().
+export async function fetchRegionElevation(region, options = {}) {
+  if (region.heightmap.type === 'synthetic' || !region.heightmap.url) {
+    return generateSyntheticElevationGrid(region.bounds, region.peaks);
+  }
+  
+  return fetchElevationData(region.heightmap.url, {
+    bounds: region.bounds,
+    minElevation: region.elevation.min,
+    maxElevation: region.elevation.max,
+    peaks: region.peaks,
+    enhancePeaks: region.heightmap.enhancePeaks,
+    onProgress: options.onProgress
+  });
+}
+
 export default {
   fetchElevationData,
-  enhanceHeightmap,
-  MAJOR_PEAKS
-}; 
\ No newline at end of file
+  fetchRegionElevation,
+  loadDEM,
+  loadElevationImage,
+  enhanceHeightmap
+};
@@ -6,6 +6,7 @@
 // Using a provided heightmap image
 
 import * as THREE from 'three';
+import { createElevationGrid } from './dem.js';
 
 // Sample resolution for our heightmap
 export const HEIGHTMAP_WIDTH = 256;
@@ -20,10 +21,17 @@ export const GEO_BOUNDS = {
 };
 
 // Maximum height of Chimborazo (~6,263 meters)
+// Only used as the elevation of a white pixel in grayscale heightmaps; the terrain
+// itself is normalized against the highest sample of whatever data is loaded
 export const MAX_ELEVATION = 6300;
 
 // Function to load the provided heightmap image
 export async function loadHeightmapFromImage(imagePath = '/chimborazo-heightmap.png') {
+  // Workers have no <img> or document, decode through an ImageBitmap there
+  if (typeof document === 'undefined') {
+    return loadHeightmapFromBitmap(imagePath);
+  }
+  
   return new Promise((resolve, reject) => {
     // Create a new image element
     const img = new Image();
@@ -66,6 +74,33 @@ export async function loadHeightmapFromImage(imagePath = '/chimborazo-heightmap.
   });
 }
 
+// Same as loadHeightmapFromImage, for use in Web Workers
+async function loadHeightmapFromBitmap(imagePath) {
+  try {
+    const response = await fetch(imagePath);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${imagePath}: ${response.status}`);
+    }
+    
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT);
+    bitmap.close();
+    
+    const pixels = ctx.getImageData(0, 0, HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT).data;
+    const heightmapData = new Float32Array(HEIGHTMAP_WIDTH * HEIGHTMAP_HEIGHT);
+    for (let i = 0; i < heightmapData.length; i++) {
+      heightmapData[i] = pixels[i * 4] / 255;
+    }
+    
+    return heightmapData;
+  } catch (error) {
+    console.error('Failed to load heightmap image', error);
+    return generateSyntheticHeightmap();
+  }
+}
+
 // Generate a synthetic heightmap as fallback
 export function generateSyntheticHeightmap() {
   const data = new Float32Array(HEIGHTMAP_WIDTH * HEIGHTMAP_HEIGHT);
@@ -124,28 +159,57 @@ export function generateSyntheticHeightmap() {
   return data;
 }
 
-// Function to get elevation at a specific geographic coordinate
-export function getElevationAtCoordinate(lat, lng, heightmapData) {
-  // Convert geographical coordinates to heightmap indices
-  const latRange = GEO_BOUNDS.north - GEO_BOUNDS.south;
-  const lngRange = GEO_BOUNDS.east - GEO_BOUNDS.west;
+// Generate synthetic terrain in meters for any region from its peak list:
+// a broad range following the peaks, a cone for each peak and some ridged noise
+export function generateSyntheticElevationGrid(bounds, peaks = [], width = HEIGHTMAP_WIDTH, height = HEIGHTMAP_HEIGHT) {
+  const data = new Float32Array(width * height);
+  
+  const latRange = bounds.north - bounds.south;
+  const lngRange = bounds.east - bounds.west;
+  
+  const highestPeak = peaks.reduce((max, peak) => Math.max(max, peak.elevation), MAX_ELEVATION * 0.5);
+  const baseElevation = highestPeak * 0.25;
+  const peakRadius = Math.min(latRange, lngRange) * 0.08; // Degrees
   
-  const y = Math.floor((GEO_BOUNDS.north - lat) / latRange * HEIGHTMAP_HEIGHT);
-  const x = Math.floor((lng - GEO_BOUNDS.west) / lngRange * HEIGHTMAP_WIDTH);
+  // The range runs along the mean longitude of the peaks
+  const rangeLng = peaks.length > 0
+    ? peaks.reduce((sum, peak) => sum + peak.lng, 0) / peaks.length
+    : (bounds.west + bounds.east) / 2;
+  const rangeWidth = lngRange * 0.2;
   
-  // Bounds check
-  if (x < 0 || x >= HEIGHTMAP_WIDTH || y < 0 || y >= HEIGHTMAP_HEIGHT) {
-    return 0;
+  for (let y = 0; y < height; y++) {
+    const lat = bounds.north - (y / (height - 1)) * latRange;
+    
+    for (let x = 0; x < width; x++) {
+      const lng = bounds.west + (x / (width - 1)) * lngRange;
+      
+      // Main range
+      const rangeFactor = Math.exp(-(((lng - rangeLng) / rangeWidth) ** 2));
+      let elevation = baseElevation + highestPeak * 0.35 * rangeFactor;
+      
+      // Peaks
+      peaks.forEach(peak => {
+        const distance = Math.sqrt((lat - peak.lat) ** 2 + (lng - peak.lng) ** 2);
+        const peakFactor = Math.exp(-((distance / peakRadius) ** 2));
+        elevation = Math.max(elevation, elevation * (1 - peakFactor) + peak.elevation * peakFactor);
+      });
+      
+      // Ridged variation, strongest along the range
+      const ridges = 1 - Math.abs(Math.sin(x * 0.21 + Math.cos(y * 0.13) * 2) * Math.cos(y * 0.17));
+      elevation += ridges * highestPeak * 0.06 * (0.3 + rangeFactor);
+      
+      data[y * width + x] = elevation;
+    }
   }
   
-  return heightmapData[y * HEIGHTMAP_WIDTH + x] * MAX_ELEVATION;
+  return createElevationGrid(data, width, height, bounds);
 }
 
 // Export an API for accessing and working with the heightmap
 export default {
   loadHeightmapFromImage,
   generateSyntheticHeightmap,
-  getElevationAtCoordinate,
+  generateSyntheticElevationGrid,
   HEIGHTMAP_WIDTH,
   HEIGHTMAP_HEIGHT,
   GEO_BOUNDS,
@@ -0,0 +1,315 @@
+// Rivers and lakes derived from an elevation grid.
+//
+// 1. Depressions are filled with Priority-Flood (Barnes et al. 2014) starting
+//    from the grid edges, which are treated as the region's outlets. A plain
+//    fill gives the level water would settle at; a second fill with a tiny
+//    gradient (epsilon) makes every cell drain somewhere, flats included.
+// 2. Each cell flows to its steepest downhill neighbour (D8).
+// 3. Flow accumulation counts the cells draining through each cell.
+// 4. Filled depressions that are deep and large enough become lakes; cells
+//    draining a large enough area become rivers, traced downstream into polylines.
+//
+// Works on grid indices (column, row) with row 0 north, like dem.js.
+
+export const DEFAULT_HYDROLOGY = {
+  riverArea: 40, // km² of upstream area for a cell to carry a river
+  lakeDepth: 3, // Meters a depression must reach to hold a lake
+  lakeArea: 0.2 // km² a depression must cover to hold a lake
+};
+
+// Neighbour offsets, clockwise from north
+const OFFSETS = [
+  [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]
+];
+
+const NO_FLOW = -1;
+
+// Binary min-heap of cell indices keyed by elevation
+class CellHeap {
+  constructor(keys, capacity) {
+    this.keys = keys;
+    this.items = new Int32Array(capacity);
+    this.size = 0;
+  }
+
+  push(cell) {
+    let i = this.size++;
+    const key = this.keys[cell];
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[this.items[parent]] <= key) break;
+      this.items[i] = this.items[parent];
+      i = parent;
+    }
+    this.items[i] = cell;
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items[--this.size];
+    const key = this.keys[last];
+    let i = 0;
+
+    while (true) {
+      let child = i * 2 + 1;
+      if (child >= this.size) break;
+      if (child + 1 < this.size && this.keys[this.items[child + 1]] < this.keys[this.items[child]]) {
+        child++;
+      }
+      if (this.keys[this.items[child]] >= key) break;
+      this.items[i] = this.items[child];
+      i = child;
+    }
+    this.items[i] = last;
+
+    return top;
+  }
+}
+
+// Priority-Flood depression filling. With epsilon > 0 every filled cell ends
+// up strictly higher than the cell it was reached from, so nothing is flat.
+export function fillDepressions(elevation, width, height, epsilon = 0) {
+  const filled = Float64Array.from(elevation);
+  const closed = new Uint8Array(width * height);
+  const heap = new CellHeap(filled, width * height);
+
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) {
+      if (row === 0 || column === 0 || row === height - 1 || column === width - 1) {
+        const cell = row * width + column;
+        closed[cell] = 1;
+        heap.push(cell);
+      }
+    }
+  }
+
+  while (heap.size > 0) {
+    const cell = heap.pop();
+    const column = cell % width;
+    const row = (cell - column) / width;
+
+    for (const [dx, dy] of OFFSETS) {
+      const nx = column + dx;
+      const ny = row + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+      const neighbour = ny * width + nx;
+      if (closed[neighbour]) continue;
+      closed[neighbour] = 1;
+
+      const minimum = filled[cell] + epsilon;
+      if (filled[neighbour] < minimum) {
+        filled[neighbour] = minimum;
+      }
+      heap.push(neighbour);
+    }
+  }
+
+  return filled;
+}
+
+// D8 flow direction: index into OFFSETS of the steepest downhill neighbour,
+// or NO_FLOW for edge cells, which drain out of the region
+export function computeFlowDirections(filled, width, height, cellWidth, cellHeight) {
+  const directions = new Int8Array(width * height).fill(NO_FLOW);
+  const distances = OFFSETS.map(([dx, dy]) => Math.hypot(dx * cellWidth, dy * cellHeight));
+
+  for (let row = 1; row < height - 1; row++) {
+    for (let column = 1; column < width - 1; column++) {
+      const cell = row * width + column;
+      let steepest = 0;
+
+      OFFSETS.forEach(([dx, dy], direction) => {
+        const drop = (filled[cell] - filled[(row + dy) * width + column + dx]) / distances[direction];
+        if (drop > steepest) {
+          steepest = drop;
+          directions[cell] = direction;
+        }
+      });
+    }
+  }
+
+  return directions;
+}
+
+export function downstreamCell(cell, direction, width) {
+  if (direction === NO_FLOW) return -1;
+
+  const [dx, dy] = OFFSETS[direction];
+  return cell + dy * width + dx;
+}
+
+// Number of cells draining through each cell, itself included.
+// Cells are visited upstream first by counting how many neighbours flow into each.
+export function computeFlowAccumulation(directions, width, height) {
+  const count = width * height;
+  const accumulation = new Float32Array(count).fill(1);
+  const inflow = new Uint8Array(count);
+
+  for (let cell = 0; cell < count; cell++) {
+    const downstream = downstreamCell(cell, directions[cell], width);
+    if (downstream >= 0) inflow[downstream]++;
+  }
+
+  const queue = new Int32Array(count);
+  let head = 0;
+  let tail = 0;
+  for (let cell = 0; cell < count; cell++) {
+    if (inflow[cell] === 0) queue[tail++] = cell;
+  }
+
+  while (head < tail) {
+    const cell = queue[head++];
+    const downstream = downstreamCell(cell, directions[cell], width);
+    if (downstream < 0) continue;
+
+    accumulation[downstream] += accumulation[cell];
+    if (--inflow[downstream] === 0) {
+      queue[tail++] = downstream;
+    }
+  }
+
+  return accumulation;
+}
+
+// Group filled depressions into lakes.
+// Returns { lakeIds, lakes } where lakeIds holds each cell's lake id (0 = dry)
+// and lakes[id - 1] = { id, level, maxDepth, cellCount, column, row } with
+// level/maxDepth in meters and column/row the deepest cell.
+function findLakes(elevation, levels, width, height, options, cellArea) {
+  const lakeIds = new Uint16Array(width * height);
+  const lakes = [];
+  const minCells = options.lakeArea / cellArea;
+  const stack = new Int32Array(width * height);
+  const visited = new Uint8Array(width * height);
+
+  // Depths below a millimeter are rounding, not water
+  const isWet = (cell) => levels[cell] - elevation[cell] > 1e-3;
+
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || !isWet(start)) continue;
+
+    // Flood the connected wet cells
+    const cells = [];
+    let maxDepth = 0;
+    let deepest = start;
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const cell = stack[--top];
+      cells.push(cell);
+
+      const depth = levels[cell] - elevation[cell];
+      if (depth > maxDepth) {
+        maxDepth = depth;
+        deepest = cell;
+      }
+
+      const column = cell % width;
+      const row = (cell - column) / width;
+      for (const [dx, dy] of OFFSETS) {
+        const nx = column + dx;
+        const ny = row + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+        const neighbour = ny * width + nx;
+        if (!visited[neighbour] && isWet(neighbour)) {
+          visited[neighbour] = 1;
+          stack[top++] = neighbour;
+        }
+      }
+    }
+
+    if (maxDepth < options.lakeDepth || cells.length < minCells || lakes.length >= 65535) continue;
+
+    const id = lakes.length + 1;
+    cells.forEach(cell => {
+      lakeIds[cell] = id;
+    });
+    lakes.push({
+      id,
+      level: levels[deepest],
+      maxDepth,
+      cellCount: cells.length,
+      column: deepest % width,
+      row: Math.floor(deepest / width)
+    });
+  }
+
+  return { lakeIds, lakes };
+}
+
+// Trace river cells downstream into polylines. Each river starts at a river
+// cell no other river cell flows into (a source, or a lake outlet) and ends
+// where it joins an already traced river, enters a lake or leaves the grid.
+// Returns [{ cells }] with cells as grid indices, upstream first.
+function traceRivers(directions, accumulation, lakeIds, width, height, minCells) {
+  const count = width * height;
+  const isRiver = (cell) => accumulation[cell] >= minCells && lakeIds[cell] === 0;
+
+  const hasRiverInflow = new Uint8Array(count);
+  for (let cell = 0; cell < count; cell++) {
+    if (!isRiver(cell)) continue;
+    const downstream = downstreamCell(cell, directions[cell], width);
+    if (downstream >= 0) hasRiverInflow[downstream] = 1;
+  }
+
+  const sources = [];
+  for (let cell = 0; cell < count; cell++) {
+    if (isRiver(cell) && !hasRiverInflow[cell]) sources.push(cell);
+  }
+
+  const traced = new Uint8Array(count);
+  const rivers = sources.map(source => {
+    const cells = [];
+    let cell = source;
+
+    while (cell >= 0) {
+      cells.push(cell);
+      if (traced[cell] || lakeIds[cell] !== 0) break;
+      traced[cell] = 1;
+      cell = downstreamCell(cell, directions[cell], width);
+    }
+
+    return { cells };
+  });
+
+  return rivers.filter(river => river.cells.length > 1);
+}
+
+// Run the full analysis on an elevation grid in meters.
+// cellWidth/cellHeight are the grid spacing in meters.
+// Returns { filled, directions, accumulation, lakeIds, lakes, rivers }.
+export function analyzeHydrology(elevation, width, height, cellWidth, cellHeight, options = {}) {
+  const settings = { ...DEFAULT_HYDROLOGY, ...options };
+  const cellArea = cellWidth * cellHeight / 1e6; // km²
+
+  const levels = fillDepressions(elevation, width, height);
+  const filled = fillDepressions(elevation, width, height, 1e-4);
+  const directions = computeFlowDirections(filled, width, height, cellWidth, cellHeight);
+  const accumulation = computeFlowAccumulation(directions, width, height);
+
+  const { lakeIds, lakes } = findLakes(elevation, levels, width, height, settings, cellArea);
+  const rivers = traceRivers(directions, accumulation, lakeIds, width, height, settings.riverArea / cellArea);
+
+  lakes.forEach(lake => {
+    lake.area = lake.cellCount * cellArea;
+  });
+  rivers.forEach(river => {
+    // Upstream area at each point, which sets the river's width there
+    river.areas = river.cells.map(cell => accumulation[cell] * cellArea);
+  });
+
+  return { filled, directions, accumulation, lakeIds, lakes, rivers };
+}
+
+export default {
+  DEFAULT_HYDROLOGY,
+  fillDepressions,
+  computeFlowDirections,
+  computeFlowAccumulation,
+  downstreamCell,
+  analyzeHydrology
+};
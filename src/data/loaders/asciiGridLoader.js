@@ -0,0 +1,97 @@
+import { createElevationGrid } from '../dem.js';
+
+// ESRI ASCII Grid (.asc): a short "key value" header followed by rows of
+// whitespace-separated elevations, northernmost row first. Coordinates are
+// expected in geographic degrees.
+//
+//   ncols         4
+//   nrows         3
+//   xllcorner     -79.5
+//   yllcorner     -2.5
+//   cellsize      0.0008333
+//   NODATA_value  -9999
+//   ...
+
+const HEADER_KEYS = [
+  'ncols', 'nrows', 'xllcorner', 'yllcorner', 'xllcenter', 'yllcenter',
+  'cellsize', 'dx', 'dy', 'nodata_value'
+];
+
+export function parseAsciiGrid(text) {
+  const header = {};
+  let position = 0;
+
+  // Read header lines until the first line that isn't a known key
+  while (position < text.length) {
+    const lineEnd = text.indexOf('\n', position);
+    const line = text.slice(position, lineEnd === -1 ? text.length : lineEnd).trim();
+    const [key, value] = line.split(/\s+/);
+
+    if (!key || !HEADER_KEYS.includes(key.toLowerCase())) break;
+
+    header[key.toLowerCase()] = parseFloat(value);
+    position = lineEnd === -1 ? text.length : lineEnd + 1;
+  }
+
+  const width = header.ncols;
+  const height = header.nrows;
+  const dx = header.cellsize ?? header.dx;
+  const dy = header.cellsize ?? header.dy;
+
+  if (!width || !height || !dx || !dy) {
+    throw new Error('ASCII grid header must define ncols, nrows and cellsize');
+  }
+
+  // Convert the lower-left reference to the centre of the south-west cell
+  let west;
+  let south;
+  if (header.xllcenter !== undefined) {
+    west = header.xllcenter;
+  } else if (header.xllcorner !== undefined) {
+    west = header.xllcorner + dx / 2;
+  } else {
+    throw new Error('ASCII grid header must define xllcorner or xllcenter');
+  }
+  if (header.yllcenter !== undefined) {
+    south = header.yllcenter;
+  } else if (header.yllcorner !== undefined) {
+    south = header.yllcorner + dy / 2;
+  } else {
+    throw new Error('ASCII grid header must define yllcorner or yllcenter');
+  }
+
+  const values = text.slice(position).trim().split(/\s+/);
+  if (values.length < width * height) {
+    throw new Error(`ASCII grid has ${values.length} values, expected ${width * height}`);
+  }
+
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = parseFloat(values[i]);
+  }
+
+  const bounds = {
+    north: south + (height - 1) * dy,
+    south,
+    west,
+    east: west + (width - 1) * dx
+  };
+
+  const noDataValue = header.nodata_value ?? null;
+
+  return createElevationGrid(data, width, height, bounds, noDataValue);
+}
+
+export async function loadAsciiGrid(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+
+  return parseAsciiGrid(await response.text());
+}
+
+export default {
+  parseAsciiGrid,
+  loadAsciiGrid
+};
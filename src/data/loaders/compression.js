@@ -0,0 +1,153 @@
+// Decompressors used by the binary elevation formats
+
+// Inflate zlib-wrapped deflate data using the browser's DecompressionStream
+export async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Deflate-compressed data needs DecompressionStream support');
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Growable byte buffer for decoders that don't know their output size up front
+class ByteWriter {
+  constructor(initialSize = 1024) {
+    this.bytes = new Uint8Array(initialSize);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  push(byte) {
+    this.ensure(1);
+    this.bytes[this.length++] = byte;
+  }
+
+  pushAll(values) {
+    this.ensure(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// TIFF flavour of LZW: MSB-first codes, 9 to 12 bits, with "early change"
+export function decodeLZW(input) {
+  const CLEAR_CODE = 256;
+  const EOI_CODE = 257;
+  const output = new ByteWriter(input.length * 3);
+
+  let table = [];
+  let codeLength = 9;
+  let bitPosition = 0;
+
+  const resetTable = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) {
+      table.push(Uint8Array.of(i));
+    }
+    table.push(null, null); // Clear and end-of-information codes
+    codeLength = 9;
+  };
+
+  const readCode = () => {
+    if (bitPosition + codeLength > input.length * 8) return EOI_CODE;
+
+    let code = 0;
+    for (let i = 0; i < codeLength; i++) {
+      const byte = input[(bitPosition + i) >> 3];
+      const bit = (byte >> (7 - ((bitPosition + i) & 7))) & 1;
+      code = (code << 1) | bit;
+    }
+    bitPosition += codeLength;
+    return code;
+  };
+
+  const addEntry = (entry) => {
+    table.push(entry);
+    if (table.length >= (1 << codeLength) - 1 && codeLength < 12) {
+      codeLength++;
+    }
+  };
+
+  resetTable();
+  let previous = null;
+
+  while (true) {
+    const code = readCode();
+    if (code === EOI_CODE) break;
+
+    if (code === CLEAR_CODE) {
+      resetTable();
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) {
+        const added = new Uint8Array(previous.length + 1);
+        added.set(previous);
+        added[previous.length] = entry[0];
+        addEntry(added);
+      }
+    } else if (previous) {
+      // Code not in the table yet: it must be previous + previous[0]
+      entry = new Uint8Array(previous.length + 1);
+      entry.set(previous);
+      entry[previous.length] = previous[0];
+      addEntry(entry);
+    } else {
+      throw new Error('Corrupt LZW data');
+    }
+
+    output.pushAll(entry);
+    previous = entry;
+  }
+
+  return output.result();
+}
+
+// Apple PackBits run-length encoding
+export function decodePackBits(input) {
+  const output = new ByteWriter(input.length * 2);
+  let i = 0;
+
+  while (i < input.length) {
+    const header = (input[i++] << 24) >> 24; // Signed byte
+
+    if (header >= 0) {
+      // Copy the next header + 1 bytes literally
+      output.pushAll(input.subarray(i, i + header + 1));
+      i += header + 1;
+    } else if (header !== -128) {
+      // Repeat the next byte 1 - header times
+      const value = input[i++];
+      for (let k = 0; k < 1 - header; k++) {
+        output.push(value);
+      }
+    }
+  }
+
+  return output.result();
+}
+
+export default {
+  inflate,
+  decodeLZW,
+  decodePackBits
+};
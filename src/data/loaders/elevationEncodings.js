@@ -0,0 +1,142 @@
+import { createElevationGrid } from '../dem.js';
+import { MAX_ELEVATION } from '../heightmap.js';
+
+// Ways elevation can be packed into image pixels
+export const ELEVATION_ENCODINGS = {
+  GRAYSCALE: 'grayscale', // 8 or 16-bit gray mapped linearly onto an elevation range
+  TERRAIN_RGB: 'terrain-rgb', // Mapbox: -10000 + (R * 65536 + G * 256 + B) * 0.1
+  TERRARIUM: 'terrarium' // Mapzen/AWS: R * 256 + G + B / 256 - 32768
+};
+
+// Elevations outside this range are treated as implausible when guessing the encoding
+const PLAUSIBLE_RANGE = { min: -500, max: 9000 };
+
+export function decodeTerrainRGB(r, g, b) {
+  return -10000 + (r * 65536 + g * 256 + b) * 0.1;
+}
+
+export function decodeTerrarium(r, g, b) {
+  return r * 256 + g + b / 256 - 32768;
+}
+
+// Score how well an RGB decoder explains the image: the share of plausible
+// elevations and the average step between neighbouring samples
+function scoreDecoder(image, decode, sampleIndices) {
+  const { data, channels } = image;
+  let plausible = 0;
+  let roughness = 0;
+
+  sampleIndices.forEach(pixel => {
+    const i = pixel * channels;
+    const value = decode(data[i], data[i + 1], data[i + 2]);
+    if (value >= PLAUSIBLE_RANGE.min && value <= PLAUSIBLE_RANGE.max) {
+      plausible++;
+    }
+
+    const next = Math.min(pixel + 1, image.width * image.height - 1) * channels;
+    roughness += Math.abs(value - decode(data[next], data[next + 1], data[next + 2]));
+  });
+
+  return {
+    plausible: plausible / sampleIndices.length,
+    roughness: roughness / sampleIndices.length
+  };
+}
+
+// Work out how an image stores elevation. `hint` (usually the file name) wins
+// if it mentions an encoding; otherwise the pixel values decide.
+export function detectElevationEncoding(image, hint = '') {
+  const lowerHint = hint.toLowerCase();
+  if (lowerHint.includes('terrarium')) return ELEVATION_ENCODINGS.TERRARIUM;
+  if (lowerHint.includes('terrain-rgb') || lowerHint.includes('terrainrgb')) {
+    return ELEVATION_ENCODINGS.TERRAIN_RGB;
+  }
+
+  // Gray images, and 16-bit images of any kind, store a single height channel
+  if (image.channels < 3 || image.bitDepth === 16) {
+    return ELEVATION_ENCODINGS.GRAYSCALE;
+  }
+
+  // Sample a spread of pixels rather than scanning a multi-megapixel image
+  const pixelCount = image.width * image.height;
+  const sampleCount = Math.min(pixelCount, 10000);
+  const sampleIndices = [];
+  for (let k = 0; k < sampleCount; k++) {
+    sampleIndices.push(Math.floor(k * pixelCount / sampleCount));
+  }
+
+  // RGB images with equal channels are grayscale heightmaps saved as color
+  const { data, channels } = image;
+  const isGray = sampleIndices.every(pixel => {
+    const i = pixel * channels;
+    return data[i] === data[i + 1] && data[i] === data[i + 2];
+  });
+  if (isGray) return ELEVATION_ENCODINGS.GRAYSCALE;
+
+  const terrainRGB = scoreDecoder(image, decodeTerrainRGB, sampleIndices);
+  const terrarium = scoreDecoder(image, decodeTerrarium, sampleIndices);
+
+  const threshold = 0.99;
+  const terrainRGBPlausible = terrainRGB.plausible >= threshold;
+  const terrariumPlausible = terrarium.plausible >= threshold;
+
+  if (terrainRGBPlausible && terrariumPlausible) {
+    return terrainRGB.roughness <= terrarium.roughness
+      ? ELEVATION_ENCODINGS.TERRAIN_RGB
+      : ELEVATION_ENCODINGS.TERRARIUM;
+  }
+  if (terrainRGBPlausible) return ELEVATION_ENCODINGS.TERRAIN_RGB;
+  if (terrariumPlausible) return ELEVATION_ENCODINGS.TERRARIUM;
+
+  // Fall back to reading the red channel as gray
+  return ELEVATION_ENCODINGS.GRAYSCALE;
+}
+
+// Turn a decoded image (see pngDecoder.js) into an elevation grid in meters.
+// Options:
+// - encoding: one of ELEVATION_ENCODINGS, detected when omitted
+// - hint: file name used when detecting the encoding
+// - minElevation / maxElevation: meters for the darkest and brightest gray value
+export function decodeElevationImage(image, bounds, options = {}) {
+  const encoding = options.encoding || detectElevationEncoding(image, options.hint);
+  const { width, height, channels, data, bitDepth } = image;
+  const meters = new Float32Array(width * height);
+
+  const hasAlpha = channels === 2 || channels === 4;
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const minElevation = options.minElevation ?? 0;
+  const maxElevation = options.maxElevation ?? MAX_ELEVATION;
+
+  for (let pixel = 0; pixel < meters.length; pixel++) {
+    const i = pixel * channels;
+
+    // Fully transparent pixels carry no data
+    if (hasAlpha && data[i + channels - 1] === 0) {
+      meters[pixel] = NaN;
+      continue;
+    }
+
+    switch (encoding) {
+      case ELEVATION_ENCODINGS.TERRAIN_RGB:
+        meters[pixel] = decodeTerrainRGB(data[i], data[i + 1], data[i + 2]);
+        break;
+      case ELEVATION_ENCODINGS.TERRARIUM:
+        meters[pixel] = decodeTerrarium(data[i], data[i + 1], data[i + 2]);
+        break;
+      default:
+        meters[pixel] = minElevation + (data[i] / maxValue) * (maxElevation - minElevation);
+    }
+  }
+
+  const grid = createElevationGrid(meters, width, height, bounds);
+  grid.encoding = encoding;
+  return grid;
+}
+
+export default {
+  ELEVATION_ENCODINGS,
+  decodeTerrainRGB,
+  decodeTerrarium,
+  detectElevationEncoding,
+  decodeElevationImage
+};
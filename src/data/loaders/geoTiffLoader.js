@@ -0,0 +1,326 @@
+import { createElevationGrid } from '../dem.js';
+import { inflate, decodeLZW, decodePackBits } from './compression.js';
+
+// Minimal reader for single-band GeoTIFF elevation rasters in geographic
+// (lat/lng) coordinates. Supports strips and tiles, uncompressed, LZW,
+// Deflate and PackBits data, integer and float samples, and the horizontal
+// differencing predictor. BigTIFF and projected rasters are not supported.
+
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  MODEL_TRANSFORMATION: 34264,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113
+};
+
+const GEO_KEYS = {
+  MODEL_TYPE: 1024,
+  RASTER_TYPE: 1025
+};
+
+const MODEL_TYPE_PROJECTED = 1;
+const RASTER_PIXEL_IS_POINT = 2;
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  DEFLATE_LEGACY: 32946
+};
+
+const SAMPLE_FORMAT = {
+  UINT: 1,
+  INT: 2,
+  FLOAT: 3
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8
+};
+
+function readFieldValue(view, type, offset, littleEndian) {
+  switch (type) {
+    case 1: case 7: return view.getUint8(offset);
+    case 6: return view.getInt8(offset);
+    case 3: return view.getUint16(offset, littleEndian);
+    case 8: return view.getInt16(offset, littleEndian);
+    case 4: return view.getUint32(offset, littleEndian);
+    case 9: return view.getInt32(offset, littleEndian);
+    case 5: return view.getUint32(offset, littleEndian) / view.getUint32(offset + 4, littleEndian);
+    case 10: return view.getInt32(offset, littleEndian) / view.getInt32(offset + 4, littleEndian);
+    case 11: return view.getFloat32(offset, littleEndian);
+    case 12: return view.getFloat64(offset, littleEndian);
+    default: throw new Error(`Unsupported TIFF field type ${type}`);
+  }
+}
+
+// Read the first image file directory into a map of tag -> values
+function readIFD(view, offset, littleEndian) {
+  const tags = new Map();
+  const entryCount = view.getUint16(offset, littleEndian);
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    const size = TYPE_SIZES[type];
+
+    if (!size) continue;
+
+    // Values that fit in four bytes are stored inline
+    const valueOffset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, count);
+      tags.set(tag, new TextDecoder().decode(bytes).replace(/\0+$/, ''));
+      continue;
+    }
+
+    const values = [];
+    for (let k = 0; k < count; k++) {
+      values.push(readFieldValue(view, type, valueOffset + k * size, littleEndian));
+    }
+    tags.set(tag, values);
+  }
+
+  return tags;
+}
+
+function readGeoKeys(tags) {
+  const directory = tags.get(TAGS.GEO_KEY_DIRECTORY);
+  const keys = new Map();
+  if (!directory) return keys;
+
+  const keyCount = directory[3];
+  for (let i = 0; i < keyCount; i++) {
+    const base = 4 + i * 4;
+    const [keyId, location, , value] = directory.slice(base, base + 4);
+
+    // Only keys stored directly in the directory are needed here
+    if (location === 0) {
+      keys.set(keyId, value);
+    }
+  }
+
+  return keys;
+}
+
+async function decompress(bytes, compression) {
+  switch (compression) {
+    case COMPRESSION.NONE: return bytes;
+    case COMPRESSION.LZW: return decodeLZW(bytes);
+    case COMPRESSION.DEFLATE:
+    case COMPRESSION.DEFLATE_LEGACY: return inflate(bytes);
+    case COMPRESSION.PACKBITS: return decodePackBits(bytes);
+    default: throw new Error(`Unsupported TIFF compression ${compression}`);
+  }
+}
+
+// Undo horizontal differencing (predictor 2) on one decoded block, in place
+function undoHorizontalPredictor(bytes, blockWidth, samplesPerPixel, bitsPerSample, littleEndian) {
+  const bytesPerSample = bitsPerSample / 8;
+  const rowBytes = blockWidth * samplesPerPixel * bytesPerSample;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const rows = Math.floor(bytes.length / rowBytes);
+
+  for (let row = 0; row < rows; row++) {
+    const rowStart = row * rowBytes;
+    for (let i = samplesPerPixel; i < blockWidth * samplesPerPixel; i++) {
+      const offset = rowStart + i * bytesPerSample;
+      const previous = offset - samplesPerPixel * bytesPerSample;
+
+      if (bytesPerSample === 1) {
+        bytes[offset] = (bytes[offset] + bytes[previous]) & 0xff;
+      } else if (bytesPerSample === 2) {
+        view.setUint16(offset, (view.getUint16(offset, littleEndian) + view.getUint16(previous, littleEndian)) & 0xffff, littleEndian);
+      } else {
+        view.setUint32(offset, (view.getUint32(offset, littleEndian) + view.getUint32(previous, littleEndian)) >>> 0, littleEndian);
+      }
+    }
+  }
+}
+
+function createSampleReader(bitsPerSample, sampleFormat, littleEndian) {
+  const key = `${sampleFormat}:${bitsPerSample}`;
+
+  switch (key) {
+    case '1:8': return (view, offset) => view.getUint8(offset);
+    case '2:8': return (view, offset) => view.getInt8(offset);
+    case '1:16': return (view, offset) => view.getUint16(offset, littleEndian);
+    case '2:16': return (view, offset) => view.getInt16(offset, littleEndian);
+    case '1:32': return (view, offset) => view.getUint32(offset, littleEndian);
+    case '2:32': return (view, offset) => view.getInt32(offset, littleEndian);
+    case '3:32': return (view, offset) => view.getFloat32(offset, littleEndian);
+    case '3:64': return (view, offset) => view.getFloat64(offset, littleEndian);
+    default: throw new Error(`Unsupported sample type (format ${sampleFormat}, ${bitsPerSample} bits)`);
+  }
+}
+
+// Work out the sample-centre bounds from the georeferencing tags
+function readBounds(tags, geoKeys, width, height) {
+  let scaleX;
+  let scaleY;
+  let originX;
+  let originY;
+
+  const transformation = tags.get(TAGS.MODEL_TRANSFORMATION);
+  if (transformation) {
+    scaleX = transformation[0];
+    scaleY = -transformation[5];
+    originX = transformation[3];
+    originY = transformation[7];
+  } else {
+    const scale = tags.get(TAGS.MODEL_PIXEL_SCALE);
+    const tiepoint = tags.get(TAGS.MODEL_TIEPOINT);
+    if (!scale || !tiepoint) {
+      throw new Error('GeoTIFF has no georeferencing (ModelPixelScale/ModelTiepoint)');
+    }
+
+    scaleX = scale[0];
+    scaleY = scale[1];
+    originX = tiepoint[3] - tiepoint[0] * scaleX;
+    originY = tiepoint[4] + tiepoint[1] * scaleY;
+  }
+
+  // PixelIsArea rasters reference the outer corner of the first pixel
+  const pixelIsPoint = geoKeys.get(GEO_KEYS.RASTER_TYPE) === RASTER_PIXEL_IS_POINT;
+  const west = pixelIsPoint ? originX : originX + scaleX / 2;
+  const north = pixelIsPoint ? originY : originY - scaleY / 2;
+
+  return {
+    north,
+    south: north - (height - 1) * scaleY,
+    west,
+    east: west + (width - 1) * scaleX
+  };
+}
+
+export async function parseGeoTIFF(buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+
+  let littleEndian;
+  if (byteOrder === 0x4949) {
+    littleEndian = true;
+  } else if (byteOrder === 0x4d4d) {
+    littleEndian = false;
+  } else {
+    throw new Error('Not a TIFF file');
+  }
+
+  const magic = view.getUint16(2, littleEndian);
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported');
+  }
+  if (magic !== 42) {
+    throw new Error('Not a TIFF file');
+  }
+
+  const tags = readIFD(view, view.getUint32(4, littleEndian), littleEndian);
+  const geoKeys = readGeoKeys(tags);
+
+  if (geoKeys.get(GEO_KEYS.MODEL_TYPE) === MODEL_TYPE_PROJECTED) {
+    throw new Error('Projected GeoTIFFs are not supported; reproject to geographic lat/lng first');
+  }
+
+  const first = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+
+  const width = first(TAGS.IMAGE_WIDTH);
+  const height = first(TAGS.IMAGE_LENGTH);
+  const bitsPerSample = first(TAGS.BITS_PER_SAMPLE, 1);
+  const samplesPerPixel = first(TAGS.SAMPLES_PER_PIXEL, 1);
+  const sampleFormat = first(TAGS.SAMPLE_FORMAT, SAMPLE_FORMAT.UINT);
+  const compression = first(TAGS.COMPRESSION, COMPRESSION.NONE);
+  const predictor = first(TAGS.PREDICTOR, 1);
+  const planar = first(TAGS.PLANAR_CONFIGURATION, 1);
+
+  if (predictor === 3) {
+    throw new Error('The floating point predictor is not supported');
+  }
+
+  const readSample = createSampleReader(bitsPerSample, sampleFormat, littleEndian);
+  const bytesPerSample = bitsPerSample / 8;
+  // With planar configuration 2 the first plane holds band 1 only
+  const pixelStride = planar === 2 ? bytesPerSample : bytesPerSample * samplesPerPixel;
+  const predictorSamples = planar === 2 ? 1 : samplesPerPixel;
+
+  // Strips are treated as tiles that span the full image width
+  const tiled = tags.has(TAGS.TILE_OFFSETS);
+  const blockWidth = tiled ? first(TAGS.TILE_WIDTH) : width;
+  const blockHeight = tiled ? first(TAGS.TILE_LENGTH) : first(TAGS.ROWS_PER_STRIP, height);
+  const offsets = tags.get(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS);
+  const byteCounts = tags.get(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS);
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const blocksDown = Math.ceil(height / blockHeight);
+
+  const data = new Float32Array(width * height);
+
+  for (let by = 0; by < blocksDown; by++) {
+    for (let bx = 0; bx < blocksAcross; bx++) {
+      const blockIndex = by * blocksAcross + bx;
+      const raw = new Uint8Array(buffer, offsets[blockIndex], byteCounts[blockIndex]);
+      const bytes = (await decompress(raw, compression)).slice();
+
+      if (predictor === 2) {
+        undoHorizontalPredictor(bytes, blockWidth, predictorSamples, bitsPerSample, littleEndian);
+      }
+
+      const blockView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const rowStride = blockWidth * pixelStride;
+
+      for (let row = 0; row < blockHeight; row++) {
+        const y = by * blockHeight + row;
+        if (y >= height) break;
+
+        for (let col = 0; col < blockWidth; col++) {
+          const x = bx * blockWidth + col;
+          if (x >= width) break;
+
+          const offset = row * rowStride + col * pixelStride;
+          if (offset + bytesPerSample > bytes.length) break;
+
+          data[y * width + x] = readSample(blockView, offset);
+        }
+      }
+    }
+  }
+
+  const bounds = readBounds(tags, geoKeys, width, height);
+  const noDataTag = tags.get(TAGS.GDAL_NODATA);
+  const noDataValue = noDataTag !== undefined && noDataTag.trim() !== '' ? parseFloat(noDataTag) : null;
+
+  return createElevationGrid(data, width, height, bounds, noDataValue);
+}
+
+export async function loadGeoTIFF(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+
+  return parseGeoTIFF(await response.arrayBuffer());
+}
+
+export default {
+  parseGeoTIFF,
+  loadGeoTIFF
+};
@@ -0,0 +1,63 @@
+import { createElevationGrid } from '../dem.js';
+
+// SRTM .hgt tiles: a square grid of big-endian signed 16-bit meters covering
+// one degree, with no header. The tile's south-west corner is encoded in the
+// file name, e.g. S02W079.hgt covers 2°S-1°S, 79°W-78°W.
+// 1201x1201 samples for SRTM3 (3 arc-seconds), 3601x3601 for SRTM1.
+
+export const HGT_NO_DATA = -32768;
+
+// Read the south-west corner from an SRTM file name
+export function parseHGTFileName(fileName) {
+  const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+  if (!match) {
+    throw new Error(`Cannot read tile coordinates from "${fileName}"`);
+  }
+
+  const lat = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+  const lng = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+  return { lat, lng };
+}
+
+export function parseHGT(buffer, fileName) {
+  const samples = Math.round(Math.sqrt(buffer.byteLength / 2));
+  if (samples * samples * 2 !== buffer.byteLength) {
+    throw new Error(`${fileName} is not a square SRTM tile (${buffer.byteLength} bytes)`);
+  }
+
+  const view = new DataView(buffer);
+  const data = new Float32Array(samples * samples);
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getInt16(i * 2, false);
+  }
+
+  // Edge samples lie exactly on the whole-degree lines
+  const corner = parseHGTFileName(fileName);
+  const bounds = {
+    north: corner.lat + 1,
+    south: corner.lat,
+    west: corner.lng,
+    east: corner.lng + 1
+  };
+
+  return createElevationGrid(data, samples, samples, bounds, HGT_NO_DATA);
+}
+
+export async function loadHGT(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+
+  const fileName = url.split(/[?#]/)[0].split('/').pop();
+  return parseHGT(await response.arrayBuffer(), fileName);
+}
+
+export default {
+  parseHGT,
+  parseHGTFileName,
+  loadHGT,
+  HGT_NO_DATA
+};
@@ -0,0 +1,163 @@
+import { inflate } from './compression.js';
+
+// Small PNG decoder that keeps the full sample precision. Canvas decoding
+// always yields 8 bits per channel, which throws away 16-bit heightmaps.
+// Supports non-interlaced grayscale, RGB, palette, gray+alpha and RGBA images
+// at 8 or 16 bits per channel.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const COLOR_TYPE = {
+  GRAYSCALE: 0,
+  RGB: 2,
+  PALETTE: 3,
+  GRAYSCALE_ALPHA: 4,
+  RGBA: 6
+};
+
+const CHANNELS = {
+  [COLOR_TYPE.GRAYSCALE]: 1,
+  [COLOR_TYPE.RGB]: 3,
+  [COLOR_TYPE.PALETTE]: 1,
+  [COLOR_TYPE.GRAYSCALE_ALPHA]: 2,
+  [COLOR_TYPE.RGBA]: 4
+};
+
+export function isPNG(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+  return PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+// Reverse the per-scanline filters in place and return the raw scanline bytes
+function unfilter(bytes, width, height, bytesPerPixel, rowBytes) {
+  const output = new Uint8Array(rowBytes * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = bytes[y * (rowBytes + 1)];
+    const source = y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    const previousRow = row - rowBytes;
+
+    for (let i = 0; i < rowBytes; i++) {
+      const raw = bytes[source + i];
+      const left = i >= bytesPerPixel ? output[row + i - bytesPerPixel] : 0;
+      const up = y > 0 ? output[previousRow + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? output[previousRow + i - bytesPerPixel] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+
+      output[row + i] = value & 0xff;
+    }
+  }
+
+  return output;
+}
+
+// Decode a PNG file.
+// Returns { width, height, bitDepth, channels, data } where data holds
+// `channels` samples per pixel (palette images are expanded to RGB) in a
+// Uint8Array for 8-bit images or a Uint16Array for 16-bit ones.
+export async function parsePNG(buffer) {
+  if (!isPNG(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(buffer);
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const dataChunks = [];
+
+  while (offset < buffer.byteLength) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk.slice();
+    } else if (type === 'IDAT') {
+      dataChunks.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += length + 12; // Length, type and CRC
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  if (header.interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+  if (header.bitDepth !== 8 && header.bitDepth !== 16) {
+    throw new Error(`Unsupported PNG bit depth ${header.bitDepth}`);
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+
+  // Join the IDAT chunks and inflate them
+  const compressed = new Uint8Array(dataChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  dataChunks.forEach(chunk => {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  });
+
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = channels * bytesPerSample;
+  const rowBytes = width * bytesPerPixel;
+  const raw = unfilter(await inflate(compressed), width, height, bytesPerPixel, rowBytes);
+
+  if (colorType === COLOR_TYPE.PALETTE) {
+    if (!palette) throw new Error('Palette PNG has no PLTE chunk');
+
+    const data = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      data[i * 3] = palette[raw[i] * 3];
+      data[i * 3 + 1] = palette[raw[i] * 3 + 1];
+      data[i * 3 + 2] = palette[raw[i] * 3 + 2];
+    }
+    return { width, height, bitDepth, channels: 3, data };
+  }
+
+  if (bitDepth === 8) {
+    return { width, height, bitDepth, channels, data: raw };
+  }
+
+  // 16-bit samples are big-endian
+  const data = new Uint16Array(width * height * channels);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (raw[i * 2] << 8) | raw[i * 2 + 1];
+  }
+  return { width, height, bitDepth, channels, data };
+}
+
+export default {
+  isPNG,
+  parsePNG
+};
@@ -0,0 +1,136 @@
+// Region manifests describe a flyable area. They live in public/regions:
+// index.json lists the available regions and each region has its own manifest:
+// {
+//   "id": "chimborazo",
+//   "name": "Ecuador - Chimborazo Region",          // Display name
+//   "heightmap": {
+//     "url": "/chimborazo-heightmap.png",            // Image or DEM file (see elevationService)
+//     "type": "synthetic",                           // Instead of url: generate terrain from the peaks
+//     "enhancePeaks": true                           // Sharpen the listed peaks (images only)
+//   },
+//   "bounds": { "north", "south", "west", "east" },  // Degrees; DEM files use their own header
+//   "elevation": { "min": 0, "max": 6300 },         // Meters of the darkest/brightest gray value
+//   "verticalExaggeration": 6,                       // Optional, see GeoProjection
+//   "detail": { "seed": 1, "amplitude": 30 },        // Optional procedural detail (see terrain/detailNoise.js), false to disable
+//   "surface": { "ramp": [...], "snowline": {...} }, // Optional ground layers and snowline (see terrain/terrainMaterial.js)
+//   "water": { "riverArea": 40, "lakeDepth": 3 },    // Optional river/lake thresholds (see data/hydrology.js), false to disable
+//   "updrafts": { "thermalCount": 120 },             // Optional thermals and ridge lift (see physics/UpdraftField.js), false to disable
+//   "wind": { "direction": 90, "speed": 6 },         // Optional prevailing wind and gusts (see physics/WindField.js)
+//   "carrion": { "count": 12 },                      // Optional carcasses to feed on (see environment/CarrionManager.js), false to disable
+//   "sun": { "dayOfYear": 80, "timeOfDay": 11, "timeScale": 0 }, // Optional date and solar time (see environment/Sun.js)
+//   "peaks": [{ "name", "lat", "lng", "elevation" }],
+//   "pointsOfInterest": [{ "name", "lat", "lng", "type" }],
+//   "perches": [{ "name", "lat", "lng" }],          // Optional cliff ledges and the like to land on; peaks are perches too
+//   "boundary": { "mode": "surroundings", "neighbours": { "north": "quito" } }, // Optional edge of the map (see environment/WorldBoundary.js)
+//   "spawn": { "lat", "lng", "altitude", "heading" } // Altitude in meters above ground, heading in degrees
+// }
+
+import { GEO_BOUNDS, MAX_ELEVATION } from './heightmap.js';
+
+const REGION_INDEX_URL = '/regions/index.json';
+
+// Used when the manifests can't be loaded at all
+const FALLBACK_REGION = {
+  id: 'fallback',
+  name: 'Ecuador - Chimborazo Region',
+  heightmap: { url: '/chimborazo-heightmap.png', enhancePeaks: false },
+  bounds: GEO_BOUNDS,
+  elevation: { min: 0, max: MAX_ELEVATION },
+  peaks: [],
+  pointsOfInterest: [],
+  perches: [],
+  spawn: { lat: -1.5, lng: -78.8, altitude: 800, heading: 0 }
+};
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Fill in optional manifest fields so the rest of the game can rely on them
+export function normalizeRegion(manifest) {
+  const bounds = { ...GEO_BOUNDS, ...manifest.bounds };
+
+  return {
+    ...manifest,
+    id: manifest.id,
+    name: manifest.name || manifest.id,
+    heightmap: { enhancePeaks: false, ...manifest.heightmap },
+    bounds,
+    elevation: { min: 0, max: MAX_ELEVATION, ...manifest.elevation },
+    peaks: manifest.peaks || [],
+    pointsOfInterest: manifest.pointsOfInterest || [],
+    perches: manifest.perches || [],
+    surface: manifest.surface || {},
+    water: manifest.water === false ? null : { ...manifest.water },
+    // Mixing in the region id keeps two regions with the same seed from looking or flying alike
+    detail: manifest.detail === false ? null : {
+      ...manifest.detail,
+      seed: `${manifest.id}:${(manifest.detail && manifest.detail.seed) ?? 0}`
+    },
+    updrafts: manifest.updrafts === false ? null : {
+      ...manifest.updrafts,
+      seed: `${manifest.id}:${(manifest.updrafts && manifest.updrafts.seed) ?? 0}`
+    },
+    wind: {
+      ...manifest.wind,
+      seed: `${manifest.id}:${(manifest.wind && manifest.wind.seed) ?? 0}`
+    },
+    carrion: manifest.carrion === false ? null : {
+      ...manifest.carrion,
+      seed: `${manifest.id}:${(manifest.carrion && manifest.carrion.seed) ?? 0}`
+    },
+    sun: { ...manifest.sun },
+    boundary: {
+      ...manifest.boundary,
+      seed: `${manifest.id}:${(manifest.boundary && manifest.boundary.seed) ?? 0}`
+    },
+    spawn: {
+      lat: (bounds.north + bounds.south) / 2,
+      lng: (bounds.west + bounds.east) / 2,
+      altitude: 800,
+      heading: 0,
+      ...manifest.spawn
+    }
+  };
+}
+
+// Load the list of available regions
+export async function loadRegionIndex() {
+  try {
+    const index = await fetchJSON(REGION_INDEX_URL);
+    return {
+      defaultRegion: index.default || (index.regions[0] && index.regions[0].id),
+      regions: index.regions || []
+    };
+  } catch (error) {
+    console.error('Error loading region index:', error);
+    return {
+      defaultRegion: FALLBACK_REGION.id,
+      regions: [{ id: FALLBACK_REGION.id, name: FALLBACK_REGION.name }]
+    };
+  }
+}
+
+// Load a region manifest from its index entry
+export async function loadRegion(entry) {
+  if (!entry || !entry.manifest) {
+    return normalizeRegion(FALLBACK_REGION);
+  }
+
+  try {
+    return normalizeRegion(await fetchJSON(entry.manifest));
+  } catch (error) {
+    console.error(`Error loading region ${entry.id}:`, error);
+    return normalizeRegion({ ...FALLBACK_REGION, id: entry.id, name: entry.name });
+  }
+}
+
+export default {
+  loadRegionIndex,
+  loadRegion,
+  normalizeRegion
+};
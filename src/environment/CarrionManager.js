@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { hashSeed, createRandom } from '../terrain/detailNoise.js';
+
+// Carcasses lying on open ground, where the condor can feed to restore its
+// stamina (see physics/Stamina.js) by flying low over them. Each one
+// holds a limited amount of food; once eaten it's gone, and a new carcass
+// appears somewhere else after a while.
+//
+// Regions tune them with a "carrion" block (see normalizeRegion in data/regions.js),
+// overriding any of DEFAULT_CARRION.
+
+export const DEFAULT_CARRION = {
+  seed: 0,
+  count: 12, // Carcasses lying around at once
+  food: 60, // Stamina a carcass restores in all
+  feedRate: 10, // Stamina per second while feeding
+  feedRadius: 200, // Meters from a carcass the condor can feed
+  feedHeight: 150, // Meters above the ground below which the condor can feed
+  maxSlope: 0.35, // Steepest ground (rise over run) a carcass lies on
+  respawnTime: 300 // Seconds before an eaten carcass is replaced
+};
+
+export default class CarrionManager {
+  // waterManager (optional) keeps carcasses out of rivers and lakes
+  constructor(scene, terrain, options = {}, waterManager = null) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.waterManager = waterManager;
+    this.config = { ...DEFAULT_CARRION, ...options };
+
+    this.random = createRandom(hashSeed(this.config.seed));
+    this.carcasses = [];
+    this.nextId = 1;
+
+    this.group = new THREE.Group();
+    this.group.name = 'carrion';
+    this.scene.add(this.group);
+
+    // A low mound, big enough to spot from the air
+    this.geometry = new THREE.SphereGeometry(0.4, 12, 8);
+    this.geometry.scale(1.5, 0.5, 1);
+    this.material = new THREE.MeshStandardMaterial({
+      color: 0x6b3b2a,
+      emissive: 0x2a0c05,
+      roughness: 0.9
+    });
+  }
+
+  // Lay out the first carcasses
+  generate() {
+    for (let i = 0; i < this.config.count; i++) {
+      const carcass = this.spawnCarcass();
+      if (carcass) this.carcasses.push(carcass);
+    }
+  }
+
+  // A carcass on fairly flat, dry ground, or null if no spot was found
+  spawnCarcass() {
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const x = (this.random() - 0.5) * terrain.terrainWidth * 0.9;
+      const z = (this.random() - 0.5) * terrain.terrainLength * 0.9;
+
+      // True slope, without the vertical exaggeration
+      const { dhdx, dhdz } = terrain.getSurfaceGradient(x, z);
+      const slope = projection.worldYToElevation(Math.hypot(dhdx, dhdz)) / projection.unitsToMeters(1);
+      if (slope > this.config.maxSlope) continue;
+      if (this.waterManager && this.waterManager.isOverWater(x, z)) continue;
+
+      const carcass = { id: this.nextId++, x, z, food: this.config.food, respawnIn: 0, mesh: null };
+      carcass.mesh = this.addMesh(carcass);
+      return carcass;
+    }
+
+    return null;
+  }
+
+  // Replace carcasses some time after they've been eaten
+  update(deltaTime) {
+    this.carcasses = this.carcasses.map(carcass => {
+      if (carcass.food > 0) return carcass;
+
+      carcass.respawnIn -= deltaTime;
+      if (carcass.respawnIn > 0) return carcass;
+
+      this.removeMesh(carcass);
+      return this.spawnCarcass() || Object.assign(carcass, { food: this.config.food, mesh: this.addMesh(carcass) });
+    });
+  }
+
+  addMesh(carcass) {
+    const mesh = new THREE.Mesh(this.geometry, this.material);
+    mesh.position.set(carcass.x, this.terrain.getHeightAtPosition(carcass.x, carcass.z) + 0.1, carcass.z);
+    mesh.rotation.y = carcass.id * 2.4;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  removeMesh(carcass) {
+    if (carcass.mesh) {
+      this.group.remove(carcass.mesh);
+      carcass.mesh = null;
+    }
+  }
+
+  // Feed from the nearest carcass for deltaTime seconds if the condor, at a
+  // world position aboveGround meters up, is close and low enough. appetite
+  // caps how much it takes. Returns the stamina eaten.
+  feed(x, z, aboveGround, deltaTime, appetite = Infinity) {
+    if (aboveGround > this.config.feedHeight || appetite <= 0) return 0;
+
+    const nearest = this.getNearest(x, z, this.config.feedRadius);
+    if (!nearest) return 0;
+
+    const carcass = nearest.carcass;
+    const eaten = Math.min(this.config.feedRate * deltaTime, carcass.food, appetite);
+    carcass.food -= eaten;
+
+    // Shrinks as it's eaten
+    const left = carcass.food / this.config.food;
+    carcass.mesh.scale.setScalar(0.4 + 0.6 * left);
+
+    if (carcass.food <= 0) {
+      this.removeMesh(carcass);
+      carcass.respawnIn = this.config.respawnTime;
+    }
+
+    return eaten;
+  }
+
+  // Nearest carcass with food left as { carcass, distance (meters) }, or null
+  // if none is within maxDistance meters
+  getNearest(x, z, maxDistance = Infinity) {
+    const projection = this.terrain.projection;
+    let nearest = null;
+
+    this.carcasses.forEach(carcass => {
+      if (carcass.food <= 0) return;
+
+      const distance = projection.unitsToMeters(Math.hypot(carcass.x - x, carcass.z - z));
+      if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+        nearest = { carcass, distance };
+      }
+    });
+
+    return nearest;
+  }
+
+  getCarcasses() {
+    return this.carcasses.filter(carcass => carcass.food > 0);
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.geometry.dispose();
+    this.material.dispose();
+    this.carcasses = [];
+  }
+}
@@ -5,7 +5,8 @@ export default class LandmarksManager {
     this.scene = scene;
     this.terrain = terrain;
     this.landmarks = {
-      peaks: []
+      peaks: [],
+      pointsOfInterest: []
     };
   }
   
@@ -14,7 +15,7 @@ export default class LandmarksManager {
     if (!peaksData || !this.terrain) return;
     
     peaksData.forEach(peak => {
-      // Only add peaks that are within our bounds (Chimborazo region)
+      // Only add peaks that are within our bounds (the current region)
       const peakPosition = this.terrain.geoToWorldPosition(peak.lat, peak.lng);
       
       // Skip peaks outside our terrain bounds
@@ -41,6 +42,8 @@ export default class LandmarksManager {
       peakMesh.userData = {
         type: 'peak',
         name: peak.name,
+        lat: peak.lat,
+        lng: peak.lng,
         elevation: peak.elevation,
         label: peakLabel
       };
@@ -51,6 +54,40 @@ export default class LandmarksManager {
     });
   }
   
+  // Add smaller markers for other points of interest (towns, lakes, camps...)
+  addPointsOfInterest(poiData) {
+    if (!poiData || !this.terrain) return;
+    
+    poiData.forEach(poi => {
+      const poiPosition = this.terrain.geoToWorldPosition(poi.lat, poi.lng);
+      
+      // Skip points outside our terrain bounds
+      if (Math.abs(poiPosition.x) > this.terrain.terrainWidth/2 || 
+          Math.abs(poiPosition.z) > this.terrain.terrainLength/2) {
+        return;
+      }
+      
+      const poiGeometry = new THREE.SphereGeometry(1, 8, 6);
+      const poiMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x2266ff,
+        emissive: 0x001133
+      });
+      const poiMesh = new THREE.Mesh(poiGeometry, poiMaterial);
+      poiMesh.position.copy(poiPosition);
+      
+      const poiLabel = this.createLandmarkLabel(poi.name, poiPosition);
+      
+      poiMesh.userData = {
+        type: poi.type || 'poi',
+        name: poi.name,
+        label: poiLabel
+      };
+      
+      this.scene.add(poiMesh);
+      this.landmarks.pointsOfInterest.push(poiMesh);
+    });
+  }
+  
   // Create text label for landmarks
   createLandmarkLabel(text, position) {
     const canvas = document.createElement('canvas');
@@ -85,6 +122,43 @@ export default class LandmarksManager {
     return sprite;
   }
   
+  // Peaks in the region as { name, lat, lng, elevation }, e.g. for the autopilot to fly to
+  getPeaks() {
+    return this.landmarks.peaks.map(mesh => {
+      const { name, lat, lng, elevation } = mesh.userData;
+      return { name, lat, lng, elevation };
+    });
+  }
+  
+  // Show or hide the landmark markers and their labels, e.g. for photos
+  setVisible(visible) {
+    Object.values(this.landmarks).forEach(list => {
+      list.forEach(mesh => {
+        mesh.visible = visible;
+        if (mesh.userData.label) mesh.userData.label.visible = visible;
+      });
+    });
+  }
+  
+  // Remove all landmarks and their labels from the scene
+  dispose() {
+    Object.values(this.landmarks).forEach(list => {
+      list.forEach(mesh => {
+        const label = mesh.userData.label;
+        if (label) {
+          this.scene.remove(label);
+          label.material.map.dispose();
+          label.material.dispose();
+        }
+        
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      });
+      list.length = 0;
+    });
+  }
+  
   // Set the terrain reference - used when terrain is created
   setTerrain(terrain) {
     this.terrain = terrain;
@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+// Position of the sun over the region for a date and local solar time. It
+// points the scene's directional light, and the updraft field uses it to work
+// out which slopes the sun is heating.
+export default class Sun {
+  // light: the scene's THREE.DirectionalLight
+  // options: { latitude (degrees), dayOfYear (1-365), timeOfDay (solar hours),
+  //            timeScale (game seconds per real second, 0 keeps the sun still) }
+  constructor(light, options = {}) {
+    this.light = light;
+    this.latitude = options.latitude ?? 0;
+    this.dayOfYear = options.dayOfYear ?? 80;
+    this.timeOfDay = options.timeOfDay ?? 11;
+    this.timeScale = options.timeScale ?? 0;
+
+    // Distance from the followed point to the light, world units
+    this.distance = 1000;
+
+    this.direction = new THREE.Vector3();
+    this.updateDirection();
+  }
+
+  setTimeOfDay(hours) {
+    this.timeOfDay = ((hours % 24) + 24) % 24;
+    this.updateDirection();
+  }
+
+  setLatitude(latitude) {
+    this.latitude = latitude;
+    this.updateDirection();
+  }
+
+  // Advance the clock by deltaTime seconds and keep the light (and its shadow
+  // camera) over focusPosition
+  update(deltaTime, focusPosition) {
+    if (this.timeScale > 0) {
+      this.setTimeOfDay(this.timeOfDay + deltaTime * this.timeScale / 3600);
+    }
+
+    if (this.light && focusPosition) {
+      this.light.position.copy(focusPosition).addScaledVector(this.direction, this.distance);
+      this.light.target.position.copy(focusPosition);
+      this.light.target.updateMatrixWorld();
+    }
+  }
+
+  // Unit vector in world space pointing toward the sun (east +X, up +Y, north -Z)
+  updateDirection() {
+    const degToRad = THREE.MathUtils.degToRad;
+    const declination = degToRad(23.44) * Math.sin(2 * Math.PI * (284 + this.dayOfYear) / 365);
+    const hourAngle = degToRad(15 * (this.timeOfDay - 12));
+    const latitude = degToRad(this.latitude);
+
+    const east = -Math.cos(declination) * Math.sin(hourAngle);
+    const north = Math.cos(latitude) * Math.sin(declination) -
+      Math.sin(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+    const up = Math.sin(latitude) * Math.sin(declination) +
+      Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+
+    this.direction.set(east, up, -north).normalize();
+  }
+
+  getDirection() {
+    return this.direction;
+  }
+
+  // Angle of the sun above the horizon in radians (negative at night)
+  getElevation() {
+    return Math.asin(this.direction.y);
+  }
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+const COLOR_WEAK = new THREE.Color(0xffe680);
+const COLOR_STRONG = new THREE.Color(0xff4020);
+
+// Debug view of the updraft field's thermals: a translucent column per
+// thermal from its source up to the cloudbase, leaning with the wind, tinted
+// by how strongly it's rising. Hidden until toggled on.
+export default class ThermalColumns {
+  constructor(scene, terrain, updraftField) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.updraftField = updraftField;
+
+    // Unit open cylinder standing on the origin
+    this.geometry = new THREE.CylinderGeometry(1, 1, 1, 24, 1, true);
+    this.geometry.translate(0, 0.5, 0);
+
+    this.material = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: 0.25,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, updraftField.config.thermalCount);
+    this.mesh.name = 'thermal-columns';
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    this.mesh.count = 0;
+    this.scene.add(this.mesh);
+
+    this.matrix = new THREE.Matrix4();
+    this.color = new THREE.Color();
+  }
+
+  setVisible(visible) {
+    this.mesh.visible = visible;
+    if (visible) this.update();
+  }
+
+  toggle() {
+    this.setVisible(!this.mesh.visible);
+    return this.mesh.visible;
+  }
+
+  isVisible() {
+    return this.mesh.visible;
+  }
+
+  // Match the columns to the thermals as they are now
+  update() {
+    if (!this.mesh.visible) return;
+
+    const field = this.updraftField;
+    const projection = this.terrain.projection;
+    const thermals = field.getThermals();
+    const maxStrength = field.config.thermalStrength;
+
+    thermals.forEach((thermal, i) => {
+      const radius = projection.metersToUnits(thermal.radius);
+      const baseY = projection.elevationToWorldY(thermal.base);
+      const height = projection.elevationToWorldY(thermal.top) - baseY;
+
+      // Horizontal drift (world units) per world unit of height
+      const lean = field.getThermalLean(thermal);
+      const metersPerY = projection.worldYToElevation(1);
+      const leanX = projection.metersToUnits(lean.east * metersPerY);
+      const leanZ = -projection.metersToUnits(lean.north * metersPerY);
+
+      // Scale, shear by the lean and move to the source in one matrix
+      this.matrix.set(
+        radius, height * leanX, 0, thermal.x,
+        0, height, 0, baseY,
+        0, height * leanZ, radius, thermal.z,
+        0, 0, 0, 1
+      );
+      this.mesh.setMatrixAt(i, this.matrix);
+
+      const strength = field.getThermalStrength(thermal) / maxStrength;
+      this.color.copy(COLOR_WEAK).lerp(COLOR_STRONG, Math.min(strength, 1)).multiplyScalar(0.3 + 0.7 * strength);
+      this.mesh.setColorAt(i, this.color);
+    });
+
+    this.mesh.count = thermals.length;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    if (this.mesh.instanceColor) {
+      this.mesh.instanceColor.needsUpdate = true;
+    }
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
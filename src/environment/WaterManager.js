@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+
+// Rivers and lakes of the current region. The hydrology runs in a terrain
+// worker (see data/hydrology.js); this class draws the result and answers
+// gameplay questions such as "is this over water?" or "where is the nearest river?".
+export default class WaterManager {
+  constructor(scene, terrain) {
+    this.scene = scene;
+    this.terrain = terrain;
+
+    this.group = null;
+    this.material = null;
+    this.lakes = [];
+    this.rivers = [];
+    this.lakeIds = null;
+  }
+
+  // Compute and add the water for the terrain. Options as in data/hydrology.js.
+  async load(options = {}) {
+    const water = await this.terrain.computeWater(options);
+
+    this.lakeIds = water.lakeIds;
+    this.lakes = water.lakes.map(lake => ({
+      ...lake,
+      name: null,
+      surfaceY: this.terrain.elevationToWorldHeight(lake.level)
+    }));
+    this.rivers = water.rivers.map((river, index) => ({ ...river, id: index + 1 }));
+
+    this.material = new THREE.MeshStandardMaterial({
+      color: 0x2f6a8a,
+      roughness: 0.15,
+      metalness: 0.1,
+      transparent: true,
+      opacity: 0.85,
+      // Keep rivers from flickering against the ground they're draped on
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1
+    });
+
+    this.group = new THREE.Group();
+    this.group.name = 'water';
+    this.group.add(this.createMesh(water.lakeGeometry, 'lakes'));
+    this.group.add(this.createMesh(water.riverGeometry, 'rivers'));
+    this.scene.add(this.group);
+  }
+
+  createMesh(buffers, name) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(buffers.positions, 3));
+    if (buffers.uvs) {
+      geometry.setAttribute('uv', new THREE.BufferAttribute(buffers.uvs, 2));
+    }
+    geometry.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = name;
+    mesh.receiveShadow = true;
+    mesh.userData = { type: 'water' };
+    return mesh;
+  }
+
+  // Name lakes after the region's points of interest of type "lake"
+  nameLakes(pointsOfInterest = []) {
+    pointsOfInterest
+      .filter(poi => poi.type === 'lake')
+      .forEach(poi => {
+        const position = this.terrain.geoToWorldPosition(poi.lat, poi.lng);
+        const lake = this.getLakeAt(position.x, position.z, false) ||
+          this.getNearestLake(position.x, position.z, 20);
+        if (lake && !lake.name) {
+          lake.name = poi.name;
+        }
+      });
+  }
+
+  // Lake covering a world position, or null. With checkSurface the ground must
+  // also be below the water there, which excludes islands and the shore.
+  getLakeAt(x, z, checkSurface = true) {
+    if (!this.lakeIds || !this.terrain.isInsideTerrain(x, z)) return null;
+
+    const grid = this.terrain.projection.worldToGrid(x, z);
+    const column = Math.round(grid.column);
+    const row = Math.round(grid.row);
+    const id = this.lakeIds[row * this.terrain.dataWidth + column];
+    if (!id) return null;
+
+    const lake = this.lakes[id - 1];
+    if (checkSurface && this.terrain.getHeightAtPosition(x, z) >= lake.surfaceY) return null;
+
+    return lake;
+  }
+
+  // Nearest lake (by its deepest point) within maxDistance world units, or null
+  getNearestLake(x, z, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+
+    this.lakes.forEach(lake => {
+      const distance = Math.hypot(lake.x - x, lake.z - z);
+      if (distance < nearestDistance) {
+        nearest = lake;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  // Closest point on any river to a world position, within maxDistance world units.
+  // Returns { river, point (THREE.Vector3 on the ground), distance (meters),
+  // width (meters) } or null.
+  getNearestRiver(x, z, maxDistance = Infinity) {
+    let best = null;
+    let bestDistance = maxDistance;
+
+    this.rivers.forEach(river => {
+      const { points, widths } = river;
+
+      for (let i = 0; i < widths.length - 1; i++) {
+        const ax = points[i * 2];
+        const az = points[i * 2 + 1];
+        const bx = points[i * 2 + 2];
+        const bz = points[i * 2 + 3];
+
+        // Closest point on the segment
+        const dx = bx - ax;
+        const dz = bz - az;
+        const lengthSquared = dx * dx + dz * dz;
+        const t = lengthSquared > 0
+          ? Math.min(Math.max(((x - ax) * dx + (z - az) * dz) / lengthSquared, 0), 1)
+          : 0;
+        const px = ax + dx * t;
+        const pz = az + dz * t;
+        const distance = Math.hypot(x - px, z - pz);
+
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { river, x: px, z: pz, width: widths[i] + (widths[i + 1] - widths[i]) * t };
+        }
+      }
+    });
+
+    if (!best) return null;
+
+    const projection = this.terrain.projection;
+    return {
+      river: best.river,
+      point: new THREE.Vector3(best.x, this.terrain.getHeightAtPosition(best.x, best.z), best.z),
+      distance: projection.unitsToMeters(bestDistance),
+      width: projection.unitsToMeters(best.width)
+    };
+  }
+
+  // Water at a world position: { type: 'lake', lake, surfaceY },
+  // { type: 'river', river, surfaceY } or null on dry ground
+  getWaterAt(x, z) {
+    const lake = this.getLakeAt(x, z);
+    if (lake) {
+      return { type: 'lake', lake, surfaceY: lake.surfaceY };
+    }
+
+    // Rivers are at most a few hundred meters wide, so only look close by
+    const river = this.getNearestRiver(x, z, 5);
+    if (river && river.distance <= river.width / 2) {
+      return { type: 'river', river: river.river, surfaceY: river.point.y };
+    }
+
+    return null;
+  }
+
+  isOverWater(x, z) {
+    return this.getWaterAt(x, z) !== null;
+  }
+
+  dispose() {
+    if (this.group) {
+      this.scene.remove(this.group);
+      this.group.children.forEach(mesh => mesh.geometry.dispose());
+      this.group = null;
+    }
+
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+
+    this.lakes = [];
+    this.rivers = [];
+    this.lakeIds = null;
+  }
+}
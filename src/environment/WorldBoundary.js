@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { hashSeed, createRandom } from '../terrain/detailNoise.js';
+
+// What happens at the edge of the region's heightmap. Two modes:
+// - 'soft': within `margin` meters of the edge a warning shows and the condor
+//   is turned back toward the middle, harder the closer it gets. It can't
+//   fly past the edge itself.
+// - 'surroundings': the terrain fades into low generated hills `surroundings.width`
+//   meters wide, flown over and collided with like the terrain (see
+//   Terrain.setSurroundings()). The soft boundary applies at their outer edge.
+// neighbours names the regions across the 'north', 'south', 'east' and 'west'
+// edges: flying off one of those carries the flight on into that region
+// (see FlightControls.onLeaveRegion) instead of turning back.
+//
+// Regions set it with a "boundary" block (see normalizeRegion in data/regions.js),
+// overriding any of DEFAULT_BOUNDARY.
+
+export const DEFAULT_BOUNDARY = {
+  seed: 0,
+  mode: 'soft',
+  margin: 5000, // Meters inside the edge where the condor is warned and turned back
+  surroundings: {
+    width: 30000, // Meters beyond the heightmap
+    elevation: null, // Meters the surroundings level out at; the lowest point of the edge by default
+    hills: 250, // Meters of rolling hills halfway out
+    resolution: 24 // Mesh segments across the surroundings
+  },
+  neighbours: {}
+};
+
+// Segments across the heightmap itself, where the surroundings mesh needs
+// vertices along the edge but no triangles
+const INNER_SEGMENTS = 64;
+
+// Hills are a few crossed waves; wavelengths in meters
+const HILL_WAVES = [
+  { length: 9000, weight: 0.6 },
+  { length: 4100, weight: 0.3 },
+  { length: 1700, weight: 0.1 }
+];
+
+// Compass bearing straight out across each edge
+const OUTWARD = { north: 0, east: 90, south: 180, west: 270 };
+
+// Split [from, to] into `count` equal steps, both ends included
+function steps(from, to, count) {
+  return Array.from({ length: count + 1 }, (_, i) => from + (to - from) * i / count);
+}
+
+export default class WorldBoundary {
+  constructor(scene, terrain, options = {}) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.config = {
+      ...DEFAULT_BOUNDARY,
+      ...options,
+      surroundings: { ...DEFAULT_BOUNDARY.surroundings, ...options.surroundings },
+      neighbours: { ...options.neighbours }
+    };
+
+    // Half the heightmap's extent, world units
+    this.innerWidth = terrain.terrainWidth / 2;
+    this.innerLength = terrain.terrainLength / 2;
+
+    // Width of the surroundings, world units; none in soft mode
+    const surroundings = this.config.surroundings;
+    this.surroundingsWidth = this.config.mode === 'surroundings'
+      ? terrain.projection.metersToUnits(surroundings.width)
+      : 0;
+
+    // Half the area the condor can fly in, world units
+    this.halfWidth = this.innerWidth + this.surroundingsWidth;
+    this.halfLength = this.innerLength + this.surroundingsWidth;
+
+    this.mesh = null;
+    if (this.surroundingsWidth > 0) {
+      const random = createRandom(hashSeed(this.config.seed));
+      this.hillWaves = HILL_WAVES.map(wave => ({
+        ...wave,
+        angle: random() * Math.PI,
+        phaseX: random() * Math.PI * 2,
+        phaseZ: random() * Math.PI * 2
+      }));
+      this.baseHeight = surroundings.elevation !== null
+        ? terrain.elevationToWorldHeight(surroundings.elevation)
+        : this.getLowestEdgeHeight();
+
+      terrain.setSurroundings(this);
+      this.mesh = this.createMesh();
+      this.scene.add(this.mesh);
+    }
+  }
+
+  // Lowest point along the heightmap's edge, world units
+  getLowestEdgeHeight() {
+    let lowest = Infinity;
+    steps(-this.innerWidth, this.innerWidth, INNER_SEGMENTS).forEach(x => {
+      lowest = Math.min(lowest, this.terrain.sampleHeight(x, -this.innerLength), this.terrain.sampleHeight(x, this.innerLength));
+    });
+    steps(-this.innerLength, this.innerLength, INNER_SEGMENTS).forEach(z => {
+      lowest = Math.min(lowest, this.terrain.sampleHeight(-this.innerWidth, z), this.terrain.sampleHeight(this.innerWidth, z));
+    });
+    return lowest;
+  }
+
+  // True for points in the surroundings: past the heightmap but inside the flyable area
+  contains(x, z) {
+    const outside = Math.abs(x) > this.innerWidth || Math.abs(z) > this.innerLength;
+    return this.surroundingsWidth > 0 && outside && Math.abs(x) <= this.halfWidth && Math.abs(z) <= this.halfLength;
+  }
+
+  // Height of the surroundings, world units: from the heightmap's edge it
+  // eases down to the base height, over rolling hills
+  getHeight(x, z) {
+    const edgeX = Math.min(Math.max(x, -this.innerWidth), this.innerWidth);
+    const edgeZ = Math.min(Math.max(z, -this.innerLength), this.innerLength);
+    const edgeHeight = this.terrain.sampleHeight(edgeX, edgeZ);
+
+    const out = Math.min(Math.hypot(x - edgeX, z - edgeZ) / this.surroundingsWidth, 1);
+    const fade = THREE.MathUtils.smoothstep(out, 0, 1);
+
+    return edgeHeight + (this.baseHeight - edgeHeight) * fade + this.getHills(x, z) * Math.sin(Math.PI * out);
+  }
+
+  getHills(x, z) {
+    const projection = this.terrain.projection;
+    const east = projection.unitsToMeters(x);
+    const south = projection.unitsToMeters(z);
+
+    let sum = 0;
+    this.hillWaves.forEach(wave => {
+      const u = (east * Math.cos(wave.angle) + south * Math.sin(wave.angle)) / wave.length * Math.PI * 2;
+      const v = (south * Math.cos(wave.angle) - east * Math.sin(wave.angle)) / wave.length * Math.PI * 2;
+      sum += wave.weight * (Math.sin(u + wave.phaseX) * Math.sin(v + wave.phaseZ) + 1) / 2;
+    });
+
+    return this.terrain.elevationToWorldHeight(this.config.surroundings.hills * sum);
+  }
+
+  // { height, dhdx, dhdz } as from Terrain.getSurfaceGradient()
+  getSurfaceGradient(x, z) {
+    const delta = 0.5;
+    return {
+      height: this.getHeight(x, z),
+      dhdx: (this.getHeight(x + delta, z) - this.getHeight(x - delta, z)) / (2 * delta),
+      dhdz: (this.getHeight(x, z + delta) - this.getHeight(x, z - delta)) / (2 * delta)
+    };
+  }
+
+  // Mesh over the surroundings, drawn with the terrain's material. Its grid
+  // lines run along the heightmap's edge, so the cells over the heightmap
+  // can be left out and the rest meet the terrain's edge.
+  createMesh() {
+    const resolution = this.config.surroundings.resolution;
+    const xs = [
+      ...steps(-this.halfWidth, -this.innerWidth, resolution),
+      ...steps(-this.innerWidth, this.innerWidth, INNER_SEGMENTS).slice(1),
+      ...steps(this.innerWidth, this.halfWidth, resolution).slice(1)
+    ];
+    const zs = [
+      ...steps(-this.halfLength, -this.innerLength, resolution),
+      ...steps(-this.innerLength, this.innerLength, INNER_SEGMENTS).slice(1),
+      ...steps(this.innerLength, this.halfLength, resolution).slice(1)
+    ];
+
+    const positions = new Float32Array(xs.length * zs.length * 3);
+    zs.forEach((z, j) => {
+      xs.forEach((x, i) => {
+        const index = (j * xs.length + i) * 3;
+        const inside = Math.abs(x) <= this.innerWidth && Math.abs(z) <= this.innerLength;
+        positions[index] = x;
+        positions[index + 1] = inside ? this.terrain.sampleHeight(x, z) : this.getHeight(x, z);
+        positions[index + 2] = z;
+      });
+    });
+
+    // Two triangles per cell outside the heightmap
+    const indices = [];
+    for (let j = 0; j < zs.length - 1; j++) {
+      for (let i = 0; i < xs.length - 1; i++) {
+        const centerX = (xs[i] + xs[i + 1]) / 2;
+        const centerZ = (zs[j] + zs[j + 1]) / 2;
+        if (Math.abs(centerX) < this.innerWidth && Math.abs(centerZ) < this.innerLength) continue;
+
+        const a = j * xs.length + i;
+        const b = (j + 1) * xs.length + i;
+        const c = (j + 1) * xs.length + i + 1;
+        const d = j * xs.length + i + 1;
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, this.terrain.material);
+    mesh.receiveShadow = true;
+    mesh.name = 'surroundings';
+    return mesh;
+  }
+
+  // How close a point is to the edge of the flyable area:
+  // { warning (0 outside the margin to 1 at the edge), edge ('north', 'south',
+  // 'east' or 'west', the nearest one), neighbour (region id across it, or null),
+  // outward (compass bearing straight across that edge), inward (compass
+  // bearing back toward the middle) }
+  check(x, z) {
+    const margin = this.terrain.projection.metersToUnits(this.config.margin);
+    const distances = {
+      north: this.halfLength + z,
+      south: this.halfLength - z,
+      west: this.halfWidth + x,
+      east: this.halfWidth - x
+    };
+    const edge = Object.keys(distances).reduce((nearest, side) => (distances[side] < distances[nearest] ? side : nearest));
+
+    return {
+      warning: Math.min(Math.max(1 - distances[edge] / margin, 0), 1),
+      edge,
+      neighbour: this.config.neighbours[edge] || null,
+      outward: OUTWARD[edge],
+      // East is +X, north is -Z
+      inward: (Math.atan2(-x, z) * 180 / Math.PI + 360) % 360
+    };
+  }
+
+  // Keep a position (a THREE.Vector3, changed in place) inside the flyable
+  // area. Returns { edge, neighbour } for the edge it was stopped at, or null.
+  clamp(position) {
+    let edge = null;
+    if (position.z < -this.halfLength) edge = 'north';
+    else if (position.z > this.halfLength) edge = 'south';
+    else if (position.x < -this.halfWidth) edge = 'west';
+    else if (position.x > this.halfWidth) edge = 'east';
+    if (!edge) return null;
+
+    position.x = Math.min(Math.max(position.x, -this.halfWidth), this.halfWidth);
+    position.z = Math.min(Math.max(position.z, -this.halfLength), this.halfLength);
+    return { edge, neighbour: this.config.neighbours[edge] || null };
+  }
+
+  // Drop the neighbour across an edge, e.g. one that failed to load, so the
+  // edge turns the condor back instead
+  closeEdge(edge) {
+    delete this.config.neighbours[edge];
+  }
+
+  // Remove the surroundings; the material belongs to the terrain
+  dispose() {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh = null;
+    }
+    this.terrain.setSurroundings(null);
+  }
+}
@@ -11,12 +11,30 @@ export default class Condor {
     this.head = null;
     this.tailFeathers = null;
     
-    // Constants
+    // Constants; speeds are radians per second
     this.MAX_WING_ROTATION = 0.3;
-    this.WING_ROTATE_SPEED = 0.05;
-    this.WING_RESET_SPEED = 0.03;
+    this.WING_ROTATE_SPEED = 3;
+    this.WING_RESET_SPEED = 1.8;
     this.MAX_PITCH_ANGLE = 0.4; // Maximum pitch angle for descent/ascent
-    this.PITCH_ADJUSTMENT_SPEED = 0.05; // How quickly pitch adjusts
+    this.PITCH_ADJUSTMENT_SPEED = 3; // How quickly pitch adjusts
+    this.FLAP_AMPLITUDE = 0.6; // Wingtip swing either side of the glide, radians
+    this.FLAP_FREQUENCY = 1.6; // Wingbeats per second when fresh
+    this.FLAP_EASE_SPEED = 4; // How quickly flapping starts and stops, per second
+    this.PERCH_SPEED = 1.5; // How quickly the wings fold and unfold, per second
+    this.WING_FOLD_ANGLE = 1.35; // Wingtips swept back along the body when folded, radians
+    this.WING_FOLD_DROOP = 0.35; // Folded wings hang down the flanks, radians
+    
+    // Wing state: both wings tilt together when turning, and swing in mirror
+    // image when flapping
+    this.wingTilt = 0;
+    this.flapPhase = 0;
+    this.flapStrength = 0;
+    this.flapAmount = 0;
+    
+    // Perched pose: 0 in flight to 1 with the wings folded, and seconds spent
+    // looking around while perched
+    this.perchAmount = 0;
+    this.perchTime = 0;
     
     // Create the condor model
     this.create();
@@ -32,6 +50,9 @@ export default class Condor {
     // Set initial position
     this.condorGroup.position.set(0, 200, 0);
     
+    // Heading first, then pitch, then bank, as FlightControls sets them
+    this.condorGroup.rotation.order = 'YXZ';
+    
     // Add to scene
     this.scene.add(this.condorGroup);
     
@@ -340,126 +361,93 @@ export default class Condor {
     this.condorGroup.add(rightLegGroup);
   }
   
-  // Wing animation when turning left
-  turnLeft() {
-    if (!this.leftWingGroup || !this.rightWingGroup) return;
-    
-    // When turning left, tilt the wing groups
-    this.leftWingGroup.rotation.z = Math.min(
-      this.leftWingGroup.rotation.z + this.WING_ROTATE_SPEED,
-      this.MAX_WING_ROTATION
-    );
-    
-    this.rightWingGroup.rotation.z = Math.min(
-      this.rightWingGroup.rotation.z + this.WING_ROTATE_SPEED,
-      this.MAX_WING_ROTATION
-    );
-    
-    // Tilt the entire condor model to the left when turning
-    this.condorGroup.rotation.z = Math.min(
-      this.condorGroup.rotation.z + this.WING_ROTATE_SPEED * 0.8,
-      this.MAX_WING_ROTATION * 0.8
-    );
+  // Wing animation when turning left, advanced by deltaTime seconds
+  turnLeft(deltaTime) {
+    const rotateStep = this.WING_ROTATE_SPEED * deltaTime;
+    this.wingTilt = Math.min(this.wingTilt + rotateStep, this.MAX_WING_ROTATION);
+    this.applyWings();
   }
   
-  // Wing animation when turning right
-  turnRight() {
-    if (!this.leftWingGroup || !this.rightWingGroup) return;
+  // Wing animation when turning right, advanced by deltaTime seconds
+  turnRight(deltaTime) {
+    const rotateStep = this.WING_ROTATE_SPEED * deltaTime;
+    this.wingTilt = Math.max(this.wingTilt - rotateStep, -this.MAX_WING_ROTATION);
+    this.applyWings();
+  }
+  
+  // Reset wings to level flight, advanced by deltaTime seconds
+  resetWings(deltaTime) {
+    // Gradually return the wings to neutral position
+    const resetStep = this.WING_RESET_SPEED * deltaTime;
+    this.wingTilt = Math.sign(this.wingTilt) * Math.max(Math.abs(this.wingTilt) - resetStep, 0);
+    this.applyWings();
+  }
+  
+  // Beat the wings with effort 0 (gliding) to 1 (full flapping), advanced by
+  // deltaTime seconds. stamina (0-1) makes a tired condor's beats shallower and slower.
+  updateFlap(effort, stamina, deltaTime) {
+    const easeStep = this.FLAP_EASE_SPEED * deltaTime;
+    this.flapStrength += THREE.MathUtils.clamp(effort - this.flapStrength, -easeStep, easeStep);
+    
+    if (this.flapStrength > 0) {
+      const frequency = this.FLAP_FREQUENCY * (0.6 + 0.4 * stamina);
+      this.flapPhase = (this.flapPhase + 2 * Math.PI * frequency * deltaTime) % (2 * Math.PI);
+    } else {
+      // Settle back into the glide from the start of the next beat
+      this.flapPhase = 0;
+    }
     
-    // When turning right, tilt the wing groups
-    this.leftWingGroup.rotation.z = Math.max(
-      this.leftWingGroup.rotation.z - this.WING_ROTATE_SPEED,
-      -this.MAX_WING_ROTATION
-    );
-    
-    this.rightWingGroup.rotation.z = Math.max(
-      this.rightWingGroup.rotation.z - this.WING_ROTATE_SPEED,
-      -this.MAX_WING_ROTATION
-    );
-    
-    // Tilt the entire condor model to the right when turning
-    this.condorGroup.rotation.z = Math.max(
-      this.condorGroup.rotation.z - this.WING_ROTATE_SPEED * 0.8,
-      -this.MAX_WING_ROTATION * 0.8
-    );
+    this.flapAmount = this.flapStrength * (0.5 + 0.5 * stamina);
+    this.applyWings();
   }
   
-  // Reset wings to level flight
-  resetWings() {
+  // Fold the wings and look around (perched true) or spread them to fly,
+  // easing over deltaTime seconds
+  updatePerch(perched, deltaTime) {
+    const easeStep = this.PERCH_SPEED * deltaTime;
+    this.perchAmount = THREE.MathUtils.clamp(this.perchAmount + (perched ? easeStep : -easeStep), 0, 1);
+    this.applyWings();
+    
+    if (!this.head) return;
+    
+    // Turn the head slowly from side to side, scanning the slopes below
+    this.perchTime = perched ? this.perchTime + deltaTime : 0;
+    const look = 0.5 * Math.sin(this.perchTime * 0.6) * Math.sin(this.perchTime * 0.23 + 1);
+    this.head.rotation.y = look * this.perchAmount;
+  }
+  
+  // Set the wing groups from the tilt, the flap stroke and the fold
+  applyWings() {
     if (!this.leftWingGroup || !this.rightWingGroup) return;
     
-    // Gradually return wing groups to neutral position
-    if (this.leftWingGroup.rotation.z > 0) {
-      this.leftWingGroup.rotation.z = Math.max(
-        this.leftWingGroup.rotation.z - this.WING_RESET_SPEED,
-        0
-      );
-    } else if (this.leftWingGroup.rotation.z < 0) {
-      this.leftWingGroup.rotation.z = Math.min(
-        this.leftWingGroup.rotation.z + this.WING_RESET_SPEED,
-        0
-      );
-    }
-    
-    if (this.rightWingGroup.rotation.z > 0) {
-      this.rightWingGroup.rotation.z = Math.max(
-        this.rightWingGroup.rotation.z - this.WING_RESET_SPEED,
-        0
-      );
-    } else if (this.rightWingGroup.rotation.z < 0) {
-      this.rightWingGroup.rotation.z = Math.min(
-        this.rightWingGroup.rotation.z + this.WING_RESET_SPEED,
-        0
-      );
-    }
+    // Positive raises the wingtips
+    const stroke = this.FLAP_AMPLITUDE * this.flapAmount * Math.sin(this.flapPhase);
+    const fold = this.perchAmount;
+    const spread = 1 - fold;
+    this.leftWingGroup.rotation.z = (this.wingTilt - stroke) * spread - this.WING_FOLD_DROOP * fold;
+    this.rightWingGroup.rotation.z = (this.wingTilt + stroke) * spread + this.WING_FOLD_DROOP * fold;
     
-    // Also gradually reset the condor's roll (z-axis rotation) to level
-    if (this.condorGroup.rotation.z > 0) {
-      this.condorGroup.rotation.z = Math.max(
-        this.condorGroup.rotation.z - this.WING_RESET_SPEED,
-        0
-      );
-    } else if (this.condorGroup.rotation.z < 0) {
-      this.condorGroup.rotation.z = Math.min(
-        this.condorGroup.rotation.z + this.WING_RESET_SPEED,
-        0
-      );
-    }
+    // Folding sweeps the wingtips back toward the tail (+Z)
+    this.leftWingGroup.rotation.y = this.WING_FOLD_ANGLE * fold;
+    this.rightWingGroup.rotation.y = -this.WING_FOLD_ANGLE * fold;
   }
   
-  // Update pitch based on vertical speed
-  updatePitch(verticalSpeed) {
-    if (!this.condorGroup || !this.head) return;
-    
-    // Target pitch angle based on vertical speed
-    // Negative vertical speed (descending) = positive pitch (nose down)
-    // Positive vertical speed (ascending) = negative pitch (nose up)
-    const targetPitch = -verticalSpeed * (this.MAX_PITCH_ANGLE * 10);
-    
-    // Current pitch
-    const currentPitch = this.condorGroup.rotation.x;
-    
-    // Gradually adjust pitch toward target
-    if (Math.abs(targetPitch - currentPitch) > 0.01) {
-      if (targetPitch > currentPitch) {
-        this.condorGroup.rotation.x += this.PITCH_ADJUSTMENT_SPEED;
-      } else {
-        this.condorGroup.rotation.x -= this.PITCH_ADJUSTMENT_SPEED;
-      }
-      
-      // Clamp to max values
-      this.condorGroup.rotation.x = Math.max(
-        Math.min(this.condorGroup.rotation.x, this.MAX_PITCH_ANGLE),
-        -this.MAX_PITCH_ANGLE
-      );
-      
-      // Adjust head to exaggerate the pitch effect
-      this.head.rotation.x = this.condorGroup.rotation.x * 1.5;
-      
-      // Also adjust tail feathers for more dynamic look
-      if (this.tailFeathers) {
-        this.tailFeathers.rotation.x = -this.condorGroup.rotation.x * 1.2;
-      }
+  // Follow the flight path angle (radians, positive climbing) with the head and tail,
+  // easing over deltaTime seconds. The body itself is pitched by FlightControls.
+  updatePitch(flightPath, deltaTime) {
+    if (!this.head) return;
+    
+    const pitch = Math.max(Math.min(flightPath, this.MAX_PITCH_ANGLE), -this.MAX_PITCH_ANGLE);
+    
+    // Ease toward the target so the head doesn't snap
+    const targetHead = pitch * 0.5;
+    const maxStep = this.PITCH_ADJUSTMENT_SPEED * deltaTime;
+    const step = THREE.MathUtils.clamp(targetHead - this.head.rotation.x, -maxStep, maxStep);
+    this.head.rotation.x += step;
+    
+    // Tail feathers spread down into a climb and up into a dive
+    if (this.tailFeathers) {
+      this.tailFeathers.rotation.x = -this.head.rotation.x * 1.2;
     }
   }
   
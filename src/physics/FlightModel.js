@@ -0,0 +1,224 @@
+// Point-mass glider model of the condor's flight, in SI units and free of
+// rendering so it can be stepped on its own (e.g. from node).
+//
+// The wing follows a parabolic drag polar, CD = CD0 + k·CL², with CD0 and k
+// derived from the best glide ratio and the speed it's reached at. The pilot
+// commands the lift coefficient with the pitch input (nose up = more lift,
+// less speed) and the bank angle with the roll input; lift tilted by the bank
+// turns the bird. Commanding more lift than clMax stalls the wing. Flapping
+// adds thrust along the flight path, enough for a slow climb.
+//
+// Angles are radians. Heading is a compass bearing (0 = north, clockwise),
+// flightPath is the climb angle of the velocity (positive = climbing).
+
+const GRAVITY = 9.81;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Steepest climb or dive, so the equations stay well away from vertical flight
+const MAX_FLIGHT_PATH = 80 * DEG_TO_RAD;
+
+export const DEFAULT_FLIGHT_CONFIG = {
+  mass: 11, // kg
+  wingArea: 1.2, // m²
+  bestGlideRatio: 15, // Lift to drag at the best glide speed
+  bestGlideSpeed: 14, // m/s at sea level
+  clMax: 1.6, // Lift coefficient where the wing stalls
+  clMin: 0.1, // Lift coefficient with the nose fully down
+  maxBank: 45, // Degrees of bank at full roll input
+  rollRate: 90, // Degrees per second
+  stallLift: 0.6, // Fraction of clMax left once stalled
+  stallDrag: 0.25, // Extra drag coefficient while stalled
+  pitchDamping: 0.3, // Lift coefficient per m/s² of airspeed change, damps the phugoid
+  flapThrust: 16, // Newtons at full flapping effort
+  maxStep: 0.02 // Longest integration step, seconds
+};
+
+// Air density (kg/m³) at an altitude in meters, International Standard Atmosphere troposphere
+export function airDensity(altitude) {
+  const clamped = Math.min(Math.max(altitude, 0), 11000);
+  return 1.225 * Math.pow(1 - 2.25577e-5 * clamped, 4.2559);
+}
+
+// Drag polar coefficients for a flight config: { cd0, k, bestGlideLift, minSinkLift }
+export function derivePolar(config) {
+  const weight = config.mass * GRAVITY;
+  const bestGlideLift = 2 * weight / (airDensity(0) * config.bestGlideSpeed ** 2 * config.wingArea);
+
+  // At best glide induced drag equals parasitic drag, so CD = 2·CD0
+  const cd0 = bestGlideLift / (2 * config.bestGlideRatio);
+  const k = cd0 / bestGlideLift ** 2;
+
+  // Minimum sink is where induced drag is three times parasitic drag
+  const minSinkLift = Math.sqrt(3 * cd0 / k);
+
+  return { cd0, k, bestGlideLift, minSinkLift };
+}
+
+export default class FlightModel {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_FLIGHT_CONFIG, ...config };
+    this.polar = derivePolar(this.config);
+
+    if (this.polar.minSinkLift >= this.config.clMax) {
+      console.warn('Flight config: minimum sink speed is below the stall speed');
+    }
+
+    // Pilot inputs, -1 to 1: pitch > 0 raises the nose, roll > 0 banks right;
+    // flap is the flapping effort, 0 to 1
+    this.controls = { pitch: 0, roll: 0, flap: 0 };
+
+    this.state = {
+      airspeed: this.config.bestGlideSpeed, // m/s
+      heading: 0,
+      flightPath: 0,
+      bank: 0,
+      liftCoefficient: this.polar.bestGlideLift,
+      acceleration: 0, // m/s² along the flight path
+      stalled: false
+    };
+  }
+
+  // Start in steady flight at a heading (radians), at the best glide speed for the altitude
+  reset(heading = 0, altitude = 0) {
+    Object.assign(this.state, {
+      airspeed: this.getBestGlideSpeed(altitude),
+      heading,
+      flightPath: -Math.atan(1 / this.config.bestGlideRatio),
+      bank: 0,
+      liftCoefficient: this.polar.bestGlideLift,
+      acceleration: 0, // m/s² along the flight path
+      stalled: false
+    });
+    this.controls.pitch = 0;
+    this.controls.roll = 0;
+    this.controls.flap = 0;
+  }
+
+  setControls(pitch, roll, flap = 0) {
+    this.controls.pitch = Math.min(Math.max(pitch, -1), 1);
+    this.controls.roll = Math.min(Math.max(roll, -1), 1);
+    this.controls.flap = Math.min(Math.max(flap, 0), 1);
+  }
+
+  // Lift coefficient asked for by the pitch input: trimmed for best glide at
+  // rest, down to clMin pushed and past clMax (into the stall) pulled fully
+  getCommandedLift() {
+    const { clMin, clMax } = this.config;
+    const trim = this.polar.bestGlideLift;
+    const pitch = this.controls.pitch;
+
+    return pitch >= 0
+      ? trim + (clMax * 1.15 - trim) * pitch
+      : trim + (trim - clMin) * pitch;
+  }
+
+  // Advance the model by dt seconds. environment.altitude (meters above sea
+  // level) sets the air density. Returns the velocity relative to the air in
+  // m/s as { east, north, up }.
+  step(dt, environment = {}) {
+    const steps = Math.max(1, Math.ceil(dt / this.config.maxStep));
+    const density = airDensity(environment.altitude || 0);
+
+    for (let i = 0; i < steps; i++) {
+      this.integrate(dt / steps, density);
+    }
+
+    return this.getVelocity();
+  }
+
+  integrate(dt, density) {
+    const { mass, wingArea, clMax, stallLift, stallDrag, pitchDamping, flapThrust } = this.config;
+    const { cd0, k } = this.polar;
+    const state = this.state;
+
+    // Bank follows the roll input at the roll rate
+    const targetBank = this.controls.roll * DEG_TO_RAD * this.config.maxBank;
+    const maxRoll = this.config.rollRate * DEG_TO_RAD * dt;
+    state.bank += Math.min(Math.max(targetBank - state.bank, -maxRoll), maxRoll);
+
+    // Stall when asking for more lift than the wing can give; recover once the
+    // nose is eased and there's enough speed to fly at the current bank
+    const commanded = this.getCommandedLift();
+    if (commanded > clMax) {
+      state.stalled = true;
+    } else if (state.stalled && state.airspeed >= this.getStallSpeed(state.bank, density)) {
+      state.stalled = false;
+    }
+
+    const pressure = 0.5 * density * state.airspeed ** 2 * wingArea;
+    const speed = Math.max(state.airspeed, 1);
+    const weight = mass * GRAVITY;
+
+    // Like a bird holding its attitude, pull up a little while speeding up and
+    // ease off while slowing down, which damps the swings between speed and height
+    const lift = state.stalled
+      ? clMax * stallLift
+      : Math.min(Math.max(commanded + pitchDamping * state.acceleration, 0), clMax);
+
+    const liftForce = pressure * lift;
+    const dragForce = pressure * (cd0 + k * lift ** 2 + (state.stalled ? stallDrag : 0));
+
+    // Point-mass equations of motion in the velocity frame
+    const thrust = flapThrust * this.controls.flap;
+    const acceleration = (thrust - dragForce) / mass - GRAVITY * Math.sin(state.flightPath);
+    const flightPathRate = (liftForce * Math.cos(state.bank) - weight * Math.cos(state.flightPath)) / (mass * speed);
+    const turnRate = liftForce * Math.sin(state.bank) / (mass * speed * Math.cos(state.flightPath));
+
+    state.airspeed = Math.max(state.airspeed + acceleration * dt, 0);
+    state.flightPath = Math.min(Math.max(state.flightPath + flightPathRate * dt, -MAX_FLIGHT_PATH), MAX_FLIGHT_PATH);
+    state.heading = (state.heading + turnRate * dt + Math.PI * 2) % (Math.PI * 2);
+    state.liftCoefficient = lift;
+    state.acceleration = acceleration;
+  }
+
+  getVelocity() {
+    const { airspeed, heading, flightPath } = this.state;
+    const horizontal = airspeed * Math.cos(flightPath);
+
+    return {
+      east: horizontal * Math.sin(heading),
+      north: horizontal * Math.cos(heading),
+      up: airspeed * Math.sin(flightPath)
+    };
+  }
+
+  // Speed below which the wing can't hold the bird up at a bank angle (m/s)
+  getStallSpeed(bank = 0, density = airDensity(0)) {
+    const { mass, wingArea, clMax } = this.config;
+    return Math.sqrt(2 * mass * GRAVITY / (density * wingArea * clMax * Math.max(Math.cos(bank), 0.1)));
+  }
+
+  getBestGlideSpeed(altitude = 0) {
+    return this.getSteadySpeed(this.polar.bestGlideLift, altitude);
+  }
+
+  getMinSinkSpeed(altitude = 0) {
+    return this.getSteadySpeed(this.polar.minSinkLift, altitude);
+  }
+
+  // Speed of steady wings-level gliding at a lift coefficient
+  getSteadySpeed(lift, altitude = 0) {
+    const { mass, wingArea } = this.config;
+    return Math.sqrt(2 * mass * GRAVITY / (airDensity(altitude) * wingArea * lift));
+  }
+
+  // Sink rate (m/s, positive down) of steady wings-level gliding at an airspeed
+  getSinkRate(airspeed, altitude = 0) {
+    const { mass, wingArea } = this.config;
+    const { cd0, k } = this.polar;
+    const lift = 2 * mass * GRAVITY / (airDensity(altitude) * wingArea * airspeed ** 2);
+    return airspeed * (cd0 + k * lift ** 2) / lift;
+  }
+
+  // Current lift to drag ratio
+  getGlideRatio() {
+    const { cd0, k } = this.polar;
+    const lift = this.state.liftCoefficient;
+    return lift / (cd0 + k * lift ** 2 + (this.state.stalled ? this.config.stallDrag : 0));
+  }
+
+  // True when the pitch input is close to stalling the wing
+  isNearStall() {
+    return this.state.stalled || this.getCommandedLift() > this.config.clMax * 0.9;
+  }
+}
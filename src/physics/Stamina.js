@@ -0,0 +1,97 @@
+// The condor's energy for flapping. Condors are built to soar and can only
+// flap for short bursts, so flapping drains stamina quickly while gliding
+// recovers it slowly, and riding rising air faster. Feeding (see
+// environment/CarrionManager.js) restores it. Once it runs out the condor
+// is exhausted and can't flap again until it has recovered a share of it.
+
+export const DEFAULT_STAMINA = {
+  max: 100,
+  flapCost: 12, // Per second of full flapping
+  glideRecovery: 1, // Per second while not flapping
+  thermalRecovery: 3, // Per second while not flapping in air rising at least liftThreshold
+  liftThreshold: 0.5, // m/s of rising air that counts as riding lift
+  perchedRecovery: 5, // Per second while perched
+  recoveredShare: 0.3 // Share of max needed to flap again once exhausted
+};
+
+export default class Stamina {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_STAMINA, ...config };
+    this.value = this.config.max;
+    this.exhausted = false;
+  }
+
+  reset() {
+    this.value = this.config.max;
+    this.exhausted = false;
+  }
+
+  // Advance by deltaTime seconds with the flap input asked for (0-1) and the
+  // updraft the condor is in (m/s). Returns the flap effort allowed, 0 when exhausted.
+  update(deltaTime, flap, updraft = 0) {
+    const { max, flapCost, glideRecovery, thermalRecovery, liftThreshold, recoveredShare } = this.config;
+
+    if (this.exhausted && this.value >= max * recoveredShare) {
+      this.exhausted = false;
+    }
+
+    const effort = this.exhausted ? 0 : flap;
+    if (effort > 0) {
+      this.value -= flapCost * effort * deltaTime;
+      if (this.value <= 0) {
+        this.value = 0;
+        this.exhausted = true;
+      }
+    } else {
+      const recovery = updraft >= liftThreshold ? thermalRecovery : glideRecovery;
+      this.value = Math.min(this.value + recovery * deltaTime, max);
+    }
+
+    return effort;
+  }
+
+  // Recover while perched for deltaTime seconds
+  rest(deltaTime) {
+    const { max, perchedRecovery, recoveredShare } = this.config;
+    this.value = Math.min(this.value + perchedRecovery * deltaTime, max);
+    if (this.exhausted && this.value >= max * recoveredShare) {
+      this.exhausted = false;
+    }
+  }
+
+  // Use up an amount at once, e.g. to take off from flat ground. Returns
+  // false, spending nothing, when there isn't that much left.
+  spend(amount) {
+    if (this.exhausted || this.value < amount) return false;
+    this.value -= amount;
+    return true;
+  }
+
+  // Lose up to an amount, e.g. knocked out of the condor by a bump; returns how much was lost
+  drain(amount) {
+    const lost = Math.min(amount, this.value);
+    this.value -= lost;
+    return lost;
+  }
+
+  // Add stamina, e.g. from feeding; returns how much was taken
+  restore(amount) {
+    const taken = Math.min(amount, this.config.max - this.value);
+    this.value += taken;
+    return taken;
+  }
+
+  // Stamina missing from full
+  getMissing() {
+    return this.config.max - this.value;
+  }
+
+  // 0 to 1
+  getFraction() {
+    return this.value / this.config.max;
+  }
+
+  isExhausted() {
+    return this.exhausted;
+  }
+}
@@ -0,0 +1,241 @@
+import { hashSeed, createRandom } from '../terrain/detailNoise.js';
+import { LAYERS, resolveSurface, getSurfaceLayer } from '../terrain/terrainMaterial.js';
+
+// Rising and sinking air over the terrain, in meters per second:
+// - Thermals: columns of warm air rising from ground the sun heats well, i.e.
+//   slopes facing the sun with dark, low-albedo cover (rock and scree rather
+//   than snow). Each one grows, lives a few minutes and dies away, and a new
+//   one starts elsewhere. Columns lean downwind and end at the cloudbase.
+// - Ridge lift: wind blowing up a slope is pushed upward (and sinks on the lee
+//   side), strongest close to the ground.
+//
+// Regions tune it with an "updrafts" block (see normalizeRegion in data/regions.js),
+// overriding any of DEFAULT_UPDRAFTS.
+
+export const DEFAULT_UPDRAFTS = {
+  seed: 0,
+  thermalCount: 120, // Thermals alive at once
+  // Core radius range in meters. Sized for the condor's circles, which are
+  // widened by the gameplay speed multiplier in FlightControls.
+  thermalRadius: [1500, 2500],
+  thermalStrength: 4, // m/s climb in the core over the best heated ground
+  thermalLifetime: [240, 600], // Seconds
+  cloudbase: 1800, // Meters above a thermal's source where it stops
+  minSpacing: 6000, // Meters between thermal sources
+  ridgeDepth: 400, // Meters above the ground over which ridge lift fades
+  ridgeScale: 300 // Meters over which slopes are measured for ridge lift
+};
+
+// Heating is sampled on a grid of this many cells along each side of the region
+const SOURCE_GRID = 64;
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+export default class UpdraftField {
+  // terrain: the region's Terrain; sun: its Sun (see environment/Sun.js);
+  // windField: its WindField (see WindField.js)
+  constructor(terrain, sun, windField, options = {}) {
+    this.terrain = terrain;
+    this.sun = sun;
+    this.windField = windField;
+    this.config = { ...DEFAULT_UPDRAFTS, ...options };
+
+    this.random = createRandom(hashSeed(this.config.seed));
+    this.sources = [];
+    this.thermals = [];
+    this.nextThermalId = 1;
+  }
+
+  // Survey the terrain for thermal sources and start the first thermals.
+  // Thermals start at random points in their lives so they don't all fade together.
+  generate() {
+    this.surveySources();
+
+    this.thermals = [];
+    for (let i = 0; i < this.config.thermalCount; i++) {
+      const thermal = this.spawnThermal();
+      if (!thermal) break;
+      thermal.age = this.random() * thermal.lifetime;
+      this.thermals.push(thermal);
+    }
+  }
+
+  // Slope, height and ground cover of each cell of the source grid
+  surveySources() {
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+    const surface = resolveSurface(terrain.surface);
+    const cellWidth = terrain.terrainWidth / SOURCE_GRID;
+    const cellLength = terrain.terrainLength / SOURCE_GRID;
+
+    this.sources = [];
+    for (let row = 0; row < SOURCE_GRID; row++) {
+      for (let column = 0; column < SOURCE_GRID; column++) {
+        const x = (column + 0.5) * cellWidth - terrain.terrainWidth / 2;
+        const z = (row + 0.5) * cellLength - terrain.terrainLength / 2;
+        const gradient = this.getGradient(x, z, cellWidth / 2);
+        const elevation = projection.worldYToElevation(terrain.sampleHeight(x, z));
+
+        // The material picks layers by the slope as rendered, exaggerated
+        const exaggeration = projection.verticalExaggeration;
+        const renderedSlope = Math.atan(Math.hypot(gradient.east, gradient.north) * exaggeration) * 180 / Math.PI;
+        const latitude = projection.worldToGeo(x, z).lat;
+        const layer = getSurfaceLayer(surface, elevation, renderedSlope, latitude);
+
+        this.sources.push({ x, z, elevation, gradient, absorption: 1 - LAYERS[layer].albedo });
+      }
+    }
+  }
+
+  // True ground gradient (meters per meter) around a point, measured over
+  // `distance` world units: { east, north } pointing uphill
+  getGradient(x, z, distance) {
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+    const run = projection.unitsToMeters(distance * 2);
+
+    return {
+      east: projection.worldYToElevation(terrain.sampleHeight(x + distance, z) - terrain.sampleHeight(x - distance, z)) / run,
+      north: projection.worldYToElevation(terrain.sampleHeight(x, z - distance) - terrain.sampleHeight(x, z + distance)) / run
+    };
+  }
+
+  // How strongly the sun heats a source, 0 to 1: sunlight on the slope times
+  // the share of it the ground absorbs
+  getHeating(source) {
+    const sun = this.sun.getDirection();
+    const { east, north } = source.gradient;
+
+    // Ground normal is (-east, 1, -north) in east/up/north; the sun vector is in world axes
+    const incidence = (-east * sun.x + sun.y - north * -sun.z) / Math.sqrt(east * east + north * north + 1);
+    return Math.max(incidence, 0) * source.absorption;
+  }
+
+  // Start a thermal over a well heated source away from the other thermals,
+  // or return null if no source qualifies
+  spawnThermal() {
+    const { thermalRadius, thermalLifetime, thermalStrength, cloudbase, minSpacing } = this.config;
+    const projection = this.terrain.projection;
+    const spacing = projection.metersToUnits(minSpacing);
+
+    for (let attempt = 0; attempt < 30; attempt++) {
+      const source = this.sources[Math.floor(this.random() * this.sources.length)];
+      if (!source) return null;
+
+      // Favor the best heated ground
+      const heating = this.getHeating(source);
+      if (this.random() > heating * heating * 1.5) continue;
+
+      const x = source.x + (this.random() - 0.5) * projection.width / SOURCE_GRID;
+      const z = source.z + (this.random() - 0.5) * projection.length / SOURCE_GRID;
+      const crowded = this.thermals.some(thermal => Math.hypot(thermal.x - x, thermal.z - z) < spacing);
+      if (crowded) continue;
+
+      return {
+        id: this.nextThermalId++,
+        x,
+        z,
+        base: source.elevation,
+        top: source.elevation + cloudbase * (0.8 + this.random() * 0.4),
+        radius: thermalRadius[0] + this.random() * (thermalRadius[1] - thermalRadius[0]),
+        strength: thermalStrength * Math.min(heating * 1.2, 1) * (0.7 + this.random() * 0.3),
+        age: 0,
+        lifetime: thermalLifetime[0] + this.random() * (thermalLifetime[1] - thermalLifetime[0])
+      };
+    }
+
+    return null;
+  }
+
+  // Age the thermals and replace the ones that have died
+  update(deltaTime) {
+    this.thermals = this.thermals.map(thermal => {
+      thermal.age += deltaTime;
+      if (thermal.age < thermal.lifetime) return thermal;
+
+      return this.spawnThermal() || Object.assign(thermal, { age: 0 });
+    });
+  }
+
+  // Share of the sun's heating reaching the ground, from its height in the sky
+  getSunFactor() {
+    return Math.min(Math.max(Math.sin(this.sun.getElevation()) * 1.2, 0), 1);
+  }
+
+  // Current core climb rate of a thermal (m/s): grows, holds, then fades
+  getThermalStrength(thermal) {
+    const life = thermal.age / thermal.lifetime;
+    const envelope = smoothstep(0, 0.15, life) * (1 - smoothstep(0.7, 1, life));
+    return thermal.strength * envelope * this.getSunFactor();
+  }
+
+  // Drift of a thermal column per meter of height: rising air is carried
+  // along by the prevailing wind. The rise rate is taken at twice the core
+  // climb to keep the lean gentle enough to stay in while circling.
+  getThermalLean(thermal) {
+    const { direction, speed } = this.windField.getPrevailing();
+    const radians = direction * Math.PI / 180;
+    const drift = speed / Math.max(thermal.strength * 2, 1);
+    return { east: -Math.sin(radians) * drift, north: -Math.cos(radians) * drift };
+  }
+
+  // Vertical air velocity (m/s, positive up) at a world position
+  sample(x, y, z) {
+    return this.sampleThermals(x, y, z) + this.sampleRidgeLift(x, y, z);
+  }
+
+  sampleThermals(x, y, z) {
+    const projection = this.terrain.projection;
+    const altitude = projection.worldYToElevation(y);
+    let lift = 0;
+
+    for (const thermal of this.thermals) {
+      if (altitude > thermal.top) continue;
+
+      const height = Math.max(altitude - thermal.base, 0);
+      const lean = this.getThermalLean(thermal);
+      const dx = projection.unitsToMeters(x - thermal.x) - lean.east * height;
+      const dz = projection.unitsToMeters(z - thermal.z) + lean.north * height;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+
+      // Columns narrow toward the ground they rise from
+      const radius = thermal.radius * (0.7 + 0.3 * Math.min(height / 600, 1));
+      if (distance > radius * 3) continue;
+
+      // Rising core with a ring of gently sinking air around it
+      const r = distance / radius;
+      const profile = Math.exp(-r * r) - 0.2 * Math.exp(-((r - 2) ** 2) * 2);
+
+      // Weak near the ground, dying out just below the top
+      const vertical = Math.min(0.3 + height / 300, 1) * (1 - smoothstep(0.8, 1, height / (thermal.top - thermal.base)));
+
+      lift += this.getThermalStrength(thermal) * profile * vertical;
+    }
+
+    return lift;
+  }
+
+  // Wind pushed up (or down) by the slope below, fading with height above it
+  sampleRidgeLift(x, y, z) {
+    const wind = this.windField.getWind(x, y, z);
+    if (wind.speed === 0) return 0;
+
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+    const aboveGround = projection.worldYToElevation(y - terrain.sampleHeight(x, z));
+    const gradient = this.getGradient(x, z, projection.metersToUnits(this.config.ridgeScale));
+
+    const lift = wind.east * gradient.east + wind.north * gradient.north;
+
+    // Lee sides sink less than windward sides rise, as the flow separates
+    const scaled = lift > 0 ? lift : lift * 0.5;
+    return scaled * Math.exp(-Math.max(aboveGround, 0) / this.config.ridgeDepth);
+  }
+
+  getThermals() {
+    return this.thermals;
+  }
+}
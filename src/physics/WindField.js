@@ -0,0 +1,190 @@
+import { hashSeed, createRandom } from '../terrain/detailNoise.js';
+
+// Horizontal wind over the terrain, in meters per second:
+// - a prevailing direction and speed for the region
+// - a gradient with height: slowed by friction near the ground and picking up
+//   with altitude above sea level
+// - gusts that sweep downwind through the region, varying speed and direction
+// - terrain effects: flow speeds up over ridges and crests and drops in valleys
+//   and behind higher ground upwind (the lee)
+//
+// Regions set it with a "wind" block (see normalizeRegion in data/regions.js),
+// overriding any of DEFAULT_WIND. Scripts can change it with setWind().
+
+export const DEFAULT_WIND = {
+  seed: 0,
+  direction: 90, // Compass degrees the wind blows from
+  speed: 6, // m/s, clear of the ground
+  gustiness: 0.3, // Gusts vary the speed by up to this fraction
+  boundaryLayer: 600, // Meters above ground where surface friction stops slowing the wind
+  surfaceExponent: 0.14, // Power law of the speed within the boundary layer
+  increasePerKm: 0.05, // Fraction of extra speed per kilometer above sea level
+  ridgeSpeedup: 0.5, // Extra speed on crests (less in valleys) as a fraction
+  leeShelter: 0.7, // Largest share of the wind blocked by higher ground upwind
+  terrainDepth: 500 // Meters above ground over which the crest and valley effects fade
+};
+
+// Terrain is sampled this far around a point (meters) to tell crests from valleys
+const RELIEF_RADIUS = 1500;
+
+// Distances upwind (meters) checked for sheltering ground
+const SHELTER_DISTANCES = [1000, 2500, 5000];
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export default class WindField {
+  // terrain: the region's Terrain; options: a "wind" block
+  constructor(terrain, options = {}) {
+    this.terrain = terrain;
+    this.config = { ...DEFAULT_WIND, ...options };
+
+    // Gusts are a few overlapping waves with random phases, travelling
+    // downwind. Their lengths (meters between fronts) are long enough that
+    // the condor, sped up in FlightControls, passes through them in seconds.
+    const random = createRandom(hashSeed(this.config.seed));
+    this.gustWaves = [
+      { period: 9.7, length: 4000, weight: 0.55, phase: random() * Math.PI * 2 },
+      { period: 4.3, length: 1800, weight: 0.3, phase: random() * Math.PI * 2 },
+      { period: 1.9, length: 800, weight: 0.15, phase: random() * Math.PI * 2 }
+    ];
+    this.veerPhase = random() * Math.PI * 2;
+
+    this.time = 0;
+    this.prevailing = {
+      direction: this.config.direction,
+      speed: this.config.speed,
+      gustiness: this.config.gustiness
+    };
+    this.transition = null;
+  }
+
+  // Change the prevailing wind, for scripted scenarios. Direction is where it
+  // blows from in compass degrees, speed in m/s. options.gustiness changes the
+  // gusts; options.duration (seconds) blends from the current wind.
+  setWind(direction, speed, options = {}) {
+    const target = {
+      direction: ((direction % 360) + 360) % 360,
+      speed,
+      gustiness: options.gustiness ?? this.prevailing.gustiness
+    };
+
+    if (options.duration > 0) {
+      this.transition = { from: { ...this.prevailing }, to: target, elapsed: 0, duration: options.duration };
+    } else {
+      this.transition = null;
+      this.prevailing = target;
+    }
+  }
+
+  // Prevailing wind as { direction, speed, gustiness }
+  getPrevailing() {
+    return this.prevailing;
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    if (this.transition) {
+      const transition = this.transition;
+      transition.elapsed += deltaTime;
+      const t = Math.min(transition.elapsed / transition.duration, 1);
+
+      // Turn the short way round
+      const turn = ((transition.to.direction - transition.from.direction + 540) % 360) - 180;
+      this.prevailing = {
+        direction: (transition.from.direction + turn * t + 360) % 360,
+        speed: transition.from.speed + (transition.to.speed - transition.from.speed) * t,
+        gustiness: transition.from.gustiness + (transition.to.gustiness - transition.from.gustiness) * t
+      };
+
+      if (t >= 1) this.transition = null;
+    }
+  }
+
+  // Gust at a point as { speed, veer }: a speed factor around 1 and a change
+  // of direction in degrees. Gusts travel with the wind, so what hits the
+  // condor now reaches points downwind later.
+  getGust(x, z) {
+    const { direction, gustiness } = this.prevailing;
+    const projection = this.terrain.projection;
+
+    // Distance downwind (meters), along the direction the air moves
+    const radians = direction * DEG_TO_RAD;
+    const downwind = projection.unitsToMeters(-Math.sin(radians) * x + Math.cos(radians) * z);
+
+    let wave = 0;
+    this.gustWaves.forEach(({ period, length, weight, phase }) => {
+      wave += weight * Math.sin((this.time / period - downwind / length) * Math.PI * 2 + phase);
+    });
+
+    return {
+      speed: 1 + gustiness * wave,
+      veer: gustiness * 30 * Math.sin((this.time / 23 - downwind / 10000) * Math.PI * 2 + this.veerPhase)
+    };
+  }
+
+  // Speed factor from the height above ground and above sea level
+  getGradientFactor(aboveGround, altitude) {
+    const { boundaryLayer, surfaceExponent, increasePerKm } = this.config;
+    const friction = Math.pow(Math.min(Math.max(aboveGround, 10), boundaryLayer) / boundaryLayer, surfaceExponent);
+    return friction * (1 + increasePerKm * Math.max(altitude, 0) / 1000);
+  }
+
+  // Speed factor from the terrain around and upwind of a point
+  getTerrainFactor(x, z, ground, altitude, aboveGround) {
+    const { ridgeSpeedup, leeShelter, terrainDepth } = this.config;
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+    const elevationAt = (px, pz) => projection.worldYToElevation(terrain.sampleHeight(px, pz));
+
+    // Crests stand above their surroundings, valleys below
+    const radius = projection.metersToUnits(RELIEF_RADIUS);
+    const surroundings = (
+      elevationAt(x + radius, z) + elevationAt(x - radius, z) +
+      elevationAt(x, z + radius) + elevationAt(x, z - radius)
+    ) / 4;
+    const relief = Math.min(Math.max((ground - surroundings) / 300, -1), 1);
+    const exposure = 1 + ridgeSpeedup * relief * Math.exp(-Math.max(aboveGround, 0) / terrainDepth);
+
+    // Ground upwind that's higher than the condor blocks the wind
+    const radians = this.prevailing.direction * DEG_TO_RAD;
+    let shelter = 0;
+    SHELTER_DISTANCES.forEach(distance => {
+      const units = projection.metersToUnits(distance);
+      const upwind = elevationAt(x + Math.sin(radians) * units, z - Math.cos(radians) * units);
+      shelter = Math.max(shelter, Math.min((upwind - altitude) / 500, 1));
+    });
+
+    return Math.max(exposure, 0.2) * (1 - leeShelter * Math.max(shelter, 0));
+  }
+
+  // Wind at a world position as { east, north, speed, direction }: velocity
+  // components the air moves toward (m/s), its speed and the compass direction
+  // it blows from
+  getWind(x, y, z) {
+    const { direction, speed } = this.prevailing;
+    if (speed <= 0) {
+      return { east: 0, north: 0, speed: 0, direction };
+    }
+
+    const terrain = this.terrain;
+    const projection = terrain.projection;
+    const altitude = projection.worldYToElevation(y);
+    const ground = projection.worldYToElevation(terrain.sampleHeight(x, z));
+    const aboveGround = altitude - ground;
+
+    const gust = this.getGust(x, z);
+    const localSpeed = speed * gust.speed *
+      this.getGradientFactor(aboveGround, altitude) *
+      this.getTerrainFactor(x, z, ground, altitude, aboveGround);
+    const localDirection = (direction + gust.veer + 360) % 360;
+
+    const radians = localDirection * DEG_TO_RAD;
+    return {
+      east: -Math.sin(radians) * localSpeed,
+      north: -Math.cos(radians) * localSpeed,
+      speed: localSpeed,
+      direction: localDirection
+    };
+  }
+}
@@ -0,0 +1,268 @@
+import TerrainTile from './TerrainTile.js';
+
+// Quadtree of terrain tiles. Nodes close to the focus point (the condor) are
+// split into four finer children, distant ones are merged back into their parent.
+// Only the nodes flagged visible are drawn; together they cover the terrain once.
+// Tiles are built in the terrain workers, so a node keeps being drawn until all
+// four of its children have arrived.
+export default class TerrainQuadtree {
+  constructor(terrain, group, material, options = {}) {
+    this.terrain = terrain;
+    this.group = group;
+    this.material = material;
+
+    this.maxLevel = options.maxLevel ?? 5;
+    this.tileResolution = options.tileResolution ?? 32;
+    this.splitDistance = options.splitDistance ?? 1.0; // Split when closer than size * splitDistance
+    this.mergeHysteresis = options.mergeHysteresis ?? 1.25; // Stay split until size * splitDistance * hysteresis
+    this.maxBuildsPerUpdate = options.maxBuildsPerUpdate ?? 8; // Tile builds requested per frame
+    this.maxPendingBuilds = options.maxPendingBuilds ?? 16; // Tile builds waiting on the workers
+
+    this.buildBudget = 0;
+    this.pendingBuilds = new Set();
+    this.stitchingDirty = false;
+    this.root = this.createNode(0, options.minX, options.minZ, options.size);
+    this.buildNodeTile(this.root);
+    this.setNodeVisible(this.root, true);
+  }
+
+  createNode(level, minX, minZ, size) {
+    return {
+      level,
+      minX,
+      minZ,
+      size,
+      children: null,
+      tile: null,
+      visible: false
+    };
+  }
+
+  buildNodeTile(node) {
+    const tile = new TerrainTile(
+      this.terrain,
+      node.level,
+      node.minX,
+      node.minZ,
+      node.size,
+      this.tileResolution
+    );
+    node.tile = tile;
+
+    const build = tile.build(this.material)
+      .then(mesh => {
+        if (!mesh) return;
+
+        mesh.visible = node.visible;
+        this.group.add(mesh);
+        this.stitchingDirty = true;
+      })
+      .catch(error => {
+        if (!tile.disposed) {
+          console.error('Error building terrain tile:', error);
+        }
+      })
+      .finally(() => {
+        this.pendingBuilds.delete(build);
+      });
+
+    this.pendingBuilds.add(build);
+  }
+
+  isNodeReady(node) {
+    return Boolean(node.tile && node.tile.mesh);
+  }
+
+  canStartBuilds(count) {
+    return this.buildBudget >= count && this.pendingBuilds.size + count <= this.maxPendingBuilds;
+  }
+
+  // Resolves once every tile build requested so far has finished
+  async whenBuilt() {
+    while (this.pendingBuilds.size > 0) {
+      await Promise.all([...this.pendingBuilds]);
+    }
+  }
+
+  // Refine or coarsen the tree around the focus position
+  update(focus) {
+    if (!focus) return;
+
+    this.buildBudget = this.maxBuildsPerUpdate;
+
+    if (this.updateNode(this.root, focus) || this.stitchingDirty) {
+      this.stitchingDirty = false;
+      this.refreshStitching();
+    }
+  }
+
+  // Returns true if the set of visible nodes changed
+  updateNode(node, focus) {
+    let changed = false;
+
+    if (this.shouldSplit(node, focus) && (node.children || this.canStartBuilds(4))) {
+      if (!node.children) {
+        this.splitNode(node);
+      }
+
+      if (node.children.every(child => this.isNodeReady(child))) {
+        if (this.setNodeVisible(node, false)) changed = true;
+
+        for (const child of node.children) {
+          if (this.updateNode(child, focus)) changed = true;
+        }
+      } else if (this.setNodeVisible(node, true)) {
+        // Keep drawing this node until its children have been built
+        changed = true;
+      }
+    } else {
+      if (node.children) {
+        this.mergeNode(node);
+        changed = true;
+      }
+
+      if (this.setNodeVisible(node, true)) changed = true;
+    }
+
+    return changed;
+  }
+
+  shouldSplit(node, focus) {
+    if (node.level >= this.maxLevel) return false;
+
+    // Horizontal distance from the focus to the closest point of the node
+    const maxX = node.minX + node.size;
+    const maxZ = node.minZ + node.size;
+    const dx = Math.max(node.minX - focus.x, 0, focus.x - maxX);
+    const dz = Math.max(node.minZ - focus.z, 0, focus.z - maxZ);
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    let threshold = node.size * this.splitDistance;
+    if (node.children) {
+      // Avoid splitting and merging every frame along the boundary
+      threshold *= this.mergeHysteresis;
+    }
+
+    return distance < threshold;
+  }
+
+  splitNode(node) {
+    const half = node.size / 2;
+    const level = node.level + 1;
+
+    node.children = [
+      this.createNode(level, node.minX, node.minZ, half),
+      this.createNode(level, node.minX + half, node.minZ, half),
+      this.createNode(level, node.minX, node.minZ + half, half),
+      this.createNode(level, node.minX + half, node.minZ + half, half)
+    ];
+
+    node.children.forEach(child => this.buildNodeTile(child));
+    this.buildBudget -= 4;
+  }
+
+  // Unload every descendant of a node
+  mergeNode(node) {
+    if (!node.children) return;
+
+    node.children.forEach(child => {
+      this.mergeNode(child);
+      child.tile.dispose();
+      child.tile = null;
+    });
+    node.children = null;
+  }
+
+  setNodeVisible(node, visible) {
+    if (node.visible === visible) return false;
+
+    node.visible = visible;
+    if (node.tile && node.tile.mesh) {
+      node.tile.mesh.visible = visible;
+    }
+    return true;
+  }
+
+  // Find the visible node covering a world position
+  getVisibleNodeAt(x, z) {
+    let node = this.root;
+    if (!this.nodeContains(node, x, z)) return null;
+
+    while (node) {
+      if (node.visible) return node;
+      if (!node.children) return null;
+
+      node = node.children.find(child => this.nodeContains(child, x, z)) || null;
+    }
+
+    return null;
+  }
+
+  getVisibleTileAt(x, z) {
+    const node = this.getVisibleNodeAt(x, z);
+    return node ? node.tile : null;
+  }
+
+  nodeContains(node, x, z) {
+    return x >= node.minX && x <= node.minX + node.size &&
+           z >= node.minZ && z <= node.minZ + node.size;
+  }
+
+  getVisibleNodes(node = this.root, result = []) {
+    if (node.visible) {
+      result.push(node);
+    } else if (node.children) {
+      node.children.forEach(child => this.getVisibleNodes(child, result));
+    }
+    return result;
+  }
+
+  // Match the edges of each visible tile to any coarser neighbour
+  refreshStitching() {
+    const epsilon = 1e-3;
+
+    this.getVisibleNodes().forEach(node => {
+      const centerX = node.minX + node.size / 2;
+      const centerZ = node.minZ + node.size / 2;
+
+      node.tile.applyStitching({
+        north: this.getStitchStep(node, centerX, node.minZ - epsilon),
+        south: this.getStitchStep(node, centerX, node.minZ + node.size + epsilon),
+        west: this.getStitchStep(node, node.minX - epsilon, centerZ),
+        east: this.getStitchStep(node, node.minX + node.size + epsilon, centerZ)
+      });
+    });
+  }
+
+  getStitchStep(node, x, z) {
+    const neighbour = this.getVisibleNodeAt(x, z);
+
+    // Finer or equal neighbours stitch themselves against us
+    if (!neighbour || neighbour.level >= node.level) return 1;
+
+    return Math.min(2 ** (node.level - neighbour.level), this.tileResolution);
+  }
+
+  // Number of tiles that have been built
+  getTileCount(node = this.root) {
+    let count = this.isNodeReady(node) ? 1 : 0;
+    if (node.children) {
+      node.children.forEach(child => {
+        count += this.getTileCount(child);
+      });
+    }
+    return count;
+  }
+
+  getPendingBuildCount() {
+    return this.pendingBuilds.size;
+  }
+
+  dispose() {
+    this.mergeNode(this.root);
+    if (this.root.tile) {
+      this.root.tile.dispose();
+      this.root.tile = null;
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+// A square chunk of terrain covering one quadtree node.
+// Vertices are laid out in world space: i runs along +X (west to east),
+// j runs along +Z (north to south).
+export default class TerrainTile {
+  constructor(terrain, level, minX, minZ, size, resolution) {
+    this.terrain = terrain;
+    this.level = level;
+    this.minX = minX;
+    this.minZ = minZ;
+    this.size = size;
+    this.resolution = resolution; // Number of segments along each side
+    this.spacing = size / resolution;
+
+    this.mesh = null; // Created once the worker has built the geometry
+    this.disposed = false;
+    this.baseHeights = null; // Heights before seam stitching
+    this.heights = null; // Heights currently uploaded to the GPU
+
+    // Step size used on each edge to match a coarser neighbour (1 = no stitching)
+    this.stitching = { north: 1, south: 1, west: 1, east: 1 };
+  }
+
+  // Build the tile's geometry in a terrain worker. Resolves with the mesh,
+  // or null if the tile was disposed while it was being built.
+  async build(material) {
+    const buffers = await this.terrain.buildTileBuffers(this.minX, this.minZ, this.size, this.resolution);
+    if (this.disposed) return null;
+
+    return this.createMesh(buffers, material);
+  }
+
+  // Create the mesh from buffers made by buildTileBuffers() (see terrainBuffers.js)
+  createMesh(buffers, material) {
+    this.baseHeights = buffers.heights;
+    this.heights = this.baseHeights.slice();
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(buffers.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(buffers.normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(buffers.uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.receiveShadow = true;
+    this.mesh.castShadow = true;
+    this.mesh.visible = false;
+    this.mesh.userData = { type: 'terrainTile', level: this.level };
+
+    return this.mesh;
+  }
+
+  // Snap edge vertices onto the coarser neighbour's edge so no cracks appear.
+  // Each step is a power of two: every step-th vertex is shared with the neighbour
+  // and the vertices in between are linearly interpolated.
+  applyStitching(stitching) {
+    if (!this.mesh) return;
+
+    const unchanged = ['north', 'south', 'west', 'east'].every(
+      side => this.stitching[side] === stitching[side]
+    );
+    if (unchanged) return;
+
+    this.stitching = { ...stitching };
+    this.heights.set(this.baseHeights);
+
+    const res = this.resolution;
+    const rowLength = res + 1;
+
+    this.stitchEdge(stitching.north, i => i);
+    this.stitchEdge(stitching.south, i => res * rowLength + i);
+    this.stitchEdge(stitching.west, j => j * rowLength);
+    this.stitchEdge(stitching.east, j => j * rowLength + res);
+
+    // Upload the new heights
+    const positionAttribute = this.mesh.geometry.getAttribute('position');
+    for (let i = 0; i < this.heights.length; i++) {
+      positionAttribute.setY(i, this.heights[i]);
+    }
+    positionAttribute.needsUpdate = true;
+  }
+
+  stitchEdge(step, indexAt) {
+    if (!step || step <= 1) return;
+
+    for (let k = 0; k <= this.resolution; k++) {
+      if (k % step === 0) continue;
+
+      const k0 = Math.floor(k / step) * step;
+      const k1 = Math.min(k0 + step, this.resolution);
+      const t = (k - k0) / (k1 - k0);
+
+      const h0 = this.baseHeights[indexAt(k0)];
+      const h1 = this.baseHeights[indexAt(k1)];
+      this.heights[indexAt(k)] = h0 + (h1 - h0) * t;
+    }
+  }
+
+  // Height of the rendered triangles at a world position inside this tile
+  getHeightAt(x, z) {
+    return this.getSurfaceAt(x, z).height;
+  }
+
+  // Height and gradient (dh/dx, dh/dz) of the rendered triangle under a world position
+  getSurfaceAt(x, z) {
+    if (!this.heights) return { height: 0, dhdx: 0, dhdz: 0 };
+
+    const res = this.resolution;
+    const rowLength = res + 1;
+
+    const gx = Math.min(Math.max((x - this.minX) / this.spacing, 0), res);
+    const gz = Math.min(Math.max((z - this.minZ) / this.spacing, 0), res);
+    const i = Math.min(Math.floor(gx), res - 1);
+    const j = Math.min(Math.floor(gz), res - 1);
+    const fx = gx - i;
+    const fz = gz - j;
+
+    const ha = this.heights[j * rowLength + i];
+    const hb = this.heights[(j + 1) * rowLength + i];
+    const hc = this.heights[(j + 1) * rowLength + i + 1];
+    const hd = this.heights[j * rowLength + i + 1];
+
+    // Match the triangle split used in buildTileBuffers()
+    if (fx + fz <= 1) {
+      return {
+        height: ha + (hd - ha) * fx + (hb - ha) * fz,
+        dhdx: (hd - ha) / this.spacing,
+        dhdz: (hb - ha) / this.spacing
+      };
+    }
+    return {
+      height: hc + (hb - hc) * (1 - fx) + (hd - hc) * (1 - fz),
+      dhdx: (hc - hb) / this.spacing,
+      dhdz: (hc - hd) / this.spacing
+    };
+  }
+
+  containsPoint(x, z) {
+    return x >= this.minX && x <= this.minX + this.size &&
+           z >= this.minZ && z <= this.minZ + this.size;
+  }
+
+  dispose() {
+    if (this.mesh) {
+      if (this.mesh.parent) {
+        this.mesh.parent.remove(this.mesh);
+      }
+      this.mesh.geometry.dispose();
+      this.mesh = null;
+    }
+    this.disposed = true;
+    this.baseHeights = null;
+    this.heights = null;
+  }
+}
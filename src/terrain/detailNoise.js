@@ -0,0 +1,164 @@
+// Seeded fractal detail added on top of the source heightmap.
+//
+// Elevation data is at best a few hundred meters per sample, which looks blocky
+// when flying low. The detail generator fills in the missing high frequencies
+// with fractal noise: fBm for rolling relief, blended into ridged noise on steep
+// ground for sharp crests and gullies. With erosion enabled each octave is damped
+// where the octaves below it are steep, which leaves smooth valleys between
+// rougher slopes. The result is fully determined by the seed.
+//
+// Config (all optional, see normalizeRegion in data/regions.js):
+// - seed: number or string
+// - wavelength: meters of the coarsest octave, defaults to twice the heightmap spacing
+// - amplitude: meters of the coarsest octave, defaults to 8% of the wavelength
+// - octaves: each one halves the wavelength
+// - ridged: 0-1, how much steep ground uses ridged noise
+// - erosion: damp octaves on steep ground
+
+export const DEFAULT_DETAIL = {
+  seed: 0,
+  octaves: 4,
+  gain: 0.5,
+  ridged: 0.6,
+  erosion: true
+};
+
+const TABLE_SIZE = 256;
+
+// 32-bit FNV-1a hash, so string seeds work too
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Small fast PRNG (mulberry32) returning floats in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+// 2D value noise in [-1, 1] with analytic derivatives, written into `out`
+function createValueNoise(random) {
+  const values = new Float32Array(TABLE_SIZE);
+  const permutation = new Uint8Array(TABLE_SIZE * 2);
+
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    values[i] = random() * 2 - 1;
+    permutation[i] = i;
+  }
+
+  // Fisher-Yates shuffle, repeated so lookups never need wrapping
+  for (let i = TABLE_SIZE - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  permutation.copyWithin(TABLE_SIZE, 0, TABLE_SIZE);
+
+  const lattice = (ix, iy) => values[permutation[(ix & 255) + permutation[iy & 255]]];
+
+  return (x, y, out) => {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+
+    // Quintic fade and its derivative
+    const ux = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+    const uy = fy * fy * fy * (fy * (fy * 6 - 15) + 10);
+    const dux = 30 * fx * fx * (fx * (fx - 2) + 1);
+    const duy = 30 * fy * fy * (fy * (fy - 2) + 1);
+
+    const a = lattice(ix, iy);
+    const b = lattice(ix + 1, iy);
+    const c = lattice(ix, iy + 1);
+    const d = lattice(ix + 1, iy + 1);
+
+    const k1 = b - a;
+    const k2 = c - a;
+    const k3 = a - b - c + d;
+
+    out.dx = dux * (k1 + k3 * uy);
+    out.dy = duy * (k2 + k3 * ux);
+    return a + k1 * ux + k2 * uy + k3 * ux * uy;
+  };
+}
+
+// Create a detail generator. `spacing` is the source heightmap's sample spacing
+// in meters, used for the default wavelength.
+// Returns { sample(x, z, slope, elevation) } where x/z are meters east/south,
+// slope is the base terrain's rise over run and elevation its normalized (0-1)
+// height. sample() returns a height offset in meters.
+export function createDetailNoise(config, spacing) {
+  const options = { ...DEFAULT_DETAIL, ...config };
+  const wavelength = options.wavelength ?? spacing * 2;
+  const amplitude = options.amplitude ?? wavelength * 0.08;
+
+  const noise = createValueNoise(createRandom(hashSeed(options.seed)));
+  const derivative = { dx: 0, dy: 0 };
+
+  // Each octave is rotated to hide the lattice, and shifted so octaves don't share a grid
+  const rotateCos = 0.8;
+  const rotateSin = 0.6;
+
+  function sample(x, z, slope, elevation) {
+    // Flat ground gets gentler detail, steep and high ground the full amount
+    const slopeFactor = smoothstep(0.05, 0.6, slope);
+    const scale = (0.3 + 0.7 * slopeFactor) * (0.5 + 0.5 * Math.min(Math.max(elevation, 0), 1));
+    const ridgeWeight = options.ridged * slopeFactor;
+
+    let px = x / wavelength;
+    let py = z / wavelength;
+    let octaveAmplitude = 1;
+    let sum = 0;
+    let norm = 0;
+    let gradientX = 0;
+    let gradientY = 0;
+
+    for (let octave = 0; octave < options.octaves; octave++) {
+      let value = noise(px, py, derivative);
+
+      if (options.erosion) {
+        gradientX += derivative.dx;
+        gradientY += derivative.dy;
+        value /= 1 + gradientX * gradientX + gradientY * gradientY;
+      }
+
+      // Ridged noise: sharp crests where the noise crosses zero
+      const ridge = 1 - 2 * Math.abs(value);
+      sum += octaveAmplitude * (value + (ridge - value) * ridgeWeight);
+      norm += octaveAmplitude;
+
+      octaveAmplitude *= options.gain;
+      const nextX = (rotateCos * px - rotateSin * py) * 2 + 17.3;
+      py = (rotateSin * px + rotateCos * py) * 2 + 31.7;
+      px = nextX;
+    }
+
+    return (sum / norm) * amplitude * scale;
+  }
+
+  return { sample, wavelength, amplitude };
+}
+
+export default {
+  DEFAULT_DETAIL,
+  hashSeed,
+  createRandom,
+  createDetailNoise
+};
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+// Tiling texture with close-up surface detail for the terrain shader.
+// Each channel holds the pattern for one kind of ground, around a mean of 0.5:
+// - R: fine grain for grass and páramo
+// - G: ridged cracks for rock
+// - B: pebbles for scree
+// - A: soft drifts for snow
+// Everything wraps at the texture edges so it tiles without seams.
+
+export const DETAIL_CHANNELS = {
+  GRAIN: new THREE.Vector4(1, 0, 0, 0),
+  CRACKS: new THREE.Vector4(0, 1, 0, 0),
+  PEBBLES: new THREE.Vector4(0, 0, 1, 0),
+  DRIFTS: new THREE.Vector4(0, 0, 0, 1)
+};
+
+const TEXTURE_SIZE = 256;
+
+// Integer hash to [0, 1), deterministic so the texture is the same every run
+function hash(x, y, seed) {
+  let h = Math.imul(x, 374761393) + Math.imul(y, 668265263) + Math.imul(seed, 1274126177);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Value noise on a lattice of `period` cells across the texture, wrapping at the edges
+function tiledNoise(u, v, period, seed) {
+  const x = u * period;
+  const y = v * period;
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+
+  const wrap = (i) => ((i % period) + period) % period;
+  const a = hash(wrap(ix), wrap(iy), seed);
+  const b = hash(wrap(ix + 1), wrap(iy), seed);
+  const c = hash(wrap(ix), wrap(iy + 1), seed);
+  const d = hash(wrap(ix + 1), wrap(iy + 1), seed);
+
+  return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy;
+}
+
+function tiledFbm(u, v, period, octaves, seed) {
+  let sum = 0;
+  let amplitude = 0.5;
+  let norm = 0;
+  for (let octave = 0; octave < octaves; octave++) {
+    sum += tiledNoise(u, v, period << octave, seed + octave) * amplitude;
+    norm += amplitude;
+    amplitude *= 0.5;
+  }
+  return sum / norm;
+}
+
+// Distance to the nearest of one jittered point per cell (Worley noise), 0 at a point
+function tiledCells(u, v, period, seed) {
+  const x = u * period;
+  const y = v * period;
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  let nearest = Infinity;
+
+  for (let oy = -1; oy <= 1; oy++) {
+    for (let ox = -1; ox <= 1; ox++) {
+      const cx = ix + ox;
+      const cy = iy + oy;
+      const wx = ((cx % period) + period) % period;
+      const wy = ((cy % period) + period) % period;
+      const px = cx + hash(wx, wy, seed);
+      const py = cy + hash(wx, wy, seed + 1);
+      nearest = Math.min(nearest, Math.hypot(px - x, py - y));
+    }
+  }
+
+  return Math.min(nearest, 1);
+}
+
+function toByte(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 255);
+}
+
+function createDetailTexture() {
+  const data = new Uint8Array(TEXTURE_SIZE * TEXTURE_SIZE * 4);
+
+  for (let y = 0; y < TEXTURE_SIZE; y++) {
+    for (let x = 0; x < TEXTURE_SIZE; x++) {
+      const u = x / TEXTURE_SIZE;
+      const v = y / TEXTURE_SIZE;
+      const i = (y * TEXTURE_SIZE + x) * 4;
+
+      // Grass: speckled grain over soft clumps
+      const grain = 0.6 * tiledNoise(u, v, 128, 1) + 0.4 * tiledFbm(u, v, 8, 3, 2);
+
+      // Rock: ridged noise gives thin dark cracks across lighter faces
+      const ridge = 1 - Math.abs(tiledFbm(u, v, 6, 4, 10) * 2 - 1);
+      const cracks = 0.65 - 0.5 * ridge ** 6 + 0.3 * (tiledNoise(u, v, 64, 11) - 0.5);
+
+      // Scree: rounded stones with darker gaps between them
+      const stones = 1 - tiledCells(u, v, 24, 20);
+      const pebbles = 0.1 + 0.6 * stones ** 0.5 + 0.15 * (tiledNoise(u, v, 96, 21) - 0.5);
+
+      // Snow: very gentle drifts
+      const drifts = 0.5 + 0.25 * (tiledFbm(u, v, 4, 3, 30) - 0.5);
+
+      data[i] = toByte(grain);
+      data[i + 1] = toByte(cracks);
+      data[i + 2] = toByte(pebbles);
+      data[i + 3] = toByte(drifts);
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, TEXTURE_SIZE, TEXTURE_SIZE, THREE.RGBAFormat);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+
+  return texture;
+}
+
+let detailTexture = null;
+
+// The detail texture doesn't depend on the region, so every terrain shares one
+export function getDetailTexture() {
+  if (!detailTexture) {
+    detailTexture = createDetailTexture();
+  }
+  return detailTexture;
+}
+
+export default {
+  DETAIL_CHANNELS,
+  getDetailTexture
+};
@@ -0,0 +1,125 @@
+import GeoProjection from '../data/GeoProjection.js';
+import { createDetailNoise } from './detailNoise.js';
+
+// A height field is the normalized source heightmap plus what is needed to turn
+// it into world-space heights. Terrain samples it for physics and placement, and
+// the terrain workers sample the same data to build tile meshes, so both sides
+// always agree on the shape of the ground.
+//
+// The description passed to createHeightField() is plain data, so it can be
+// posted to a worker and turned back into a height field there:
+// { data, width, height, bounds, maxElevation, verticalExaggeration, detail }
+// where data holds width * height heights normalized against maxElevation, row 0 north,
+// and detail is an optional detail noise config (see detailNoise.js).
+export function createHeightField(description) {
+  const { data, width, height, bounds, maxElevation, verticalExaggeration, detail } = description;
+  const projection = new GeoProjection(bounds, width, height, { verticalExaggeration });
+
+  const field = {
+    data,
+    width,
+    height,
+    projection,
+    maxElevation,
+    heightScale: projection.elevationToWorldY(maxElevation), // World height of a normalized height of 1
+    detail: null,
+    slopes: null
+  };
+
+  if (detail) {
+    const spacing = projection.unitsToMeters(Math.min(
+      projection.width / (width - 1),
+      projection.length / (height - 1)
+    ));
+    field.detail = createDetailNoise(detail, spacing);
+    field.slopes = computeSlopes(field);
+  }
+
+  return field;
+}
+
+// True (unexaggerated) slope at every sample, as rise over run.
+// Interpolating these keeps the detail amplitude continuous across cells.
+function computeSlopes(field) {
+  const { data, width, height, projection, maxElevation } = field;
+  const cellX = projection.unitsToMeters(projection.width / (width - 1));
+  const cellZ = projection.unitsToMeters(projection.length / (height - 1));
+  const slopes = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(y - 1, 0);
+    const down = Math.min(y + 1, height - 1);
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(x - 1, 0);
+      const right = Math.min(x + 1, width - 1);
+
+      const dhdx = (data[y * width + right] - data[y * width + left]) * maxElevation / ((right - left) * cellX);
+      const dhdz = (data[down * width + x] - data[up * width + x]) * maxElevation / ((down - up) * cellZ);
+      slopes[y * width + x] = Math.sqrt(dhdx * dhdx + dhdz * dhdz);
+    }
+  }
+
+  return slopes;
+}
+
+function bilinear(values, width, x0, y0, fx, fy) {
+  const v00 = values[y0 * width + x0];
+  const v10 = values[y0 * width + x0 + 1];
+  const v01 = values[(y0 + 1) * width + x0];
+  const v11 = values[(y0 + 1) * width + x0 + 1];
+
+  const top = v00 + (v10 - v00) * fx;
+  const bottom = v01 + (v11 - v01) * fx;
+  return top + (bottom - top) * fy;
+}
+
+// Height at a world position: the bilinearly sampled heightmap plus any
+// procedural detail. Row 0 of the heightmap is the northern edge (negative Z).
+export function sampleHeightField(field, x, z) {
+  const { data, width, height } = field;
+
+  const grid = field.projection.worldToGrid(x, z);
+  const gx = Math.min(Math.max(grid.column, 0), width - 1);
+  const gy = Math.min(Math.max(grid.row, 0), height - 1);
+
+  const x0 = Math.min(Math.floor(gx), width - 2);
+  const y0 = Math.min(Math.floor(gy), height - 2);
+  const fx = gx - x0;
+  const fy = gy - y0;
+
+  const base = bilinear(data, width, x0, y0, fx, fy);
+  if (!field.detail) {
+    return base * field.heightScale;
+  }
+
+  const { projection } = field;
+  const slope = bilinear(field.slopes, width, x0, y0, fx, fy);
+  const detail = field.detail.sample(projection.unitsToMeters(x), projection.unitsToMeters(z), slope, base);
+
+  return base * field.heightScale + projection.elevationToWorldY(detail);
+}
+
+// Unit surface normal using central differences, as a plain { x, y, z }
+export function sampleHeightFieldNormal(field, x, z, delta = 1) {
+  const dx = sampleHeightField(field, x + delta, z) - sampleHeightField(field, x - delta, z);
+  const dz = sampleHeightField(field, x, z + delta) - sampleHeightField(field, x, z - delta);
+  const length = Math.sqrt(dx * dx + 4 * delta * delta + dz * dz);
+
+  return { x: -dx / length, y: 2 * delta / length, z: -dz / length };
+}
+
+// Texture coordinates for a world position; terrain textures span the whole region
+export function heightFieldToUV(field, x, z) {
+  return {
+    u: (x / field.projection.width) + 0.5,
+    v: 0.5 - (z / field.projection.length)
+  };
+}
+
+export default {
+  createHeightField,
+  sampleHeightField,
+  sampleHeightFieldNormal,
+  heightFieldToUV
+};
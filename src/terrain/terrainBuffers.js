@@ -0,0 +1,70 @@
+import { sampleHeightField, sampleHeightFieldNormal, heightFieldToUV } from './heightField.js';
+
+// Builders for the typed arrays behind terrain meshes. They only touch plain
+// data so they can run inside the terrain workers; every buffer they return
+// can be transferred back to the main thread without copying.
+
+// Vertex and index buffers for a square tile of `resolution` segments per side.
+// Vertices are in world space: i runs along +X (west to east), j along +Z (north to south).
+// Returns { positions, normals, uvs, heights, indices }.
+export function buildTileBuffers(field, minX, minZ, size, resolution) {
+  const rowLength = resolution + 1;
+  const vertexCount = rowLength * rowLength;
+  const spacing = size / resolution;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const heights = new Float32Array(vertexCount);
+
+  for (let j = 0; j <= resolution; j++) {
+    for (let i = 0; i <= resolution; i++) {
+      const index = j * rowLength + i;
+      const x = minX + i * spacing;
+      const z = minZ + j * spacing;
+      const height = sampleHeightField(field, x, z);
+
+      heights[index] = height;
+
+      positions[index * 3] = x;
+      positions[index * 3 + 1] = height;
+      positions[index * 3 + 2] = z;
+
+      // Normals from the continuous height field so neighbouring tiles shade alike
+      const normal = sampleHeightFieldNormal(field, x, z, spacing);
+      normals[index * 3] = normal.x;
+      normals[index * 3 + 1] = normal.y;
+      normals[index * 3 + 2] = normal.z;
+
+      // UVs cover the whole terrain so every tile shares one texture
+      const uv = heightFieldToUV(field, x, z);
+      uvs[index * 2] = uv.u;
+      uvs[index * 2 + 1] = uv.v;
+    }
+  }
+
+  // Two triangles per cell, split along the (i, j+1)-(i+1, j) diagonal
+  const indices = new (vertexCount > 65535 ? Uint32Array : Uint16Array)(resolution * resolution * 6);
+  let offset = 0;
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const a = j * rowLength + i;
+      const b = (j + 1) * rowLength + i;
+      const c = (j + 1) * rowLength + i + 1;
+      const d = j * rowLength + i + 1;
+
+      indices[offset++] = a;
+      indices[offset++] = b;
+      indices[offset++] = d;
+      indices[offset++] = b;
+      indices[offset++] = c;
+      indices[offset++] = d;
+    }
+  }
+
+  return { positions, normals, uvs, heights, indices };
+}
+
+export default {
+  buildTileBuffers
+};
@@ -0,0 +1,289 @@
+import * as THREE from 'three';
+import { DETAIL_CHANNELS, getDetailTexture } from './detailTexture.js';
+
+// Terrain material: MeshStandardMaterial lighting with the surface color
+// worked out per pixel from five ground layers:
+// - an elevation ramp of grass, páramo and scree bands
+// - rock wherever the ground is steep
+// - snow above a snowline that drops with distance from the equator, except on cliffs
+// Noise breaks up the band edges, and a tiling detail texture adds texture
+// close to the camera.
+//
+// Regions configure it with a "surface" block (see normalizeRegion in data/regions.js):
+// {
+//   "colors": { "grass": "#4f7a35", ... },             // Any of the LAYERS below
+//   "ramp": [                                           // Bands by elevation, lowest first
+//     { "layer": "grass", "elevation": 0, "color": "#2f6b2a" }, // color overrides the layer's
+//     { "layer": "paramo", "elevation": 3300 }
+//   ],
+//   "rockSlope": [30, 45],                              // Degrees where rock starts / takes over
+//   "snowline": { "equator": 4900, "perDegree": 30 },   // Meters, and meters lower per degree of latitude
+//   "snowSlope": [35, 50],                              // Degrees where snow starts sliding off / is gone
+//   "transition": 150                                   // Meters over which bands blend
+// }
+
+// albedo is the share of sunlight the ground reflects rather than turns into heat
+export const LAYERS = {
+  grass: { color: '#4f7a35', detail: DETAIL_CHANNELS.GRAIN, albedo: 0.2 },
+  paramo: { color: '#9a8f58', detail: DETAIL_CHANNELS.GRAIN, albedo: 0.25 },
+  scree: { color: '#8a8077', detail: DETAIL_CHANNELS.PEBBLES, albedo: 0.2 },
+  rock: { color: '#6a6159', detail: DETAIL_CHANNELS.CRACKS, albedo: 0.12 },
+  snow: { color: '#f2f5fa', detail: DETAIL_CHANNELS.DRIFTS, albedo: 0.8 }
+};
+
+export const DEFAULT_SURFACE = {
+  colors: {},
+  ramp: [
+    { layer: 'grass', elevation: 0 },
+    { layer: 'paramo', elevation: 3300 },
+    { layer: 'scree', elevation: 4500 }
+  ],
+  rockSlope: [30, 45],
+  snowline: { equator: 4900, perDegree: 30 },
+  snowSlope: [35, 50],
+  transition: 150
+};
+
+// Must match TERRAIN_MAX_RAMP in the shader
+const MAX_RAMP_STOPS = 6;
+
+// Distances (world units) over which the detail texture fades out
+const DETAIL_FADE = new THREE.Vector2(10, 60);
+
+// Meters covered by one repeat of the detail texture
+const DETAIL_TILE_METERS = 25;
+
+const vertexHeader = /* glsl */ `
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;
+`;
+
+const vertexBody = /* glsl */ `
+vTerrainPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vTerrainNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+const fragmentHeader = /* glsl */ `
+#define TERRAIN_MAX_RAMP ${MAX_RAMP_STOPS}
+
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;
+
+uniform int uRampCount;
+uniform float uRampElevation[TERRAIN_MAX_RAMP];
+uniform vec3 uRampColor[TERRAIN_MAX_RAMP];
+uniform vec4 uRampDetail[TERRAIN_MAX_RAMP];
+
+uniform vec3 uRockColor;
+uniform vec4 uRockDetail;
+uniform vec2 uRockSteepness;
+
+uniform vec3 uSnowColor;
+uniform vec4 uSnowDetail;
+uniform vec2 uSnowline;
+uniform vec2 uSnowSteepness;
+
+uniform float uTransition;
+uniform float uMetersPerUnit;
+uniform float uMetersPerUnitY;
+uniform float uLatitudeOrigin;
+uniform float uDegreesPerUnitZ;
+
+uniform sampler2D uDetailMap;
+uniform float uDetailScale;
+uniform vec2 uDetailFade;
+
+float terrainHash(vec2 p) {
+  return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float terrainNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+
+  return mix(
+    mix(terrainHash(i), terrainHash(i + vec2(1.0, 0.0)), u.x),
+    mix(terrainHash(i + vec2(0.0, 1.0)), terrainHash(i + vec2(1.0, 1.0)), u.x),
+    u.y
+  );
+}
+
+// Roughly -0.5 to 0.5
+float terrainFbm(vec2 p) {
+  return 0.5 * terrainNoise(p) + 0.3 * terrainNoise(p * 2.7) + 0.2 * terrainNoise(p * 7.1) - 0.5;
+}
+
+vec3 terrainSurfaceColor() {
+  vec2 meters = vTerrainPosition.xz * uMetersPerUnit;
+  float noise = terrainFbm(meters / 900.0);
+
+  float elevation = vTerrainPosition.y * uMetersPerUnitY + noise * uTransition * 3.0;
+  float steepness = 1.0 - normalize(vTerrainNormal).y;
+
+  // Elevation bands
+  vec3 color = uRampColor[0];
+  vec4 detailMask = uRampDetail[0];
+  for (int i = 1; i < TERRAIN_MAX_RAMP; i++) {
+    if (i >= uRampCount) break;
+
+    float band = smoothstep(uRampElevation[i] - uTransition, uRampElevation[i] + uTransition, elevation);
+    color = mix(color, uRampColor[i], band);
+    detailMask = mix(detailMask, uRampDetail[i], band);
+  }
+
+  // Rock on steep ground
+  float rock = smoothstep(uRockSteepness.x, uRockSteepness.y, steepness + noise * 0.05);
+  color = mix(color, uRockColor, rock);
+  detailMask = mix(detailMask, uRockDetail, rock);
+
+  // Snow above the snowline, which is lower further from the equator
+  float latitude = uLatitudeOrigin - vTerrainPosition.z * uDegreesPerUnitZ;
+  float snowline = uSnowline.x - uSnowline.y * abs(latitude);
+  float snow = smoothstep(snowline - uTransition, snowline + uTransition, elevation);
+  snow *= 1.0 - smoothstep(uSnowSteepness.x, uSnowSteepness.y, steepness);
+  color = mix(color, uSnowColor, snow);
+  detailMask = mix(detailMask, uSnowDetail, snow);
+
+  // Large-scale variation so bands aren't flat color from the air
+  color *= 1.0 + noise * 0.15;
+
+  // Tiling detail up close, faded out where it would only shimmer.
+  // Two scales hide the repeat.
+  float viewDistance = length(cameraPosition - vTerrainPosition);
+  float fade = 1.0 - smoothstep(uDetailFade.x, uDetailFade.y, viewDistance);
+  vec4 detail = mix(
+    texture2D(uDetailMap, meters * uDetailScale),
+    texture2D(uDetailMap, meters * uDetailScale * 0.27),
+    0.35
+  );
+  color *= mix(1.0, 0.5 + dot(detail, detailMask), fade);
+
+  return color;
+}
+`;
+
+const fragmentBody = /* glsl */ `
+diffuseColor.rgb *= terrainSurfaceColor();
+`;
+
+function slopeToSteepness(degrees) {
+  return 1 - Math.cos(THREE.MathUtils.degToRad(degrees));
+}
+
+function layerColor(surface, layer, override) {
+  const definition = LAYERS[layer];
+  if (!definition) {
+    throw new Error(`Unknown terrain layer ${layer}`);
+  }
+  return new THREE.Color(override || surface.colors[layer] || definition.color);
+}
+
+// Merge a region's surface config over the defaults
+export function resolveSurface(surface = {}) {
+  const resolved = { ...DEFAULT_SURFACE, ...surface };
+  resolved.colors = { ...DEFAULT_SURFACE.colors, ...surface.colors };
+  resolved.snowline = { ...DEFAULT_SURFACE.snowline, ...surface.snowline };
+  resolved.ramp = [...resolved.ramp]
+    .sort((a, b) => a.elevation - b.elevation)
+    .slice(0, MAX_RAMP_STOPS);
+  return resolved;
+}
+
+// Name of the layer the shader mostly shows at a point, without its noise.
+// surface: a resolveSurface() result; elevation in meters; slope in degrees
+// as rendered (see Terrain.getSurfaceAtPosition); latitude in degrees
+export function getSurfaceLayer(surface, elevation, slope, latitude) {
+  const snowline = surface.snowline.equator - surface.snowline.perDegree * Math.abs(latitude);
+  const slopeMidpoint = (range) => (range[0] + range[1]) / 2;
+
+  if (elevation > snowline && slope < slopeMidpoint(surface.snowSlope)) {
+    return 'snow';
+  }
+  if (slope > slopeMidpoint(surface.rockSlope)) {
+    return 'rock';
+  }
+
+  let layer = surface.ramp[0].layer;
+  surface.ramp.forEach(stop => {
+    if (elevation >= stop.elevation) layer = stop.layer;
+  });
+  return layer;
+}
+
+// Create the terrain material for a region.
+// projection: the terrain's GeoProjection; surface: the region's surface config
+export function createTerrainMaterial(projection, surface) {
+  const config = resolveSurface(surface);
+
+  const rampElevation = new Array(MAX_RAMP_STOPS).fill(0);
+  const rampColor = Array.from({ length: MAX_RAMP_STOPS }, () => new THREE.Color());
+  const rampDetail = Array.from({ length: MAX_RAMP_STOPS }, () => new THREE.Vector4());
+  config.ramp.forEach((stop, i) => {
+    rampElevation[i] = stop.elevation;
+    rampColor[i] = layerColor(config, stop.layer, stop.color);
+    rampDetail[i] = LAYERS[stop.layer].detail.clone();
+  });
+
+  const uniforms = {
+    uRampCount: { value: config.ramp.length },
+    uRampElevation: { value: rampElevation },
+    uRampColor: { value: rampColor },
+    uRampDetail: { value: rampDetail },
+
+    uRockColor: { value: layerColor(config, 'rock') },
+    uRockDetail: { value: LAYERS.rock.detail.clone() },
+    uRockSteepness: {
+      value: new THREE.Vector2(slopeToSteepness(config.rockSlope[0]), slopeToSteepness(config.rockSlope[1]))
+    },
+
+    uSnowColor: { value: layerColor(config, 'snow') },
+    uSnowDetail: { value: LAYERS.snow.detail.clone() },
+    uSnowline: { value: new THREE.Vector2(config.snowline.equator, config.snowline.perDegree) },
+    uSnowSteepness: {
+      value: new THREE.Vector2(slopeToSteepness(config.snowSlope[0]), slopeToSteepness(config.snowSlope[1]))
+    },
+
+    uTransition: { value: config.transition },
+    uMetersPerUnit: { value: projection.metersPerUnit },
+    uMetersPerUnitY: { value: projection.worldYToElevation(1) },
+    uLatitudeOrigin: { value: projection.origin.lat },
+    uDegreesPerUnitZ: { value: projection.metersPerUnit / projection.scale.lat },
+
+    uDetailMap: { value: getDetailTexture() },
+    uDetailScale: { value: 1 / DETAIL_TILE_METERS },
+    uDetailFade: { value: DETAIL_FADE.clone() }
+  };
+
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    roughness: 0.9,
+    metalness: 0.0,
+    flatShading: true
+  });
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexHeader}`)
+      .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${vertexBody}`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${fragmentHeader}`)
+      .replace('#include <map_fragment>', `#include <map_fragment>\n${fragmentBody}`);
+  };
+
+  // Keep the uniforms reachable, e.g. for tweaking the snowline at runtime
+  material.userData.uniforms = uniforms;
+
+  return material;
+}
+
+export default {
+  LAYERS,
+  DEFAULT_SURFACE,
+  resolveSurface,
+  getSurfaceLayer,
+  createTerrainMaterial
+};
@@ -0,0 +1,253 @@
+import { analyzeHydrology } from '../data/hydrology.js';
+import { sampleHeightField } from './heightField.js';
+
+// Rivers and lakes for a height field, ready to render and query. Runs in the
+// terrain workers like terrainBuffers.js; every typed array in the result can
+// be transferred.
+
+// Height of river ribbons above the ground they're draped on (world units)
+const RIVER_OFFSET = 0.1;
+
+// Spacing of river ribbon vertices along the river (world units)
+const RIVER_STEP = 0.5;
+
+// River width in meters for the area it drains, in km²
+function riverWidth(area) {
+  return Math.max(25, 5 * Math.sqrt(area));
+}
+
+// Chaikin corner cutting, keeping the end points, so rivers don't zigzag along grid cells
+function smoothPolyline(points, iterations = 2) {
+  let current = points;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const next = [current[0]];
+    for (let i = 0; i < current.length - 1; i++) {
+      const a = current[i];
+      const b = current[i + 1];
+      next.push(
+        { x: a.x * 0.75 + b.x * 0.25, z: a.z * 0.75 + b.z * 0.25, width: a.width * 0.75 + b.width * 0.25 },
+        { x: a.x * 0.25 + b.x * 0.75, z: a.z * 0.25 + b.z * 0.75, width: a.width * 0.25 + b.width * 0.75 }
+      );
+    }
+    next.push(current[current.length - 1]);
+    current = next;
+  }
+
+  return current;
+}
+
+// Evenly spaced points along a polyline
+function resamplePolyline(points, step) {
+  const result = [points[0]];
+  let carried = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+
+    let distance = step - carried;
+    while (distance < length) {
+      const t = distance / length;
+      result.push({
+        x: a.x + (b.x - a.x) * t,
+        z: a.z + (b.z - a.z) * t,
+        width: a.width + (b.width - a.width) * t
+      });
+      distance += step;
+    }
+    carried = length - (distance - step);
+  }
+
+  result.push(points[points.length - 1]);
+  return result;
+}
+
+// One flat quad per lake cell at the lake's level, plus a ring of cells around
+// each lake. The terrain rising above the water hides the ring, so the visible
+// shoreline follows the ground instead of the grid.
+function buildLakeBuffers(field, lakeIds, lakes) {
+  const { width, height, projection } = field;
+  const halfX = projection.width / (width - 1) / 2;
+  const halfZ = projection.length / (height - 1) / 2;
+
+  const quads = [];
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) {
+      let id = lakeIds[row * width + column];
+
+      // Grow each lake by one cell
+      for (let dy = -1; dy <= 1 && id === 0; dy++) {
+        for (let dx = -1; dx <= 1 && id === 0; dx++) {
+          const nx = column + dx;
+          const ny = row + dy;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+            id = lakeIds[ny * width + nx];
+          }
+        }
+      }
+
+      if (id !== 0) quads.push(column, row, id);
+    }
+  }
+
+  const quadCount = quads.length / 3;
+  const positions = new Float32Array(quadCount * 4 * 3);
+  const indices = new Uint32Array(quadCount * 6);
+
+  for (let q = 0; q < quadCount; q++) {
+    const center = projection.gridToWorld(quads[q * 3], quads[q * 3 + 1]);
+    const y = projection.elevationToWorldY(lakes[quads[q * 3 + 2] - 1].level);
+    const corners = [
+      [center.x - halfX, center.z - halfZ],
+      [center.x - halfX, center.z + halfZ],
+      [center.x + halfX, center.z + halfZ],
+      [center.x + halfX, center.z - halfZ]
+    ];
+
+    corners.forEach(([x, z], k) => {
+      positions.set([x, y, z], (q * 4 + k) * 3);
+    });
+
+    // Counter-clockwise seen from above
+    const base = q * 4;
+    indices.set([base, base + 1, base + 3, base + 1, base + 2, base + 3], q * 6);
+  }
+
+  return { positions, indices };
+}
+
+// Ribbons draped over the terrain along each river. Returns the geometry and
+// the resampled river lines ({ points: [x, z, ...], widths }) in world units.
+function buildRiverBuffers(field, rivers) {
+  const { width, projection } = field;
+  const lines = [];
+  let vertexCount = 0;
+  let indexCount = 0;
+
+  rivers.forEach(river => {
+    const points = river.cells.map((cell, i) => {
+      const column = cell % width;
+      const world = projection.gridToWorld(column, (cell - column) / width);
+      return { x: world.x, z: world.z, width: projection.metersToUnits(riverWidth(river.areas[i])) };
+    });
+
+    const line = resamplePolyline(smoothPolyline(points), RIVER_STEP);
+    if (line.length < 2) return;
+
+    lines.push(line);
+    vertexCount += line.length * 2;
+    indexCount += (line.length - 1) * 6;
+  });
+
+  const positions = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const indices = new Uint32Array(indexCount);
+  let vertex = 0;
+  let index = 0;
+
+  const riverLines = lines.map(line => {
+    const start = vertex;
+    let travelled = 0;
+
+    line.forEach((point, i) => {
+      // Direction along the river, from the neighbouring points
+      const previous = line[Math.max(i - 1, 0)];
+      const next = line[Math.min(i + 1, line.length - 1)];
+      const dx = next.x - previous.x;
+      const dz = next.z - previous.z;
+      const length = Math.hypot(dx, dz) || 1;
+      const sideX = -dz / length * point.width / 2;
+      const sideZ = dx / length * point.width / 2;
+
+      if (i > 0) {
+        travelled += Math.hypot(point.x - line[i - 1].x, point.z - line[i - 1].z);
+      }
+
+      [-1, 1].forEach((side, k) => {
+        const x = point.x + sideX * side;
+        const z = point.z + sideZ * side;
+        positions.set([x, sampleHeightField(field, x, z) + RIVER_OFFSET, z], vertex * 3);
+        uvs.set([k, travelled], vertex * 2);
+        vertex++;
+      });
+    });
+
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = start + i * 2;
+      indices.set([a, a + 1, a + 2, a + 1, a + 3, a + 2], index);
+      index += 6;
+    }
+
+    const points = new Float32Array(line.length * 2);
+    const widths = new Float32Array(line.length);
+    line.forEach((point, i) => {
+      points[i * 2] = point.x;
+      points[i * 2 + 1] = point.z;
+      widths[i] = point.width;
+    });
+    return { points, widths };
+  });
+
+  return { geometry: { positions, uvs, indices }, lines: riverLines };
+}
+
+// Run the hydrology analysis on a height field and build the water geometry.
+// Returns:
+// - lakes: [{ id, level (meters), maxDepth (meters), area (km²), x, z }]
+// - lakeIds: lake id per heightmap sample (0 = dry), see data/hydrology.js
+// - rivers: [{ points, widths }] as river lines in world units
+// - lakeGeometry / riverGeometry: { positions, indices, uvs? } buffers
+export function buildWater(field, options) {
+  const { data, width, height, projection, maxElevation } = field;
+
+  const elevation = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    elevation[i] = data[i] * maxElevation;
+  }
+
+  const cellWidth = projection.unitsToMeters(projection.width / (width - 1));
+  const cellHeight = projection.unitsToMeters(projection.length / (height - 1));
+  const hydrology = analyzeHydrology(elevation, width, height, cellWidth, cellHeight, options);
+
+  const lakes = hydrology.lakes.map(lake => {
+    const center = projection.gridToWorld(lake.column, lake.row);
+    return {
+      id: lake.id,
+      level: lake.level,
+      maxDepth: lake.maxDepth,
+      area: lake.area,
+      x: center.x,
+      z: center.z
+    };
+  });
+
+  const rivers = buildRiverBuffers(field, hydrology.rivers);
+
+  return {
+    lakes,
+    lakeIds: hydrology.lakeIds,
+    rivers: rivers.lines,
+    lakeGeometry: buildLakeBuffers(field, hydrology.lakeIds, hydrology.lakes),
+    riverGeometry: rivers.geometry
+  };
+}
+
+// Buffers in a buildWater() result, for transferring it
+export function getWaterTransferables(water) {
+  return [
+    water.lakeIds.buffer,
+    water.lakeGeometry.positions.buffer,
+    water.lakeGeometry.indices.buffer,
+    water.riverGeometry.positions.buffer,
+    water.riverGeometry.uvs.buffer,
+    water.riverGeometry.indices.buffer,
+    ...water.rivers.flatMap(river => [river.points.buffer, river.widths.buffer])
+  ];
+}
+
+export default {
+  buildWater,
+  getWaterTransferables
+};
@@ -4,14 +4,53 @@ export default class UIManager {
       altitudeDisplay: null,
       instructions: null,
       loadingElement: null,
-      cameraToggleButton: null
+      cameraToggleButton: null,
+      regionButton: null,
+      regionPicker: null,
+      errorMessage: null,
+      controlsButton: null,
+      controlsEditor: null,
+      autopilotButton: null,
+      autopilotMenu: null,
+      forgivingButton: null,
+      cameraModeButton: null,
+      cameraPathButton: null,
+      cameraPathEditor: null,
+      cameraPathScrubber: null,
+      cameraPathTime: null,
+      photoButton: null,
+      photoPanel: null,
+      impactOverlay: null,
+      boundaryWarning: null,
+      windIndicator: null,
+      windArrow: null,
+      windLabel: null,
+      staminaGauge: null,
+      staminaBar: null,
+      staminaLabel: null,
+      touchOverlay: null
     };
     
+    // Display name of the current region, shown in the altitude display
+    this.regionName = '';
+    
+    // Pause or time scale note shown in the altitude display, see setTimeStatus()
+    this.timeStatus = '';
+    
+    // Where the autopilot is flying, see setAutopilotStatus()
+    this.autopilotStatus = '';
+    this.loadingText = 'Loading terrain data...';
+    
+    // Called when the free camera button is clicked, see setCameraToggleHandler()
+    this.onCameraToggle = null;
+    
     // Create UI elements
     this.createLoadingElement();
     this.createAltitudeDisplay();
     this.createInstructions();
     this.createCameraToggleButton();
+    this.createWindIndicator();
+    this.createStaminaGauge();
   }
   
   createLoadingElement() {
@@ -24,12 +63,24 @@ export default class UIManager {
     loadingElement.style.fontSize = '24px';
     loadingElement.style.fontFamily = 'Arial, sans-serif';
     loadingElement.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
-    loadingElement.textContent = 'Loading Chimborazo terrain data...';
+    loadingElement.textContent = this.loadingText;
     document.body.appendChild(loadingElement);
     
     this.elements.loadingElement = loadingElement;
   }
   
+  // Show the loading message again, e.g. while switching regions
+  showLoadingElement(text) {
+    if (text) {
+      this.loadingText = text;
+    }
+    
+    if (!this.elements.loadingElement) {
+      this.createLoadingElement();
+    }
+    this.elements.loadingElement.textContent = this.loadingText;
+  }
+  
   createAltitudeDisplay() {
     const altitudeDisplay = document.createElement('div');
     altitudeDisplay.style.position = 'absolute';
@@ -57,19 +108,34 @@ export default class UIManager {
     instructions.style.borderRadius = '5px';
     instructions.style.pointerEvents = 'none';
     instructions.style.zIndex = '100';
-    instructions.innerHTML = `
-      <h3 style="margin: 0 0 5px 0;">Controls:</h3>
-      <p style="margin: 0 0 3px 0;">Arrow Keys: Turn and adjust speed</p>
-      <p style="margin: 0 0 3px 0;">W/S: Ascend/descend</p>
-      <p style="margin: 0 0 3px 0;">Mouse/Trackpad: Drag to turn (when enabled)</p>
-      <p style="margin: 0 0 3px 0;">C: Toggle mouse camera control</p>
-      <p style="margin: 0 0 3px 0;">F: Toggle free camera mode</p>
-    `;
     document.body.appendChild(instructions);
     
     this.elements.instructions = instructions;
   }
   
+  // Fill the controls help from the active bindings: rows as given by
+  // InputManager.describeControls()
+  updateInstructions(rows) {
+    const instructions = this.elements.instructions;
+    if (!instructions) return;
+    
+    instructions.innerHTML = '<h3 style="margin: 0 0 5px 0;">Controls:</h3>';
+    
+    const addLine = (text) => {
+      const line = document.createElement('p');
+      line.style.margin = '0 0 3px 0';
+      line.textContent = text;
+      instructions.appendChild(line);
+    };
+    
+    rows.forEach(row => {
+      if (row.bindings.length > 0) {
+        addLine(`${row.bindings.join(' / ')}: ${row.label}`);
+      }
+    });
+    addLine('Mouse/Trackpad: Drag to turn (when enabled)');
+  }
+  
   createCameraToggleButton() {
     const button = document.createElement('button');
     button.style.position = 'absolute';
@@ -87,17 +153,8 @@ export default class UIManager {
     
     // Add event listener
     button.addEventListener('click', () => {
-      // Simulate pressing F key to toggle camera mode
-      const event = new KeyboardEvent('keydown', { key: 'f' });
-      window.dispatchEvent(event);
-      
-      // Update button text
-      if (button.textContent === 'Free Camera: OFF') {
-        button.textContent = 'Free Camera: ON';
-        button.style.backgroundColor = 'rgba(50, 150, 50, 0.7)';
-      } else {
-        button.textContent = 'Free Camera: OFF';
-        button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+      if (this.onCameraToggle) {
+        this.onCameraToggle();
       }
     });
     
@@ -105,20 +162,1082 @@ export default class UIManager {
     this.elements.cameraToggleButton = button;
   }
   
+  setCameraToggleHandler(onToggle) {
+    this.onCameraToggle = onToggle;
+  }
+  
+  // Show whether the free camera is on, however it was toggled
+  setFreeCameraState(enabled) {
+    const button = this.elements.cameraToggleButton;
+    if (!button) return;
+    
+    button.textContent = enabled ? 'Free Camera: ON' : 'Free Camera: OFF';
+    button.style.backgroundColor = enabled ? 'rgba(50, 150, 50, 0.7)' : 'rgba(0, 0, 0, 0.7)';
+  }
+  
+  // Arrow showing where the wind blows relative to the condor's heading
+  // (straight up is a tailwind), with its speed
+  createWindIndicator() {
+    const indicator = document.createElement('div');
+    indicator.style.position = 'absolute';
+    indicator.style.top = '70px';
+    indicator.style.right = '20px';
+    indicator.style.width = '70px';
+    indicator.style.padding = '5px';
+    indicator.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    indicator.style.color = 'white';
+    indicator.style.borderRadius = '5px';
+    indicator.style.fontFamily = 'Arial, sans-serif';
+    indicator.style.textAlign = 'center';
+    indicator.style.pointerEvents = 'none';
+    
+    const arrow = document.createElement('div');
+    arrow.style.fontSize = '32px';
+    arrow.style.lineHeight = '36px';
+    arrow.textContent = '↑';
+    indicator.appendChild(arrow);
+    
+    const label = document.createElement('div');
+    label.style.fontSize = '12px';
+    label.textContent = 'Wind';
+    indicator.appendChild(label);
+    
+    document.body.appendChild(indicator);
+    
+    this.elements.windIndicator = indicator;
+    this.elements.windArrow = arrow;
+    this.elements.windLabel = label;
+  }
+  
+  // wind: { speed (m/s), direction it blows from (compass degrees) };
+  // heading: the condor's compass heading
+  updateWindIndicator(wind, heading) {
+    if (!this.elements.windIndicator) return;
+    
+    const speed = Math.round(wind.speed * 3.6); // m/s to km/h
+    const towards = wind.direction + 180 - heading;
+    
+    this.elements.windArrow.style.visibility = wind.speed > 0.5 ? 'visible' : 'hidden';
+    this.elements.windArrow.style.transform = `rotate(${towards}deg)`;
+    this.elements.windLabel.textContent = `Wind ${speed} km/h`;
+  }
+  
+  // Bar showing the condor's stamina for flapping, under the wind indicator
+  createStaminaGauge() {
+    const gauge = document.createElement('div');
+    gauge.style.position = 'absolute';
+    gauge.style.top = '145px';
+    gauge.style.right = '20px';
+    gauge.style.width = '70px';
+    gauge.style.padding = '5px';
+    gauge.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    gauge.style.color = 'white';
+    gauge.style.borderRadius = '5px';
+    gauge.style.fontFamily = 'Arial, sans-serif';
+    gauge.style.textAlign = 'center';
+    gauge.style.pointerEvents = 'none';
+    
+    const track = document.createElement('div');
+    track.style.height = '8px';
+    track.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+    track.style.borderRadius = '4px';
+    track.style.overflow = 'hidden';
+    gauge.appendChild(track);
+    
+    const bar = document.createElement('div');
+    bar.style.height = '100%';
+    bar.style.width = '100%';
+    bar.style.backgroundColor = 'rgb(80, 200, 80)';
+    track.appendChild(bar);
+    
+    const label = document.createElement('div');
+    label.style.fontSize = '12px';
+    label.style.marginTop = '3px';
+    label.textContent = 'Stamina';
+    gauge.appendChild(label);
+    
+    document.body.appendChild(gauge);
+    
+    this.elements.staminaGauge = gauge;
+    this.elements.staminaBar = bar;
+    this.elements.staminaLabel = label;
+  }
+  
+  // fraction: stamina left, 0 to 1; exhausted: the condor can't flap until it
+  // recovers; feeding: it's eating from a carcass
+  updateStaminaGauge(fraction, exhausted, feeding) {
+    if (!this.elements.staminaGauge) return;
+    
+    // Green when fresh through yellow to red when spent
+    const red = Math.round(fraction > 0.5 ? 80 + (1 - fraction) * 2 * 150 : 230);
+    const green = Math.round(fraction > 0.5 ? 200 : 60 + fraction * 2 * 140);
+    
+    this.elements.staminaBar.style.width = `${Math.round(fraction * 100)}%`;
+    this.elements.staminaBar.style.backgroundColor = exhausted ? 'rgb(150, 60, 60)' : `rgb(${red}, ${green}, 60)`;
+    
+    if (feeding) {
+      this.elements.staminaLabel.textContent = 'Feeding';
+    } else if (exhausted) {
+      this.elements.staminaLabel.textContent = 'Exhausted';
+    } else {
+      this.elements.staminaLabel.textContent = 'Stamina';
+    }
+  }
+  
   updateAltitudeDisplay(position) {
     if (!this.elements.altitudeDisplay) return;
     
     const altitude = Math.round(position.elevation);
+    const altitudeMSL = Math.round(position.altitudeMSL);
+    const speed = Math.round(position.speed * 3.6); // m/s to km/h
+    const vario = position.verticalSpeed.toFixed(1);
+    const heading = Math.round(position.heading) % 360;
     const lat = position.lat.toFixed(4);
     const lng = position.lng.toFixed(4);
     
-    this.elements.altitudeDisplay.textContent = `Altitude: ${altitude}m | Position: ${lat}°, ${lng}° | Ecuador - Chimborazo Region`;
+    let ground = '';
+    if (position.phase === 'perched') {
+      ground = position.perch ? ` | PERCHED on ${position.perch}` : ' | PERCHED';
+    } else if (position.phase === 'landing') {
+      ground = ' | LANDING';
+    } else if (position.phase === 'launching') {
+      ground = ' | TAKING OFF';
+    } else if (position.phase === 'crashed') {
+      ground = ' | CRASHED';
+    }
+    
+    this.elements.altitudeDisplay.textContent = `Altitude: ${altitude}m AGL / ${altitudeMSL}m MSL | Speed: ${speed} km/h | Vario: ${vario} m/s | Heading: ${heading}° | Position: ${lat}°, ${lng}° | ${this.regionName}${position.stalled ? ' | STALL' : ''}${ground}${this.autopilotStatus}${this.timeStatus}`;
+  }
+  
+  setTimeStatus(paused, timeScale) {
+    if (paused) {
+      this.timeStatus = ' | PAUSED';
+    } else if (timeScale !== 1) {
+      this.timeStatus = ` | Time ×${+timeScale.toFixed(3)}`;
+    } else {
+      this.timeStatus = '';
+    }
+  }
+  
+  // label: what the autopilot is doing (see Autopilot.getStatus()), or null when it's off
+  setAutopilotStatus(label) {
+    this.autopilotStatus = label ? ` | Autopilot: ${label}` : '';
+  }
+  
+  setRegionName(name) {
+    this.regionName = name;
+    
+    if (this.elements.regionButton) {
+      this.elements.regionButton.textContent = `Region: ${name}`;
+    }
+  }
+  
+  // Button that reopens the region picker
+  createRegionButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '20px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Region';
+    
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.regionButton = button;
+  }
+  
+  // On-screen flight controls for touch screens (see controls/TouchControls.js):
+  // a stick in the bottom left corner, a flap button in the bottom right with
+  // pause and tilt steering buttons above it. Sized from the smaller side of
+  // the screen so they fit phones and tablets in either orientation.
+  // Returns { stick, knob, flapButton, pauseButton, tiltButton }.
+  createTouchOverlay() {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.pointerEvents = 'none';
+    overlay.style.zIndex = '150';
+    
+    // Clear of the screen edges and rounded corners
+    const margin = 'max(16px, 4vmin)';
+    
+    const stick = document.createElement('div');
+    stick.style.position = 'absolute';
+    stick.style.left = margin;
+    stick.style.bottom = margin;
+    stick.style.width = 'clamp(110px, 32vmin, 200px)';
+    stick.style.height = 'clamp(110px, 32vmin, 200px)';
+    stick.style.borderRadius = '50%';
+    stick.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+    stick.style.border = '2px solid rgba(255, 255, 255, 0.6)';
+    stick.style.pointerEvents = 'auto';
+    stick.style.touchAction = 'none';
+    
+    const knob = document.createElement('div');
+    knob.style.position = 'absolute';
+    knob.style.left = '30%';
+    knob.style.top = '30%';
+    knob.style.width = '40%';
+    knob.style.height = '40%';
+    knob.style.borderRadius = '50%';
+    knob.style.backgroundColor = 'rgba(255, 255, 255, 0.7)';
+    knob.style.pointerEvents = 'none';
+    stick.appendChild(knob);
+    overlay.appendChild(stick);
+    
+    const createTouchButton = (text, size, bottom) => {
+      const button = document.createElement('div');
+      button.style.position = 'absolute';
+      button.style.right = margin;
+      button.style.bottom = bottom;
+      button.style.width = size;
+      button.style.height = size;
+      button.style.borderRadius = '50%';
+      button.style.display = 'flex';
+      button.style.alignItems = 'center';
+      button.style.justifyContent = 'center';
+      button.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+      button.style.border = '2px solid rgba(255, 255, 255, 0.6)';
+      button.style.color = 'white';
+      button.style.fontFamily = 'Arial, sans-serif';
+      button.style.fontSize = 'clamp(11px, 3vmin, 16px)';
+      button.style.textAlign = 'center';
+      button.style.userSelect = 'none';
+      button.style.webkitUserSelect = 'none';
+      button.style.pointerEvents = 'auto';
+      button.style.touchAction = 'none';
+      button.textContent = text;
+      overlay.appendChild(button);
+      return button;
+    };
+    
+    const flapButton = createTouchButton('FLAP', 'clamp(80px, 22vmin, 140px)', margin);
+    const smallButton = 'clamp(44px, 11vmin, 64px)';
+    const tiltButton = createTouchButton('Tilt', smallButton, `calc(${margin} + clamp(80px, 22vmin, 140px) + 12px)`);
+    const pauseButton = createTouchButton('II', smallButton, `calc(${margin} + clamp(80px, 22vmin, 140px) + ${smallButton} + 24px)`);
+    
+    document.body.appendChild(overlay);
+    this.elements.touchOverlay = overlay;
+    
+    return { stick, knob, flapButton, pauseButton, tiltButton };
+  }
+  
+  // Make room for the touch controls: the keyboard help goes and the altitude
+  // display moves to the top of the screen
+  setTouchLayout(enabled) {
+    const { instructions, altitudeDisplay, touchOverlay } = this.elements;
+    
+    if (touchOverlay) {
+      touchOverlay.style.display = enabled ? 'block' : 'none';
+    }
+    if (instructions) {
+      instructions.style.display = enabled ? 'none' : 'block';
+    }
+    if (altitudeDisplay) {
+      altitudeDisplay.style.top = enabled ? '10px' : '';
+      altitudeDisplay.style.bottom = enabled ? '' : '10px';
+      altitudeDisplay.style.left = enabled ? '50%' : '10px';
+      altitudeDisplay.style.transform = enabled ? 'translateX(-50%)' : '';
+      altitudeDisplay.style.maxWidth = enabled ? '50vw' : '';
+      altitudeDisplay.style.fontSize = enabled ? '12px' : '';
+      altitudeDisplay.style.textAlign = enabled ? 'center' : '';
+    }
+  }
+  
+  // Highlight a touch button while it's held or switched on
+  setTouchButtonActive(button, active) {
+    button.style.backgroundColor = active ? 'rgba(50, 150, 50, 0.7)' : 'rgba(0, 0, 0, 0.4)';
+  }
+  
+  // Button that opens the controls editor
+  createControlsButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '70px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Controls';
+    
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.controlsButton = button;
+  }
+  
+  // Button toggling forgiving mode, where the condor can't crash
+  createForgivingButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '170px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Forgiving: OFF';
+    
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.forgivingButton = button;
+  }
+  
+  setForgivingState(enabled) {
+    const button = this.elements.forgivingButton;
+    if (!button) return;
+    
+    button.textContent = enabled ? 'Forgiving: ON' : 'Forgiving: OFF';
+    button.style.backgroundColor = enabled ? 'rgba(50, 150, 50, 0.7)' : 'rgba(0, 0, 0, 0.7)';
+  }
+  
+  // Flash the screen when the condor hits the ground: { severity (0-1), crashed }
+  // as from FlightControls.onImpact. A crash also says so until the respawn.
+  showImpact(impact) {
+    let overlay = this.elements.impactOverlay;
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.style.position = 'absolute';
+      overlay.style.top = '0';
+      overlay.style.left = '0';
+      overlay.style.width = '100%';
+      overlay.style.height = '100%';
+      overlay.style.display = 'flex';
+      overlay.style.alignItems = 'center';
+      overlay.style.justifyContent = 'center';
+      overlay.style.color = 'white';
+      overlay.style.fontFamily = 'Arial, sans-serif';
+      overlay.style.fontSize = '36px';
+      overlay.style.textShadow = '0 0 8px black';
+      overlay.style.pointerEvents = 'none';
+      overlay.style.opacity = '0';
+      document.body.appendChild(overlay);
+      this.elements.impactOverlay = overlay;
+    }
+    
+    const strength = impact.crashed ? 0.4 + 0.3 * impact.severity : 0.2;
+    overlay.style.backgroundColor = `rgba(180, 0, 0, ${strength})`;
+    overlay.textContent = impact.crashed ? 'Crashed! Respawning...' : '';
+    
+    // Show at once, then fade out
+    overlay.style.transition = 'none';
+    overlay.style.opacity = '1';
+    void overlay.offsetWidth;
+    overlay.style.transition = `opacity ${impact.crashed ? 2.5 : 0.6}s ease-out`;
+    overlay.style.opacity = '0';
+  }
+  
+  // Banner near the edge of the map, growing more opaque closer to it: boundary
+  // is { warning (0-1), neighbour } as in FlightControls' position, or null to
+  // hide it; neighbourName names the region flown on to, if there is one
+  updateBoundaryWarning(boundary, neighbourName) {
+    let banner = this.elements.boundaryWarning;
+    if (!banner) {
+      if (!boundary) return;
+      
+      banner = document.createElement('div');
+      banner.style.position = 'absolute';
+      banner.style.top = '60px';
+      banner.style.left = '50%';
+      banner.style.transform = 'translateX(-50%)';
+      banner.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+      banner.style.color = 'white';
+      banner.style.padding = '8px 16px';
+      banner.style.borderRadius = '5px';
+      banner.style.fontFamily = 'Arial, sans-serif';
+      banner.style.fontSize = '18px';
+      banner.style.pointerEvents = 'none';
+      document.body.appendChild(banner);
+      this.elements.boundaryWarning = banner;
+    }
+    
+    if (!boundary) {
+      banner.style.display = 'none';
+      return;
+    }
+    
+    banner.textContent = boundary.neighbour
+      ? `Flying on to ${neighbourName || boundary.neighbour}`
+      : 'Edge of the map: turn back';
+    banner.style.border = boundary.neighbour ? '2px solid #4caf50' : '2px solid #ff9800';
+    banner.style.opacity = String(0.4 + 0.6 * boundary.warning);
+    banner.style.display = 'block';
+  }
+  
+  // Button that steps through the camera views
+  createCameraModeButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '220px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Camera: Follow';
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.cameraModeButton = button;
+  }
+  
+  // Name of the current camera view, see CAMERA_MODE_LABELS in camera/CameraController.js
+  setCameraMode(label) {
+    if (this.elements.cameraModeButton) {
+      this.elements.cameraModeButton.textContent = `Camera: ${label}`;
+    }
+  }
+  
+  // Button that opens the autopilot menu, highlighted while the autopilot flies
+  createAutopilotButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '120px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Autopilot';
+    
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.autopilotButton = button;
+  }
+  
+  setAutopilotState(engaged) {
+    const button = this.elements.autopilotButton;
+    if (!button) return;
+    
+    button.style.backgroundColor = engaged ? 'rgba(50, 150, 50, 0.7)' : 'rgba(0, 0, 0, 0.7)';
+  }
+  
+  // Choices for the autopilot as [{ id, label, active }]; onSelect gets the
+  // chosen id, or null for Off
+  showAutopilotMenu(choices, onSelect) {
+    this.hideAutopilotMenu();
+    
+    const menu = document.createElement('div');
+    menu.style.position = 'absolute';
+    menu.style.top = '50%';
+    menu.style.left = '50%';
+    menu.style.transform = 'translate(-50%, -50%)';
+    menu.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    menu.style.color = 'white';
+    menu.style.padding = '20px';
+    menu.style.borderRadius = '5px';
+    menu.style.fontFamily = 'Arial, sans-serif';
+    menu.style.zIndex = '200';
+    menu.style.minWidth = '280px';
+    menu.style.maxHeight = '80vh';
+    menu.style.overflowY = 'auto';
+    
+    const title = document.createElement('h3');
+    title.style.margin = '0 0 10px 0';
+    title.textContent = 'Autopilot';
+    menu.appendChild(title);
+    
+    [...choices, { id: null, label: 'Off' }].forEach(choice => {
+      const option = document.createElement('button');
+      option.style.display = 'block';
+      option.style.width = '100%';
+      option.style.margin = '0 0 8px 0';
+      option.style.padding = '10px 15px';
+      option.style.backgroundColor = choice.active ? 'rgba(50, 150, 50, 0.7)' : 'rgba(255, 255, 255, 0.1)';
+      option.style.color = 'white';
+      option.style.border = '1px solid white';
+      option.style.borderRadius = '5px';
+      option.style.fontFamily = 'Arial, sans-serif';
+      option.style.fontSize = '16px';
+      option.style.cursor = 'pointer';
+      option.style.textAlign = 'left';
+      option.textContent = choice.label;
+      
+      option.addEventListener('click', () => {
+        this.hideAutopilotMenu();
+        onSelect(choice.id);
+      });
+      
+      menu.appendChild(option);
+    });
+    
+    document.body.appendChild(menu);
+    this.elements.autopilotMenu = menu;
+  }
+  
+  hideAutopilotMenu() {
+    if (this.elements.autopilotMenu) {
+      document.body.removeChild(this.elements.autopilotMenu);
+      this.elements.autopilotMenu = null;
+    }
+  }
+  
+  // List the actions of an InputManager with their bindings; clicking one
+  // waits for a key or gamepad input to bind to it
+  showControlsEditor(input) {
+    this.hideControlsEditor(input);
+    
+    const editor = document.createElement('div');
+    editor.style.position = 'absolute';
+    editor.style.top = '50%';
+    editor.style.left = '50%';
+    editor.style.transform = 'translate(-50%, -50%)';
+    editor.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    editor.style.color = 'white';
+    editor.style.padding = '20px';
+    editor.style.borderRadius = '5px';
+    editor.style.fontFamily = 'Arial, sans-serif';
+    editor.style.zIndex = '200';
+    editor.style.minWidth = '360px';
+    editor.style.maxHeight = '80%';
+    editor.style.overflowY = 'auto';
+    
+    const title = document.createElement('h3');
+    title.style.margin = '0 0 10px 0';
+    title.textContent = 'Controls';
+    editor.appendChild(title);
+    
+    const note = document.createElement('p');
+    note.style.margin = '0 0 10px 0';
+    note.style.fontSize = '13px';
+    note.textContent = 'Click an action, then press a key or gamepad button (Esc cancels). A key replaces the first key, a gamepad input the first gamepad binding.';
+    editor.appendChild(note);
+    
+    const createButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.style.padding = '6px 10px';
+      button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+      button.style.color = 'white';
+      button.style.border = '1px solid white';
+      button.style.borderRadius = '5px';
+      button.style.fontFamily = 'Arial, sans-serif';
+      button.style.fontSize = '14px';
+      button.style.cursor = 'pointer';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    
+    const list = document.createElement('div');
+    editor.appendChild(list);
+    
+    const renderRows = () => {
+      list.innerHTML = '';
+      
+      input.describeControls().forEach(row => {
+        const line = document.createElement('div');
+        line.style.display = 'flex';
+        line.style.justifyContent = 'space-between';
+        line.style.alignItems = 'center';
+        line.style.gap = '10px';
+        line.style.margin = '0 0 6px 0';
+        
+        const label = document.createElement('span');
+        label.textContent = row.label;
+        line.appendChild(label);
+        
+        const text = row.bindings.join(' / ') || 'Unbound';
+        const bindingButton = createButton(text, () => {
+          input.rebind(row.action, row.direction, (binding) => {
+            if (binding) {
+              renderRows();
+            } else {
+              bindingButton.textContent = text;
+            }
+          });
+          bindingButton.textContent = 'Press a key or button...';
+        });
+        line.appendChild(bindingButton);
+        
+        list.appendChild(line);
+      });
+    };
+    renderRows();
+    
+    const footer = document.createElement('div');
+    footer.style.display = 'flex';
+    footer.style.justifyContent = 'flex-end';
+    footer.style.gap = '10px';
+    footer.style.margin = '10px 0 0 0';
+    footer.appendChild(createButton('Reset to defaults', () => {
+      input.cancelCapture();
+      input.resetBindings();
+      renderRows();
+    }));
+    footer.appendChild(createButton('Close', () => this.hideControlsEditor(input)));
+    editor.appendChild(footer);
+    
+    document.body.appendChild(editor);
+    this.elements.controlsEditor = editor;
+  }
+  
+  hideControlsEditor(input) {
+    if (this.elements.controlsEditor) {
+      if (input) input.cancelCapture();
+      document.body.removeChild(this.elements.controlsEditor);
+      this.elements.controlsEditor = null;
+    }
+  }
+  
+  // Button that opens the camera path editor
+  createCameraPathButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '270px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Camera Path';
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.cameraPathButton = button;
   }
   
-  updateLoadingProgress(progress) {
+  // Panel for building and playing a camera flythrough with a
+  // CameraPathEditor (see camera/CameraPathEditor.js). It sits at the side so
+  // the view stays visible while placing keyframes.
+  showCameraPathEditor(pathEditor) {
+    this.hideCameraPathEditor();
+    
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '200px';
+    panel.style.right = '20px';
+    panel.style.width = '380px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    panel.style.color = 'white';
+    panel.style.padding = '15px';
+    panel.style.borderRadius = '5px';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.zIndex = '200';
+    panel.style.maxHeight = '60%';
+    panel.style.overflowY = 'auto';
+    
+    const title = document.createElement('h3');
+    title.style.margin = '0 0 8px 0';
+    title.textContent = 'Camera path';
+    panel.appendChild(title);
+    
+    const note = document.createElement('p');
+    note.style.margin = '0 0 8px 0';
+    note.textContent = 'Orbit the free camera to a shot (right-drag to aim off the condor) and add a keyframe, then the next. Times are seconds from the start.';
+    panel.appendChild(note);
+    
+    const createButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.style.padding = '4px 8px';
+      button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+      button.style.color = 'white';
+      button.style.border = '1px solid white';
+      button.style.borderRadius = '5px';
+      button.style.fontFamily = 'Arial, sans-serif';
+      button.style.fontSize = '13px';
+      button.style.cursor = 'pointer';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    
+    const createNumberInput = (value, step, onChange) => {
+      const field = document.createElement('input');
+      field.type = 'number';
+      field.step = String(step);
+      field.value = String(+value.toFixed(2));
+      field.style.width = '55px';
+      field.addEventListener('change', () => {
+        const number = parseFloat(field.value);
+        if (Number.isFinite(number)) onChange(number);
+      });
+      return field;
+    };
+    
+    const createCheckbox = (text, checked, onChange) => {
+      const label = document.createElement('label');
+      label.style.marginRight = '12px';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked;
+      box.addEventListener('change', () => onChange(box.checked));
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${text}`));
+      return label;
+    };
+    
+    const row = () => {
+      const line = document.createElement('div');
+      line.style.display = 'flex';
+      line.style.alignItems = 'center';
+      line.style.gap = '6px';
+      line.style.margin = '0 0 6px 0';
+      return line;
+    };
+    
+    const body = document.createElement('div');
+    panel.appendChild(body);
+    
+    // Redrawn whenever the path changes
+    const render = () => {
+      body.innerHTML = '';
+      const keyframes = pathEditor.getKeyframes();
+      
+      keyframes.forEach((keyframe, index) => {
+        const line = row();
+        line.appendChild(document.createTextNode(`${index + 1}.`));
+        line.appendChild(createNumberInput(keyframe.time, 0.5, time => pathEditor.editKeyframe(index, { time })));
+        line.appendChild(document.createTextNode('s fov'));
+        line.appendChild(createNumberInput(keyframe.fov, 1, fov => pathEditor.editKeyframe(index, { fov })));
+        
+        const easing = document.createElement('select');
+        pathEditor.getEasings().forEach(name => {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          option.selected = name === keyframe.easing;
+          easing.appendChild(option);
+        });
+        easing.title = 'Pace to the next keyframe';
+        easing.addEventListener('change', () => pathEditor.editKeyframe(index, { easing: easing.value }));
+        line.appendChild(easing);
+        
+        line.appendChild(createButton('Go', () => pathEditor.goToKeyframe(index)));
+        line.appendChild(createButton('Set', () => pathEditor.setKeyframeView(index)));
+        line.appendChild(createButton('✕', () => pathEditor.removeKeyframe(index)));
+        body.appendChild(line);
+      });
+      
+      const editing = row();
+      editing.appendChild(createButton('Add keyframe', () => pathEditor.addKeyframe()));
+      editing.appendChild(createButton('Clear', () => pathEditor.clear()));
+      body.appendChild(editing);
+      
+      // Scrub through the path, previewing the camera at that moment
+      const scrubbing = row();
+      const scrubber = document.createElement('input');
+      scrubber.type = 'range';
+      scrubber.min = '0';
+      scrubber.max = String(pathEditor.getDuration());
+      scrubber.step = '0.01';
+      scrubber.value = String(pathEditor.getTime());
+      scrubber.style.flex = '1';
+      scrubber.disabled = keyframes.length === 0;
+      scrubber.addEventListener('input', () => pathEditor.scrub(parseFloat(scrubber.value)));
+      scrubbing.appendChild(scrubber);
+      const time = document.createElement('span');
+      scrubbing.appendChild(time);
+      body.appendChild(scrubbing);
+      this.elements.cameraPathScrubber = scrubber;
+      this.elements.cameraPathTime = time;
+      this.updateCameraPathTime(pathEditor.getTime(), pathEditor.getDuration());
+      
+      const playing = row();
+      playing.appendChild(createButton(pathEditor.isPlaying() ? 'Restart' : 'Play', () => pathEditor.play()));
+      playing.appendChild(createButton('Stop', () => pathEditor.stop()));
+      playing.appendChild(createCheckbox('Follow condor', pathEditor.path.followCondor, follow => pathEditor.setFollowCondor(follow)));
+      playing.appendChild(createCheckbox('Loop', pathEditor.path.loop, loop => pathEditor.setLoop(loop)));
+      body.appendChild(playing);
+      
+      if (pathEditor.status) {
+        const status = document.createElement('p');
+        status.style.margin = '0 0 6px 0';
+        status.style.color = '#ffb74d';
+        status.textContent = pathEditor.status;
+        body.appendChild(status);
+      }
+    };
+    pathEditor.onChange = render;
+    render();
+    
+    // Paths load from a JSON file picked here
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) file.text().then(text => pathEditor.load(text));
+      fileInput.value = '';
+    });
+    panel.appendChild(fileInput);
+    
+    const footer = document.createElement('div');
+    footer.style.display = 'flex';
+    footer.style.justifyContent = 'flex-end';
+    footer.style.gap = '8px';
+    footer.style.margin = '8px 0 0 0';
+    footer.appendChild(createButton('Save', () => pathEditor.save()));
+    footer.appendChild(createButton('Load', () => fileInput.click()));
+    footer.appendChild(createButton('Close', () => {
+      pathEditor.close();
+      this.hideCameraPathEditor();
+    }));
+    panel.appendChild(footer);
+    
+    document.body.appendChild(panel);
+    this.elements.cameraPathEditor = panel;
+  }
+  
+  // Move the camera path scrubber along while the path plays
+  updateCameraPathTime(time, duration) {
+    const { cameraPathScrubber, cameraPathTime } = this.elements;
+    if (!cameraPathScrubber) return;
+    
+    cameraPathScrubber.value = String(time);
+    cameraPathTime.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)}s`;
+  }
+  
+  hideCameraPathEditor() {
+    if (this.elements.cameraPathEditor) {
+      document.body.removeChild(this.elements.cameraPathEditor);
+      this.elements.cameraPathEditor = null;
+      this.elements.cameraPathScrubber = null;
+      this.elements.cameraPathTime = null;
+    }
+  }
+  
+  isCameraPathEditorOpen() {
+    return this.elements.cameraPathEditor !== null;
+  }
+  
+  // Button that switches photo mode on
+  createPhotoButton(onClick) {
+    const button = document.createElement('button');
+    button.style.position = 'absolute';
+    button.style.top = '320px';
+    button.style.left = '20px';
+    button.style.padding = '10px 15px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = 'white';
+    button.style.border = '1px solid white';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.textContent = 'Photo';
+    button.addEventListener('click', onClick);
+    
+    document.body.appendChild(button);
+    this.elements.photoButton = button;
+  }
+  
+  // Show or hide everything on screen but the photo mode panel
+  setHudVisible(visible) {
+    Object.entries(this.elements).forEach(([name, element]) => {
+      if (element && element.style && name !== 'photoPanel') {
+        element.style.visibility = visible ? '' : 'hidden';
+      }
+    });
+  }
+  
+  // Photo mode panel. options: { settings (as PhotoMode.getSettings()),
+  // filters ([{ id, label }]), scales (capture multiples to offer), hud and
+  // labels (shown or not) }. handlers: onSettings(changes), onHud(visible),
+  // onLabels(visible), onCapture() and onClose().
+  showPhotoPanel(options, handlers) {
+    this.hidePhotoPanel();
+    
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.bottom = '20px';
+    panel.style.left = '50%';
+    panel.style.transform = 'translateX(-50%)';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    panel.style.color = 'white';
+    panel.style.padding = '12px 16px';
+    panel.style.borderRadius = '5px';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.zIndex = '200';
+    panel.style.display = 'flex';
+    panel.style.flexWrap = 'wrap';
+    panel.style.alignItems = 'center';
+    panel.style.gap = '12px';
+    panel.style.maxWidth = '90%';
+    
+    const title = document.createElement('strong');
+    title.textContent = 'Photo mode';
+    panel.appendChild(title);
+    
+    const createButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.style.padding = '6px 10px';
+      button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+      button.style.color = 'white';
+      button.style.border = '1px solid white';
+      button.style.borderRadius = '5px';
+      button.style.fontFamily = 'Arial, sans-serif';
+      button.style.fontSize = '13px';
+      button.style.cursor = 'pointer';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    
+    const createSlider = (text, min, max, step, value, onChange) => {
+      const label = document.createElement('label');
+      label.textContent = `${text} `;
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(min);
+      slider.max = String(max);
+      slider.step = String(step);
+      slider.value = String(value);
+      slider.style.width = '90px';
+      slider.style.verticalAlign = 'middle';
+      slider.addEventListener('input', () => onChange(parseFloat(slider.value)));
+      label.appendChild(slider);
+      return label;
+    };
+    
+    const createSelect = (text, choices, value, onChange) => {
+      const label = document.createElement('label');
+      label.textContent = `${text} `;
+      const select = document.createElement('select');
+      choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = String(choice.id);
+        option.textContent = choice.label;
+        option.selected = choice.id === value;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => onChange(select.value));
+      label.appendChild(select);
+      return label;
+    };
+    
+    const createCheckbox = (text, checked, onChange) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked;
+      box.addEventListener('change', () => onChange(box.checked));
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${text}`));
+      return label;
+    };
+    
+    const settings = options.settings;
+    panel.appendChild(createSlider('Exposure', -2, 2, 0.1, settings.exposure, exposure => handlers.onSettings({ exposure })));
+    panel.appendChild(createSlider('Depth of field', 0, 0.05, 0.001, settings.aperture, aperture => handlers.onSettings({ aperture })));
+    panel.appendChild(createSelect('Filter', options.filters, settings.filter, filter => handlers.onSettings({ filter })));
+    panel.appendChild(createCheckbox('HUD', options.hud, handlers.onHud));
+    panel.appendChild(createCheckbox('Labels', options.labels, handlers.onLabels));
+    
+    const scales = options.scales.map(scale => ({ id: scale, label: `${scale}× screen` }));
+    panel.appendChild(createSelect('Size', scales, settings.scale, scale => handlers.onSettings({ scale: parseInt(scale, 10) })));
+    panel.appendChild(createButton('Capture', handlers.onCapture));
+    panel.appendChild(createButton('Close', handlers.onClose));
+    
+    document.body.appendChild(panel);
+    this.elements.photoPanel = panel;
+  }
+  
+  hidePhotoPanel() {
+    if (this.elements.photoPanel) {
+      document.body.removeChild(this.elements.photoPanel);
+      this.elements.photoPanel = null;
+    }
+  }
+  
+  // List the available regions and call onSelect with the chosen region id
+  showRegionPicker(regions, currentId, onSelect) {
+    this.hideRegionPicker();
+    
+    const picker = document.createElement('div');
+    picker.style.position = 'absolute';
+    picker.style.top = '50%';
+    picker.style.left = '50%';
+    picker.style.transform = 'translate(-50%, -50%)';
+    picker.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    picker.style.color = 'white';
+    picker.style.padding = '20px';
+    picker.style.borderRadius = '5px';
+    picker.style.fontFamily = 'Arial, sans-serif';
+    picker.style.zIndex = '200';
+    picker.style.minWidth = '280px';
+    
+    const title = document.createElement('h3');
+    title.style.margin = '0 0 10px 0';
+    title.textContent = 'Choose a region';
+    picker.appendChild(title);
+    
+    regions.forEach(region => {
+      const option = document.createElement('button');
+      option.style.display = 'block';
+      option.style.width = '100%';
+      option.style.margin = '0 0 8px 0';
+      option.style.padding = '10px 15px';
+      option.style.backgroundColor = region.id === currentId ? 'rgba(50, 150, 50, 0.7)' : 'rgba(255, 255, 255, 0.1)';
+      option.style.color = 'white';
+      option.style.border = '1px solid white';
+      option.style.borderRadius = '5px';
+      option.style.fontFamily = 'Arial, sans-serif';
+      option.style.fontSize = '16px';
+      option.style.cursor = 'pointer';
+      option.textContent = region.name;
+      
+      option.addEventListener('click', () => {
+        this.hideRegionPicker();
+        onSelect(region.id);
+      });
+      
+      picker.appendChild(option);
+    });
+    
+    document.body.appendChild(picker);
+    this.elements.regionPicker = picker;
+  }
+  
+  hideRegionPicker() {
+    if (this.elements.regionPicker) {
+      document.body.removeChild(this.elements.regionPicker);
+      this.elements.regionPicker = null;
+    }
+  }
+  
+  // Progress in percent, with an optional description of the current step
+  updateLoadingProgress(progress, stage) {
     if (!this.elements.loadingElement) return;
     
-    this.elements.loadingElement.textContent = `Loading Chimborazo terrain data... ${progress}%`;
+    const text = stage ? `${this.loadingText} ${stage}` : this.loadingText;
+    this.elements.loadingElement.textContent = `${text} ${progress}%`;
   }
   
   removeLoadingElement() {
@@ -127,4 +1246,37 @@ export default class UIManager {
       this.elements.loadingElement = null;
     }
   }
+  
+  // Show an error, e.g. a region that failed to load, until it's clicked
+  // away or a few seconds have passed
+  showError(message) {
+    this.hideError();
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.style.position = 'absolute';
+    errorMessage.style.top = '20px';
+    errorMessage.style.left = '50%';
+    errorMessage.style.transform = 'translateX(-50%)';
+    errorMessage.style.backgroundColor = 'rgba(160, 30, 30, 0.85)';
+    errorMessage.style.color = 'white';
+    errorMessage.style.padding = '10px 15px';
+    errorMessage.style.borderRadius = '5px';
+    errorMessage.style.fontFamily = 'Arial, sans-serif';
+    errorMessage.style.zIndex = '300';
+    errorMessage.style.cursor = 'pointer';
+    errorMessage.textContent = message;
+    errorMessage.addEventListener('click', () => this.hideError());
+    document.body.appendChild(errorMessage);
+    
+    this.elements.errorMessage = errorMessage;
+    this.errorTimeout = setTimeout(() => this.hideError(), 8000);
+  }
+  
+  hideError() {
+    clearTimeout(this.errorTimeout);
+    if (this.elements.errorMessage) {
+      document.body.removeChild(this.elements.errorMessage);
+      this.elements.errorMessage = null;
+    }
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Save a Blob as a file through the browser's downloads
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Some browsers start the download after the click returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
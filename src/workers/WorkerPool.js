@@ -0,0 +1,170 @@
+// Runs tasks on a fixed set of Web Workers.
+//
+// Messages to a worker are { id, type, payload }. A worker answers with
+// { id, result } or { id, error }, and may send { id, progress, stage } while a
+// task runs. Each worker runs one queued task at a time; broadcast() messages
+// go to every worker straight away and are meant for quick state updates.
+//
+// `fallback(type, payload, onProgress)` runs a task on the main thread. It is
+// used when workers can't be created, and takes over the tasks of a worker that
+// crashes. Broadcasts are mirrored to it so it always has the same state.
+export default class WorkerPool {
+  constructor(createWorker, options = {}) {
+    this.fallback = options.fallback || null;
+    this.name = options.name || 'worker';
+
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map(); // id -> task sent to a worker
+    this.nextTaskId = 1;
+
+    const size = options.size ?? Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    try {
+      for (let i = 0; i < size; i++) {
+        const worker = createWorker();
+        worker.onmessage = (event) => this.handleMessage(worker, event.data);
+        worker.onerror = (event) => this.handleWorkerError(worker, event);
+        this.workers.push(worker);
+        this.idle.push(worker);
+      }
+    } catch (error) {
+      console.warn(`Could not start ${this.name} workers, running on the main thread:`, error);
+      this.workers.forEach(worker => worker.terminate());
+      this.workers = [];
+      this.idle = [];
+    }
+  }
+
+  // Queue a task. Resolves with the worker's result.
+  // Options:
+  // - transfer: buffers in the payload to move to the worker instead of copying
+  // - onProgress(progress, stage): progress updates, progress runs from 0 to 1
+  run(type, payload, options = {}) {
+    if (this.workers.length === 0) {
+      return this.runFallback(type, payload, options.onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextTaskId++,
+        type,
+        payload,
+        transfer: options.transfer || [],
+        onProgress: options.onProgress,
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  // Send a message to every worker. Resolves once all of them have handled it.
+  broadcast(type, payload) {
+    const results = this.workers.map(worker => new Promise((resolve, reject) => {
+      const id = this.nextTaskId++;
+      this.tasks.set(id, { id, type, payload, worker, broadcast: true, resolve, reject });
+      worker.postMessage({ id, type, payload });
+    }));
+
+    if (this.fallback) {
+      results.push(this.runFallback(type, payload));
+    }
+
+    return Promise.all(results);
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const task = this.queue.shift();
+
+      task.worker = worker;
+      this.tasks.set(task.id, task);
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  handleMessage(worker, message) {
+    const task = this.tasks.get(message.id);
+    if (!task) return;
+
+    if (message.progress !== undefined) {
+      if (task.onProgress) {
+        task.onProgress(message.progress, message.stage);
+      }
+      return;
+    }
+
+    this.tasks.delete(message.id);
+    if (!task.broadcast) {
+      this.idle.push(worker);
+      this.dispatch();
+    }
+
+    if (message.error) {
+      task.reject(new Error(message.error));
+    } else {
+      task.resolve(message.result);
+    }
+  }
+
+  // A worker failed outside of a task (e.g. its script didn't load):
+  // drop it and hand its tasks to another worker or the main thread
+  handleWorkerError(worker, event) {
+    console.error(`${this.name} worker failed:`, event.message || event);
+    event.preventDefault();
+
+    worker.terminate();
+    this.workers = this.workers.filter(other => other !== worker);
+    this.idle = this.idle.filter(other => other !== worker);
+
+    this.tasks.forEach((task, id) => {
+      if (task.worker !== worker) return;
+      this.tasks.delete(id);
+
+      if (task.broadcast) {
+        // The fallback already received the broadcast
+        task.resolve(null);
+      } else if (this.workers.length > 0) {
+        // Transferred buffers are gone with the worker, so only retry plain payloads
+        if (task.transfer.length > 0) {
+          task.reject(new Error(`${this.name} worker failed while running ${task.type}`));
+        } else {
+          this.queue.unshift(task);
+        }
+      } else {
+        this.runFallback(task.type, task.payload, task.onProgress).then(task.resolve, task.reject);
+      }
+    });
+
+    if (this.workers.length === 0) {
+      // Nothing left to run the queue, move it to the main thread
+      this.queue.splice(0).forEach(task => {
+        this.runFallback(task.type, task.payload, task.onProgress).then(task.resolve, task.reject);
+      });
+    } else {
+      this.dispatch();
+    }
+  }
+
+  async runFallback(type, payload, onProgress = () => {}) {
+    if (!this.fallback) {
+      throw new Error(`No ${this.name} workers available to run ${type}`);
+    }
+
+    const { result } = await this.fallback(type, payload, onProgress);
+    return result;
+  }
+
+  dispose() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+
+    const error = new Error(`${this.name} worker pool was disposed`);
+    this.queue.splice(0).forEach(task => task.reject(error));
+    this.tasks.forEach(task => task.reject(error));
+    this.tasks.clear();
+  }
+}
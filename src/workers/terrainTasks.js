@@ -0,0 +1,72 @@
+import { fetchRegionElevation } from '../data/elevationService.js';
+import { createHeightField } from '../terrain/heightField.js';
+import { buildTileBuffers } from '../terrain/terrainBuffers.js';
+import { buildWater, getWaterTransferables } from '../terrain/waterBuffers.js';
+
+// Tasks run by the terrain workers (see terrainWorker.js), or on the main
+// thread when workers are unavailable. Each task returns { result, transfer }
+// where transfer lists the buffers in result to hand over without copying.
+
+// Height fields shared by Terrain instances, by id (see Terrain.generateTerrain)
+const heightFields = new Map();
+
+function getHeightField(id) {
+  const field = heightFields.get(id);
+  if (!field) {
+    throw new Error(`Unknown height field ${id}`);
+  }
+  return field;
+}
+
+const tasks = {
+  // Download, decode, resample and enhance a region's elevation data
+  async loadRegionElevation({ region }, reportProgress) {
+    const grid = await fetchRegionElevation(region, { onProgress: reportProgress });
+    reportProgress(1, 'Elevation data ready');
+    return { result: grid, transfer: [grid.data.buffer] };
+  },
+
+  setHeightField({ id, description }) {
+    heightFields.set(id, createHeightField(description));
+    return { result: true, transfer: [] };
+  },
+
+  releaseHeightField({ id }) {
+    heightFields.delete(id);
+    return { result: true, transfer: [] };
+  },
+
+  // Geometry buffers for one quadtree tile
+  buildTile({ fieldId, minX, minZ, size, resolution }) {
+    const buffers = buildTileBuffers(getHeightField(fieldId), minX, minZ, size, resolution);
+    return {
+      result: buffers,
+      transfer: [
+        buffers.positions.buffer,
+        buffers.normals.buffer,
+        buffers.uvs.buffer,
+        buffers.heights.buffer,
+        buffers.indices.buffer
+      ]
+    };
+  },
+
+  // Rivers and lakes, with their geometry
+  buildWater({ fieldId, options }) {
+    const water = buildWater(getHeightField(fieldId), options);
+    return { result: water, transfer: getWaterTransferables(water) };
+  }
+};
+
+export async function runTerrainTask(type, payload, reportProgress = () => {}) {
+  const task = tasks[type];
+  if (!task) {
+    throw new Error(`Unknown terrain task ${type}`);
+  }
+
+  return task(payload, reportProgress);
+}
+
+export default {
+  runTerrainTask
+};
@@ -0,0 +1,15 @@
+import { runTerrainTask } from './terrainTasks.js';
+
+// Entry point of the terrain workers started by terrainWorkerPool.js.
+// Follows the message protocol described in WorkerPool.js.
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const reportProgress = (progress, stage) => self.postMessage({ id, progress, stage });
+
+  try {
+    const { result, transfer } = await runTerrainTask(type, payload, reportProgress);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
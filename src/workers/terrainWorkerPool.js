@@ -0,0 +1,18 @@
+import WorkerPool from './WorkerPool.js';
+import { runTerrainTask } from './terrainTasks.js';
+
+let pool = null;
+
+// Workers for elevation decoding and terrain mesh building, shared by every
+// region. Created on first use and kept for the lifetime of the page.
+export function getTerrainWorkerPool() {
+  if (!pool) {
+    pool = new WorkerPool(
+      () => new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' }),
+      { name: 'terrain', fallback: runTerrainTask }
+    );
+  }
+  return pool;
+}
+
+export default getTerrainWorkerPool;
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FlightModel, { DEFAULT_FLIGHT_CONFIG } from '../../src/physics/FlightModel.js';
+
+// Fly for `seconds` with the controls held, in frame-sized steps
+function fly(model, seconds, dt = 1 / 60) {
+  for (let t = 0; t < seconds; t += dt) {
+    model.step(dt);
+  }
+}
+
+test('glides at the configured best glide ratio when trimmed', () => {
+  const model = new FlightModel();
+  model.reset();
+  fly(model, 60);
+
+  const velocity = model.getVelocity();
+  const glideRatio = Math.hypot(velocity.east, velocity.north) / -velocity.up;
+  assert.ok(Math.abs(glideRatio - DEFAULT_FLIGHT_CONFIG.bestGlideRatio) < 0.5, `glide ratio ${glideRatio}`);
+  assert.ok(Math.abs(model.state.airspeed - DEFAULT_FLIGHT_CONFIG.bestGlideSpeed) < 0.5, `airspeed ${model.state.airspeed}`);
+});
+
+test('sinks slowest at the minimum sink speed', () => {
+  const model = new FlightModel();
+  const minSinkSpeed = model.getMinSinkSpeed();
+  const minSink = model.getSinkRate(minSinkSpeed);
+
+  for (let speed = model.getStallSpeed() + 0.5; speed < 25; speed += 0.25) {
+    assert.ok(model.getSinkRate(speed) >= minSink - 1e-9, `sinks faster at ${minSinkSpeed} than ${speed}`);
+  }
+  assert.ok(minSinkSpeed > model.getStallSpeed(), 'minimum sink speed is above the stall speed');
+  assert.ok(minSinkSpeed < model.getBestGlideSpeed(), 'minimum sink speed is below the best glide speed');
+  assert.ok(Math.abs(minSink - 0.82) < 0.05, `minimum sink ${minSink} m/s`);
+});
+
+test('stalls with the nose fully up and recovers when it is eased', () => {
+  const model = new FlightModel();
+  model.reset();
+  model.setControls(1, 0);
+  fly(model, 3);
+  assert.equal(model.state.stalled, true);
+  assert.ok(model.isNearStall());
+
+  model.setControls(-0.5, 0);
+  fly(model, 5);
+  assert.equal(model.state.stalled, false);
+});
+
+test('banking turns toward the bank at the coordinated turn rate', () => {
+  const model = new FlightModel();
+  model.reset();
+  model.setControls(0, 1);
+  fly(model, 2);
+
+  const { heading, bank, airspeed, flightPath } = model.state;
+  assert.ok(Math.abs(bank - DEFAULT_FLIGHT_CONFIG.maxBank * Math.PI / 180) < 1e-6, `bank ${bank}`);
+
+  const dt = 0.1;
+  model.step(dt);
+  const turned = (model.state.heading - heading + Math.PI * 3) % (Math.PI * 2) - Math.PI;
+  const turnRate = turned / dt;
+  const expected = 9.81 * Math.tan(bank) / (airspeed * Math.cos(flightPath));
+  assert.ok(turnRate > 0, 'right bank turns right');
+  assert.ok(Math.abs(turnRate - expected) / expected < 0.2, `turn rate ${turnRate}, expected ${expected}`);
+
+  const left = new FlightModel();
+  left.reset();
+  left.setControls(0, -1);
+  fly(left, 2);
+  assert.ok(left.state.heading > Math.PI, 'left bank turns left');
+});